@@ -101,6 +101,14 @@ export default [
     },
   },
 
+  // Console log sinks: every record is regular output for the Workers logs, not a warning
+  {
+    files: ['src/lib/logging.ts', 'src/lib/watchNotify.ts'],
+    rules: {
+      'no-console': ['warn', { allow: ['log', 'warn', 'error'] }],
+    },
+  },
+
   // Prettier – turn off formatting-related rules
   prettier,
 
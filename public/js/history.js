@@ -0,0 +1,423 @@
+/**
+ * history.js - Search History & Suggestions
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Keeps the last searches (query, time, result count) in localStorage and
+ *   shows them as a dropdown under the search input, merged with popular
+ *   searches from the worker (`/api/suggest?q=`).
+ *
+ * Storage
+ *   localStorage 'searchHistory'    - JSON array [{ q, ts, count }], newest first
+ *   localStorage 'searchHistoryOff' - '1' when the user opted out (history is
+ *                                     cleared and no longer recorded)
+ *
+ * Dropdown
+ *   - Opens on focus/typing; history entries are filtered by the typed text
+ *   - Popular searches are fetched (debounced) once 2+ characters are typed;
+ *     failures (missing key, network) just leave them out
+ *   - Keyboard: ArrowUp/ArrowDown move, Enter picks, Escape closes,
+ *     Shift+Delete removes the highlighted history entry
+ *   - Footer: clear history, toggle the opt-out
+ *
+ * Public API
+ *   SearchHistory.attach(input, onSelect) - Bind the dropdown to an input;
+ *                                           onSelect(query) runs on pick
+ *   SearchHistory.record(query, count)    - Remember a search (no-op when off)
+ *   SearchHistory.list()                  - Stored entries, newest first
+ *   SearchHistory.remove(query)           - Delete one entry
+ *   SearchHistory.clear()                 - Delete all entries
+ *   SearchHistory.enabled()               - Whether history is recorded
+ *   SearchHistory.setEnabled(on)          - Opt in/out (opting out clears)
+ */
+(function (global) {
+  const API_BASE = '/api';
+  const LS_HISTORY = 'searchHistory';
+  const LS_DISABLED = 'searchHistoryOff';
+  const HISTORY_LIMIT = 20;
+  const SUGGEST_LIMIT = 5;
+  const SUGGEST_MIN_CHARS = 2;
+  const SUGGEST_DELAY_MS = 200;
+
+  /**
+   * Safe localStorage getter with error handling
+   * @param {string} k - localStorage key
+   * @returns {string|null} - Stored value or null if unavailable/error
+   */
+  function lsGet(k) {
+    try {
+      return localStorage.getItem(k);
+    } catch (e) {
+      console.warn('localStorage read failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Safe localStorage setter with error handling
+   * @param {string} k - localStorage key
+   * @param {string|null} v - Value to store (null removes the key)
+   */
+  function lsSet(k, v) {
+    try {
+      if (v === null) localStorage.removeItem(k);
+      else localStorage.setItem(k, v);
+    } catch (e) {
+      console.warn('localStorage write failed:', e);
+    }
+  }
+
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, params) {
+    return global.I18n ? global.I18n.t(key, params) : key;
+  }
+
+  /**
+   * Display form of a query (trimmed, whitespace-collapsed)
+   * @param {string} q - Raw query
+   * @returns {string}
+   */
+  function clean(q) {
+    return String(q || '')
+      .trim()
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Comparison form of a query (clean + case-folded)
+   * @param {string} q - Raw query
+   * @returns {string}
+   */
+  function norm(q) {
+    return clean(q).toLowerCase();
+  }
+
+  /* ========================================================================
+   * STORAGE
+   * ======================================================================== */
+
+  /**
+   * Whether searches are recorded (user has not opted out)
+   * @returns {boolean}
+   */
+  function enabled() {
+    return lsGet(LS_DISABLED) !== '1';
+  }
+
+  /**
+   * Stored history entries, newest first (malformed storage reads as empty)
+   * @returns {Array<{q: string, ts: number, count: number|null}>}
+   */
+  function list() {
+    try {
+      const parsed = JSON.parse(lsGet(LS_HISTORY) || '[]');
+      return Array.isArray(parsed) ? parsed.filter((e) => e && typeof e.q === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist history entries (an empty list removes the key)
+   * @param {Array} entries - Entries to store
+   */
+  function save(entries) {
+    lsSet(LS_HISTORY, entries.length ? JSON.stringify(entries) : null);
+  }
+
+  /**
+   * Remember a search; a repeated query moves to the top with the new time/count
+   * @param {string} query - Search query
+   * @param {number} [count] - Number of results
+   */
+  function record(query, count) {
+    const q = clean(query);
+    if (!q || !enabled()) return;
+    const entries = list().filter((e) => norm(e.q) !== norm(q));
+    entries.unshift({ q, ts: Date.now(), count: typeof count === 'number' ? count : null });
+    save(entries.slice(0, HISTORY_LIMIT));
+  }
+
+  /**
+   * Delete one history entry
+   * @param {string} query - Query to delete (compared case-insensitively)
+   */
+  function remove(query) {
+    save(list().filter((e) => norm(e.q) !== norm(query)));
+  }
+
+  /**
+   * Delete all history entries
+   */
+  function clear() {
+    save([]);
+  }
+
+  /**
+   * Opt in/out of recording; opting out also clears the stored history
+   * @param {boolean} on - Record searches
+   */
+  function setEnabled(on) {
+    lsSet(LS_DISABLED, on ? null : '1');
+    if (!on) clear();
+  }
+
+  /**
+   * Short date of a history entry in the UI locale
+   * @param {number} ts - Epoch ms
+   * @returns {string}
+   */
+  function fmtWhen(ts) {
+    const d = new Date(ts);
+    if (isNaN(d.getTime())) return '';
+    const locale = global.I18n ? global.I18n.locale() : undefined;
+    const sameDay = d.toDateString() === new Date().toDateString();
+    return sameDay
+      ? d.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+      : d.toLocaleDateString(locale);
+  }
+
+  /* ========================================================================
+   * DROPDOWN
+   * ======================================================================== */
+
+  /**
+   * Bind the history/suggestions dropdown to a search input
+   * @param {HTMLInputElement} input - Search input
+   * @param {Function} onSelect - Called with the picked query (input already updated)
+   */
+  function attach(input, onSelect) {
+    const box = document.createElement('ul');
+    box.id = 'searchHistoryList';
+    box.className = 'search-history';
+    box.setAttribute('role', 'listbox');
+    box.hidden = true;
+    input.parentNode.appendChild(box);
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', box.id);
+    input.setAttribute('aria-expanded', 'false');
+
+    let options = []; // [{ q, kind: 'history'|'popular', ts?, count? }]
+    let active = -1;
+    let popular = []; // last /api/suggest answer
+    let timer = null;
+    let seq = 0;
+
+    function isOpen() {
+      return !box.hidden;
+    }
+
+    function open() {
+      // Below the input itself (the submit button wraps under it on narrow screens)
+      box.style.top = input.offsetTop + input.offsetHeight + 4 + 'px';
+      box.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+    }
+
+    function close() {
+      box.hidden = true;
+      active = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Rebuild the option list from history + popular searches for the typed text
+     */
+    function build() {
+      const q = norm(input.value);
+      const history = list().filter((e) => !q || norm(e.q).includes(q));
+      const seen = new Set(history.map((e) => norm(e.q)));
+      options = history
+        .map((e) => ({ q: e.q, ts: e.ts, count: e.count, kind: 'history' }))
+        .concat(
+          popular
+            .filter((s) => norm(s.query).includes(q) && !seen.has(norm(s.query)))
+            .map((s) => ({ q: s.query, kind: 'popular' }))
+        );
+      active = -1;
+      render();
+    }
+
+    function actionButton(action, label) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.tabIndex = -1;
+      btn.dataset.action = action;
+      btn.textContent = label;
+      return btn;
+    }
+
+    function render() {
+      box.innerHTML = '';
+      box.setAttribute('aria-label', t('history_aria'));
+      input.removeAttribute('aria-activedescendant');
+      options.forEach((o, i) => {
+        const li = document.createElement('li');
+        li.id = box.id + '-' + i;
+        li.className = 'search-history-item is-' + o.kind;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+        li.dataset.index = String(i);
+        const text = document.createElement('span');
+        text.className = 'search-history-query';
+        text.textContent = o.q;
+        li.appendChild(text);
+        const meta = document.createElement('span');
+        meta.className = 'search-history-meta';
+        if (o.kind === 'history') {
+          const parts = [];
+          if (typeof o.count === 'number') parts.push(t('history_found', { count: o.count }));
+          if (o.ts) parts.push(fmtWhen(o.ts));
+          meta.textContent = parts.join(' · ');
+          li.appendChild(meta);
+          const rm = actionButton('remove', '×');
+          rm.className = 'search-history-remove';
+          rm.title = t('history_remove');
+          rm.setAttribute('aria-label', t('history_remove'));
+          li.appendChild(rm);
+        } else {
+          meta.textContent = t('history_popular');
+          li.appendChild(meta);
+        }
+        box.appendChild(li);
+      });
+      const footer = document.createElement('li');
+      footer.className = 'search-history-actions';
+      footer.setAttribute('role', 'presentation');
+      if (list().length) footer.appendChild(actionButton('clear', t('history_clear')));
+      footer.appendChild(
+        actionButton('toggle', t(enabled() ? 'history_disable' : 'history_enable'))
+      );
+      box.appendChild(footer);
+    }
+
+    function highlight(index) {
+      active = index;
+      box.querySelectorAll('.search-history-item').forEach((li, i) => {
+        const on = i === active;
+        li.classList.toggle('active', on);
+        li.setAttribute('aria-selected', String(on));
+        if (on) {
+          input.setAttribute('aria-activedescendant', li.id);
+          li.scrollIntoView({ block: 'nearest' });
+        }
+      });
+      if (active < 0) input.removeAttribute('aria-activedescendant');
+    }
+
+    function move(delta) {
+      if (!options.length) return;
+      const n = options.length;
+      highlight(active < 0 ? (delta > 0 ? 0 : n - 1) : (active + delta + n) % n);
+    }
+
+    function choose(index) {
+      const o = options[index];
+      if (!o) return;
+      input.value = o.q;
+      close();
+      onSelect(o.q);
+    }
+
+    function removeAt(index) {
+      const o = options[index];
+      if (!o || o.kind !== 'history') return;
+      remove(o.q);
+      build();
+      if (options.length) highlight(Math.min(index, options.length - 1));
+    }
+
+    /**
+     * Fetch popular searches for the typed text (debounced; stale answers are dropped)
+     */
+    function fetchPopular() {
+      clearTimeout(timer);
+      const q = clean(input.value);
+      const mySeq = ++seq;
+      if (q.length < SUGGEST_MIN_CHARS) {
+        popular = [];
+        return;
+      }
+      timer = setTimeout(() => {
+        const key = global.ApiKey && global.ApiKey.get();
+        fetch(
+          API_BASE + '/suggest?q=' + encodeURIComponent(q) + '&limit=' + SUGGEST_LIMIT,
+          key ? { headers: { 'X-Api-Key': key } } : {}
+        )
+          .then((r) => (r.ok ? r.json() : { suggestions: [] }))
+          .then((data) => {
+            if (mySeq !== seq) return;
+            popular = Array.isArray(data.suggestions) ? data.suggestions : [];
+            if (document.activeElement !== input) return;
+            build();
+            if (options.length) open();
+          })
+          .catch((err) => console.warn('Search suggestions failed:', err));
+      }, SUGGEST_DELAY_MS);
+    }
+
+    function refresh() {
+      build();
+      if (options.length) open();
+      else close();
+    }
+
+    input.addEventListener('focus', refresh);
+    input.addEventListener('input', () => {
+      refresh();
+      fetchPopular();
+    });
+    input.addEventListener('blur', close);
+    if (input.form) input.form.addEventListener('submit', close);
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!isOpen()) {
+          build();
+          open();
+        }
+        move(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter' && isOpen() && active >= 0) {
+        e.preventDefault();
+        choose(active);
+      } else if (e.key === 'Escape' && isOpen()) {
+        e.preventDefault();
+        close();
+      } else if (e.key === 'Delete' && e.shiftKey && isOpen() && active >= 0) {
+        e.preventDefault();
+        removeAt(active);
+      } else if (e.key === 'Tab') {
+        close();
+      }
+    });
+
+    // Keep focus in the input while clicking inside the dropdown
+    box.addEventListener('mousedown', (e) => e.preventDefault());
+    box.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      const li = e.target.closest('.search-history-item');
+      if (btn && btn.dataset.action === 'remove' && li) {
+        removeAt(Number(li.dataset.index));
+      } else if (btn && btn.dataset.action === 'clear') {
+        clear();
+        refresh();
+      } else if (btn && btn.dataset.action === 'toggle') {
+        setEnabled(!enabled());
+        build();
+      } else if (li) {
+        choose(Number(li.dataset.index));
+      }
+    });
+  }
+
+  global.SearchHistory = { attach, record, list, remove, clear, enabled, setEnabled };
+})(window);
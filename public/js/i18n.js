@@ -0,0 +1,183 @@
+/**
+ * i18n.js - Client UI Localization
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Loads the UI message pack from the worker (`/api/i18n/:locale`) and
+ *   translates both the static page markup and the strings built at runtime
+ *   by index.js, stats.js, torrserver.js and modal.apikey.js.
+ *
+ * Locale Selection
+ *   1. User choice from the language switcher (localStorage 'locale')
+ *   2. Otherwise `/api/i18n/auto`: the worker negotiates the locale from
+ *      Accept-Language and falls back to its ERROR_LOCALE
+ *
+ * Markup
+ *   data-i18n="key"              - Element text
+ *   data-i18n-placeholder="key"  - placeholder attribute
+ *   data-i18n-title="key"        - title attribute
+ *   data-i18n-aria-label="key"   - aria-label attribute
+ *   data-i18n-value="key"        - value attribute (submit buttons)
+ *   select[data-i18n-switcher]   - Filled with the available locales; a change
+ *                                  stores the choice and reloads the page
+ *
+ * Public API
+ *   I18n.t(key, params)  - Translated string with `{name}` placeholders
+ *                          replaced from params (the key when unknown)
+ *   I18n.ready(cb)       - Invoke cb once the pack has loaded (or failed)
+ *   I18n.locale()        - Active locale code
+ *   I18n.setLocale(code) - Persist the user choice and reload the page
+ *   I18n.apply(root)     - Translate data-i18n* attributes under root
+ *
+ * Failure Strategy
+ *   If the pack cannot be loaded the static markup keeps its built-in
+ *   (Russian) text and callbacks still run, so the page stays usable.
+ */
+(function (global) {
+  const API_BASE = '/api';
+  const LS_KEY = 'locale';
+  const ATTRS = ['placeholder', 'title', 'aria-label', 'value'];
+
+  let messages = {};
+  let locales = [];
+  let current = document.documentElement.lang || 'ru';
+  let loaded = false;
+  const callbacks = [];
+
+  /**
+   * Safe localStorage getter with error handling
+   * @param {string} k - localStorage key
+   * @returns {string|null} - Stored value or null if unavailable/error
+   */
+  function lsGet(k) {
+    try {
+      return localStorage.getItem(k);
+    } catch (e) {
+      console.warn('localStorage read failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Safe localStorage setter with error handling
+   * @param {string} k - localStorage key
+   * @param {string} v - Value to store
+   */
+  function lsSet(k, v) {
+    try {
+      localStorage.setItem(k, v);
+    } catch (e) {
+      console.warn('localStorage write failed:', e);
+    }
+  }
+
+  /**
+   * Check whether the loaded pack has a message
+   * @param {string} key - Message key
+   * @returns {boolean}
+   */
+  function has(key) {
+    return Object.prototype.hasOwnProperty.call(messages, key);
+  }
+
+  /**
+   * Translate a message key
+   * @param {string} key - Message key
+   * @param {Object} [params] - Values for `{name}` placeholders
+   * @returns {string} - Translated string, or the key itself when unknown
+   */
+  function t(key, params) {
+    const text = has(key) ? messages[key] : key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (m, name) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : m
+    );
+  }
+
+  /**
+   * Translate data-i18n* attributes of root and its descendants
+   * Elements whose key is missing from the pack keep their current text.
+   * @param {ParentNode} [root=document] - Subtree to translate
+   */
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      const key = el.getAttribute('data-i18n');
+      if (has(key)) el.textContent = messages[key];
+    });
+    ATTRS.forEach((attr) => {
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+        const key = el.getAttribute(`data-i18n-${attr}`);
+        if (has(key)) el.setAttribute(attr, messages[key]);
+      });
+    });
+  }
+
+  /**
+   * Fill language switchers with the available locales
+   */
+  function initSwitchers() {
+    document.querySelectorAll('select[data-i18n-switcher]').forEach((sel) => {
+      sel.innerHTML = '';
+      locales.forEach((l) => {
+        const opt = document.createElement('option');
+        opt.value = l.code;
+        opt.textContent = l.name;
+        sel.appendChild(opt);
+      });
+      sel.value = current;
+      sel.hidden = locales.length < 2;
+      sel.addEventListener('change', () => setLocale(sel.value));
+    });
+  }
+
+  /**
+   * Mark the pack as loaded and flush queued ready() callbacks
+   */
+  function finish() {
+    loaded = true;
+    callbacks.splice(0).forEach((cb) => {
+      try {
+        cb();
+      } catch (e) {
+        console.error('i18n ready callback failed:', e);
+      }
+    });
+  }
+
+  /**
+   * Persist the user's locale choice and reload the page
+   * @param {string} code - Locale code
+   */
+  function setLocale(code) {
+    if (!code || code === current) return;
+    lsSet(LS_KEY, code);
+    location.reload();
+  }
+
+  fetch(API_BASE + '/i18n/' + encodeURIComponent(lsGet(LS_KEY) || 'auto'))
+    .then((r) => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
+    .then((pack) => {
+      messages = pack.messages || {};
+      locales = Array.isArray(pack.locales) ? pack.locales : [];
+      current = pack.locale || current;
+      document.documentElement.lang = current;
+      apply();
+      initSwitchers();
+    })
+    .catch((err) => console.warn('Failed to load UI messages:', err))
+    .finally(finish);
+
+  global.I18n = {
+    t,
+    apply,
+    setLocale,
+    locale: () => current,
+    ready(cb) {
+      if (loaded) cb();
+      else callbacks.push(cb);
+    },
+  };
+})(window);
@@ -10,8 +10,15 @@
  *
  * Key Features
  *   - Search query persistence via localStorage (survives page reloads)
+ *   - Search history and popular-search suggestions under #s (history.js)
+ *   - "Follow" button next to the results summary (watchlist.js)
+ *   - Shareable URLs: query, exact flag, sort and filters in the query string
+ *     (?q=&exact=1&sort=&quality=&tracker=...), with back/forward support
  *   - Dynamic filter population from search results (voice, tracker, year, etc.)
  *   - Client-side filtering and sorting (no additional API calls)
+ *   - Grouping mode (#groupResults, ?group=1): the same release from several
+ *     trackers becomes one card with every tracker badge, combined seeders
+ *     and an expandable source list
  *   - Staggered animations for result cards (smooth visual feedback)
  *   - API key integration via modal.apikey.js module
  *   - Clickable tracker badges for quick filter application
@@ -36,6 +43,10 @@
  *   - types: array - Category types
  *   - relased: number - Release year
  *   - quality: number - Video quality (720p, 1080p, etc.)
+ *   - infohash: string|null - Magnet infohash, lower-case hex (added by the worker)
+ *   Grouped entries (see groupResults()) additionally carry:
+ *   - trackers: array - Distinct tracker names of the group
+ *   - sources: array - Grouped items, most seeders first
  *
  * Architecture
  *   - IIFE pattern prevents global namespace pollution
@@ -66,6 +77,8 @@
   const $input = $('#s');
   const $filterBox = $('#filter');
   const $form = $('#search');
+  // Value of the "any" option in the filter selects (labels come from the message pack)
+  const ANY = '';
   const UA = navigator.userAgent;
   const isSafari = /^((?!chrome|android).)*safari/i.test(UA);
   if (isSafari) {
@@ -74,6 +87,16 @@
 
   const escapeNode = document.createElement('div');
 
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, params) {
+    return window.I18n ? window.I18n.t(key, params) : key;
+  }
+
   function escapeHtml(str = '') {
     escapeNode.textContent = str;
     return escapeNode.innerHTML;
@@ -135,19 +158,20 @@
   /**
    * Tracker Metadata Configuration
    * Maps tracker identifiers to their display colors and labels for badges.
-   * Used for visual distinction and accessibility tooltips.
+   * Used for visual distinction and accessibility tooltips. `labelKey` names a
+   * localized "Name: description" label in the message pack.
    */
   const TRACKER_META = {
-    rutor: { color: '#9c2d2d', label: 'Rutor: общетематический трекер' },
-    selezen: { color: '#10162d', label: 'Selezen: релизы сериалов/фильмов' },
+    rutor: { color: '#9c2d2d', labelKey: 'tracker_rutor' },
+    selezen: { color: '#10162d', labelKey: 'tracker_selezen' },
     bitru: { color: '#d32020', label: 'Bitru' },
-    rutracker: { color: '#3465a4', label: 'RuTracker: крупнейший русскоязычный трекер' },
-    lostfilm: { color: '#4b2f6b', label: 'LostFilm: переводы сериалов' },
+    rutracker: { color: '#3465a4', labelKey: 'tracker_rutracker' },
+    lostfilm: { color: '#4b2f6b', labelKey: 'tracker_lostfilm' },
     kinozal: { color: '#2d5f8b', label: 'Kinozal' },
     nnmclub: { color: '#1d5c34', label: 'NNM Club' },
     torrentby: { color: '#005f9e', label: 'Torrent.by' },
-    anilibria: { color: '#6a2da8', label: 'AniLibria: аниме' },
-    anidub: { color: '#a8432f', label: 'AniDub: аниме' },
+    anilibria: { color: '#6a2da8', labelKey: 'tracker_anilibria' },
+    anidub: { color: '#a8432f', labelKey: 'tracker_anidub' },
     megapeer: { color: '#4d4d4d', label: 'MegaPeer' },
     underverse: { color: '#222222', label: 'Underverse' },
     toloka: { color: '#b57600', label: 'Toloka' },
@@ -158,6 +182,24 @@
   // State management
   let allResults = []; // All results from API (unfiltered)
   let filteredResults = []; // Filtered results based on active filters
+  let pendingFilters = null; // Filter values from the URL, applied once results load
+
+  // URL state: filter names match the name attributes in #filter
+  const FILTER_NAMES = [
+    'refine',
+    'exclude',
+    'quality',
+    'videotype',
+    'voice',
+    'season',
+    'category',
+    'tracker',
+    'year',
+  ];
+  const SORT_KEYS = ['sid', 'size', 'date'];
+  const DEFAULT_SORT = 'sid';
+  // Relative size difference still treated as the same release (trackers round sizes)
+  const GROUP_SIZE_TOLERANCE = 0.01;
 
   /**
    * Filter Cache
@@ -258,6 +300,58 @@
    * RENDERING
    * ======================================================================== */
 
+  /**
+   * Build the tracker badge (icon + label) used on result cards
+   *
+   * @param {string} tracker - Tracker name as provided by the API
+   * @returns {string} - HTML string for the badge
+   */
+  function buildTrackerBadge(tracker) {
+    const trackerOriginal = (tracker || 'unknown').trim();
+    const trackerName = normalizeTrackerName(trackerOriginal);
+    const trackerDisplay = trackerOriginal || trackerName;
+    const trackerIco = `./img/ico/${trackerName}.ico`;
+    // Get tracker metadata for badge styling and tooltip
+    const meta = TRACKER_META[trackerName] || {};
+    const metaLabel = meta.labelKey ? t(meta.labelKey) : meta.label;
+    const trackerColor = meta.color || '#262626';
+    const safeTrackerColor = escapeAttribute(trackerColor);
+    const trackerTooltip = metaLabel || trackerDisplay || trackerName;
+    const safeTrackerTooltip = escapeAttribute(trackerTooltip);
+    const trackerLabelSource = metaLabel ? metaLabel.split(':')[0] : trackerDisplay;
+    const trackerLabelText = escapeHtml((trackerLabelSource || trackerDisplay || 'unknown').trim());
+    const safeTrackerDisplay = escapeAttribute(trackerDisplay);
+    const safeTrackerName = escapeAttribute(trackerName);
+    const safeIco = escapeAttribute(trackerIco);
+    const trackerLabelMarkup = trackerLabelText
+      ? `<span class="tracker-label" aria-hidden="true" style="--tracker-color:${safeTrackerColor}">${trackerLabelText}</span>`
+      : '';
+
+    // Check if this tracker is currently active in filter (for visual highlight)
+    const currentTrackerFilter = $('[name="tracker"]', $filterBox).val();
+    const isActiveTracker = currentTrackerFilter !== ANY && currentTrackerFilter === trackerName;
+    return `<span class="tracker-badge${isActiveTracker ? ' active' : ''}" data-tracker="${safeTrackerName}" data-tracker-label="${safeTrackerDisplay}" style="--tracker-color:${safeTrackerColor}" aria-label="${safeTrackerTooltip}" data-microtip-position="top" role="tooltip"><img class="trackerIco" src="${safeIco}" alt="${safeTrackerName}" loading="lazy" onerror="this.style.display='none'"></span>${trackerLabelMarkup}`;
+  }
+
+  /**
+   * Build HTML string for one source row of a grouped result card
+   *
+   * Each row keeps its own tracker link, stats, magnet and TorrServer action
+   * (torrserver.js reads the magnet from the closest .group-source).
+   *
+   * @param {Object} s - Grouped item
+   * @returns {string} - HTML string for the source row
+   */
+  function buildSource(s) {
+    const trimmedMagnet = (s.magnet || '').trim();
+    const safeMagnetHref = escapeAttribute(trimmedMagnet ? sanitizeUrl(trimmedMagnet) : '#');
+    const sendLabel = escapeAttribute(t('result_send_torrserver'));
+    const torrServerMarkup = trimmedMagnet
+      ? `<a href="#" class="torrserver-send ts-inline-btn" title="${sendLabel}" aria-label="${sendLabel}"><img src="./img/torrserver.svg" alt="TorrServer" class="ts-inline-ico" /></a>`
+      : '';
+    return `<div class="group-source">${buildTrackerBadge(s.tracker)}<a class="group-source-title" href="${escapeAttribute(sanitizeUrl(s.url))}" target="_blank" rel="noopener">${escapeHtml(s.title || 'Untitled')}</a><span class="size">${escapeHtml(s.sizeName || '')}</span><span class="date">${escapeHtml(s.dateHuman || '')}</span><span class="seeders">⬆ ${s.sid || 0}</span><span class="leechers">⬇ ${s.pir || 0}</span><span class="magnet"><a class="magneto ut-download-url" href="${safeMagnetHref}"></a></span>${torrServerMarkup}</div>`;
+  }
+
   /**
    * Build HTML string for a single search result card
    *
@@ -265,7 +359,8 @@
    * - Title with link to tracker page
    * - Video/audio/subtitle/voice information
    * - File list (if available)
-   * - Tracker badge with color coding
+   * - Tracker badge with color coding (one per tracker for grouped entries)
+   * - Source list toggle (grouped entries, see groupResults())
    * - Metadata (size, date, seeders, leechers)
    * - Action buttons (magnet link, TorrServer send)
    *
@@ -273,12 +368,9 @@
    * @returns {string} - HTML string for the result card
    */
   function buildItem(r) {
-    const trackerOriginal = (r.tracker || 'unknown').trim();
-    const trackerName = normalizeTrackerName(trackerOriginal);
-    const trackerDisplay = trackerOriginal || trackerName;
-    const trackerIco = `./img/ico/${trackerName}.ico`;
     const seeders = r.sid || 0;
     const leechers = r.pir || 0;
+    const grouped = Array.isArray(r.sources) && r.sources.length > 1;
 
     // Build info blocks for video/audio/subtitle/voice details
     const infoBlocks = [];
@@ -296,52 +388,45 @@
         })
         .join('');
       infoBlocks.push(
-        `<div class="files"><div class="files-title">Файлы</div><div class="files-list">${list}</div></div>`
+        `<div class="files"><div class="files-title">${escapeHtml(t('result_files'))}</div><div class="files-list">${list}</div></div>`
       );
       filesIcon = `<span class="files" data-files="1">≣ (${r.media.length})</span>`;
     }
-    // Get tracker metadata for badge styling and tooltip
-    const meta = TRACKER_META[trackerName] || {};
-    const trackerColor = meta.color || '#262626';
-    const safeTrackerColor = escapeAttribute(trackerColor);
-    const trackerTooltip = meta.label || trackerDisplay || trackerName;
-    const safeTrackerTooltip = escapeAttribute(trackerTooltip);
-    const trackerLabelSource = meta.label ? meta.label.split(':')[0] : trackerDisplay;
-    const trackerLabelText = escapeHtml((trackerLabelSource || trackerDisplay || 'unknown').trim());
-    const safeTrackerDisplay = escapeAttribute(trackerDisplay);
-    const safeTrackerName = escapeAttribute(trackerName);
-    const safeTrackerColorStyle = escapeAttribute(trackerColor);
-    const trackerLabelMarkup = trackerLabelText
-      ? `<span class="tracker-label" aria-hidden="true" style="--tracker-color:${safeTrackerColorStyle}">${trackerLabelText}</span>`
-      : '';
-
-    // Check if this tracker is currently active in filter (for visual highlight)
-    const currentTrackerFilter = $('[name="tracker"]', $filterBox).val();
-    const isActiveTracker =
-      currentTrackerFilter &&
-      currentTrackerFilter !== 'Любой' &&
-      currentTrackerFilter === trackerName;
+    let sourcesIcon = '';
+    if (grouped) {
+      const rows = r.sources.map(buildSource).join('');
+      infoBlocks.push(
+        `<div class="sources"><div class="files-title">${escapeHtml(t('result_sources'))}</div><div class="sources-list">${rows}</div></div>`
+      );
+      const sourcesLabel = escapeAttribute(t('result_sources_toggle', { count: r.sources.length }));
+      sourcesIcon = `<span class="sources-toggle" data-sources="1" role="button" tabindex="0" aria-expanded="false" aria-label="${sourcesLabel}" title="${sourcesLabel}">⧉ ${r.sources.length}</span>`;
+    }
+    const badges = (grouped && r.trackers && r.trackers.length ? r.trackers : [r.tracker])
+      .map(buildTrackerBadge)
+      .join('');
 
     const safeTitle = escapeHtml(r.title || 'Untitled');
     const safeUrl = escapeAttribute(sanitizeUrl(r.url));
-    const safeIco = escapeAttribute(trackerIco);
     const trimmedMagnet = (r.magnet || '').trim();
     const hasMagnet = trimmedMagnet.length > 0;
     const magnetHref = hasMagnet ? sanitizeUrl(trimmedMagnet) : '#';
     const safeMagnetHref = escapeAttribute(magnetHref);
     const magnetEncoded = hasMagnet ? encodeURIComponent(trimmedMagnet) : '';
     const safeMagnetEncoded = escapeAttribute(magnetEncoded);
+    const copyLabel = escapeAttribute(t('result_copy_magnet'));
+    const sendLabel = escapeAttribute(t('result_send_torrserver'));
     const magnetButtonAttrs = hasMagnet
       ? `data-magnet="${safeMagnetEncoded}"`
       : 'data-magnet="" disabled aria-disabled="true"';
-    return `<div class="webResult item">\n  <p><a href="${safeUrl}" target="_blank" rel="noopener">${safeTitle}</a></p>\n  <div class="info">${infoBlocks.join('')}</div>\n  <div class="h2">\n    <div class="tracker-badges">\n      <span class="tracker-badge${isActiveTracker ? ' active' : ''}" data-tracker="${safeTrackerName}" data-tracker-label="${safeTrackerDisplay}" style="--tracker-color:${safeTrackerColor}" aria-label="${safeTrackerTooltip}" data-microtip-position="top" role="tooltip"><img class="trackerIco" src="${safeIco}" alt="${safeTrackerName}" loading="lazy" onerror="this.style.display='none'"></span>${trackerLabelMarkup}\n    </div>\n    <span class="webResultTitle">\n      <span class="stats-left">\n        ${filesIcon}\n        <span class="size">${r.sizeName}</span>\n        <span class="date">${r.dateHuman}</span>\n        <span class="seeders">⬆ ${seeders}</span>\n        <span class="leechers">⬇ ${leechers}</span>\n      </span>\n      <span class="actions-right">\n        <span class="magnet-controls"><span class="magnet"><a class="magneto ut-download-url" href="${safeMagnetHref}"></a></span><button type="button" class="magnet-copy-btn" ${magnetButtonAttrs} title="Скопировать magnet-ссылку" aria-label="Скопировать magnet-ссылку"></button></span>\n        <span class="torrserver-action"><a href="#" class="torrserver-send ts-inline-btn" title="Отправить в TorrServer" aria-label="Отправить в TorrServer"><img src="./img/torrserver.svg" alt="TorrServer" class="ts-inline-ico" /></a></span>\n      </span>\n    </span>\n  </div>\n</div>`;
+    return `<div class="webResult item">\n  <p><a href="${safeUrl}" target="_blank" rel="noopener">${safeTitle}</a></p>\n  <div class="info">${infoBlocks.join('')}</div>\n  <div class="h2">\n    <div class="tracker-badges">\n      ${badges}\n    </div>\n    <span class="webResultTitle">\n      <span class="stats-left">\n        ${filesIcon}${sourcesIcon}\n        <span class="size">${r.sizeName}</span>\n        <span class="date">${r.dateHuman}</span>\n        <span class="seeders">⬆ ${seeders}</span>\n        <span class="leechers">⬇ ${leechers}</span>\n      </span>\n      <span class="actions-right">\n        <span class="magnet-controls"><span class="magnet"><a class="magneto ut-download-url" href="${safeMagnetHref}"></a></span><button type="button" class="magnet-copy-btn" ${magnetButtonAttrs} title="${copyLabel}" aria-label="${copyLabel}"></button></span>\n        <span class="torrserver-action"><a href="#" class="torrserver-send ts-inline-btn" title="${sendLabel}" aria-label="${sendLabel}"><img src="./img/torrserver.svg" alt="TorrServer" class="ts-inline-ico" /></a></span>\n      </span>\n    </span>\n  </div>\n</div>`;
   }
 
   /**
    * Render current filteredResults collection into #resultsDiv with summary
    *
-   * Sorts results by selected criteria, builds HTML with staggered animation
-   * delays, and displays results summary. Handles empty state gracefully.
+   * Groups results in grouping mode, sorts them by selected criteria, builds
+   * HTML with staggered animation delays, and displays results summary.
+   * Handles empty state gracefully.
    */
   function render() {
     clearResults();
@@ -349,21 +434,23 @@
     // Get sort preference from localStorage (default: by seeders)
     const sortKey = lsGet('sort') || 'sid';
 
-    // Sort filtered results in descending order (highest values first)
-    filteredResults.sort((a, b) =>
-      a[sortKey] < b[sortKey] ? 1 : a[sortKey] > b[sortKey] ? -1 : 0
-    );
+    // Grouping mode: one card per release (combined seeders sort the group)
+    const grouping = lsGet('group') === '1';
+    const shown = grouping ? groupResults(filteredResults) : filteredResults;
+
+    // Sort in descending order (highest values first)
+    shown.sort((a, b) => (a[sortKey] < b[sortKey] ? 1 : a[sortKey] > b[sortKey] ? -1 : 0));
 
     // Show "no results" message if nothing to display
-    if (!filteredResults.length) {
+    if (!shown.length) {
       showOnly($noresults);
       return;
     }
 
     // Build HTML - animations disabled for better performance
     // Only animate for very small result sets (<= 50 items) to reduce overhead
-    const animateResults = !isSafari && filteredResults.length <= 50;
-    const html = filteredResults
+    const animateResults = !isSafari && shown.length <= 50;
+    const html = shown
       .map((r, idx) => {
         const itemHtml = buildItem(r);
         if (!animateResults) {
@@ -378,10 +465,28 @@
       .join('\n');
 
     $results.html(html);
-    $resultsSummary.text(`Найдено: ${filteredResults.length} / Всего: ${allResults.length}`).show();
+    $resultsSummary
+      .empty()
+      .append(
+        $('<span>').text(
+          grouping
+            ? t('search_summary_grouped', {
+                found: filteredResults.length,
+                groups: shown.length,
+                total: allResults.length,
+              })
+            : t('search_summary', { found: filteredResults.length, total: allResults.length })
+        ),
+        window.Watchlist
+          ? $('<button type="button" class="btn-tertiary follow-search-btn">').text(
+              t('watch_follow')
+            )
+          : null
+      )
+      .show();
 
     // Force reflow to trigger CSS animations only for small animated sets
-    if (animateResults && $results[0] && filteredResults.length <= 50) {
+    if (animateResults && $results[0] && shown.length <= 50) {
       void $results[0].offsetHeight;
     }
   }
@@ -393,10 +498,10 @@
   /**
    * Reset all filter UI controls to their default values
    *
-   * Clears text inputs and resets select dropdowns to first option ("Любой"/"Любая")
+   * Clears text inputs and resets select dropdowns to their first ("any") option
    */
   function resetFilter() {
-    $('[name="type"],[name="refine"],[name="exclude"]', $filterBox).val('');
+    $('[name="videotype"],[name="refine"],[name="exclude"]', $filterBox).val('');
     $(
       '[name="quality"],[name="year"],[name="tracker"],[name="voice"],[name="season"],[name="category"]',
       $filterBox
@@ -440,13 +545,13 @@
    * - Categories (content types)
    * - Quality (video quality levels)
    *
-   * Values are sorted and prepended with "Любой"/"Любая" option, then used
-   * to populate corresponding <select> dropdowns in the filter UI.
+   * Values are sorted and prepended with the "any" option (value ANY), then
+   * used to populate corresponding <select> dropdowns in the filter UI.
    */
   function initFilterLists() {
-    filterCache.voice = ['Любая'];
-    filterCache.tracker = ['Любой'];
-    filterCache.trackerLabels = { Любой: 'Любой' };
+    filterCache.voice = [ANY];
+    filterCache.tracker = [ANY];
+    filterCache.trackerLabels = { [ANY]: t('filter_any_m') };
     const years = [];
     const seasons = [];
     const types = [];
@@ -454,7 +559,7 @@
 
     allResults.forEach((r) => {
       (r.voices || []).forEach((v) => {
-        if (!filterCache.voice.includes(v)) filterCache.voice.push(v);
+        if (v && !filterCache.voice.includes(v)) filterCache.voice.push(v);
       });
       const trackerLabel = typeof r.tracker === 'string' ? r.tracker : '';
       const normalizedTracker = normalizeTrackerName(trackerLabel);
@@ -476,17 +581,19 @@
     seasons.sort().reverse();
     types.sort().reverse();
     quality.sort();
-    filterCache.year = ['Любой', ...years];
-    filterCache.season = ['Любой', ...seasons];
-    filterCache.category = ['Любая', ...types];
-    filterCache.quality = ['Любое', ...quality];
-
-    populateSelect('voice', filterCache.voice);
+    filterCache.year = [ANY, ...years];
+    filterCache.season = [ANY, ...seasons];
+    filterCache.category = [ANY, ...types];
+    filterCache.quality = [ANY, ...quality];
+
+    const anyM = { [ANY]: t('filter_any_m') };
+    const anyF = { [ANY]: t('filter_any_f') };
+    populateSelect('voice', filterCache.voice, anyF);
     populateSelect('tracker', filterCache.tracker, filterCache.trackerLabels);
-    populateSelect('year', filterCache.year);
-    populateSelect('season', filterCache.season);
-    populateSelect('category', filterCache.category);
-    populateSelect('quality', filterCache.quality);
+    populateSelect('year', filterCache.year, anyM);
+    populateSelect('season', filterCache.season, anyM);
+    populateSelect('category', filterCache.category, anyF);
+    populateSelect('quality', filterCache.quality, { [ANY]: t('filter_any_n') });
   }
 
   /**
@@ -495,7 +602,7 @@
    * Implements a multi-dimensional filter system where:
    * - All active filters must pass (AND logic)
    * - If no filters are active, all results pass
-   * - Filter criteria include: quality, type, tracker, voice, category, season, year
+   * - Filter criteria include: quality, videotype, tracker, voice, category, season, year
    * - Text filters: refine (must contain) and exclude (must not contain)
    *
    * Filter logic:
@@ -513,7 +620,7 @@
       let any = false; // Any filter is active
       let fail = false; // Result failed at least one filter
       const quality = $('[name="quality"]', $filterBox).val();
-      const type = $('[name="type"]', $filterBox).val();
+      const type = $('[name="videotype"]', $filterBox).val();
       const year = $('[name="year"]', $filterBox).val();
       const tracker = $('[name="tracker"]', $filterBox).val();
       const voice = $('[name="voice"]', $filterBox).val();
@@ -522,20 +629,10 @@
       const refine = $('[name="refine"]', $filterBox).val();
       const exclude = $('[name="exclude"]', $filterBox).val();
 
-      if (
-        type ||
-        refine ||
-        exclude ||
-        quality !== 'Любое' ||
-        year !== 'Любой' ||
-        tracker !== 'Любой' ||
-        voice !== 'Любая' ||
-        season !== 'Любой' ||
-        category !== 'Любая'
-      )
+      if (type || refine || exclude || quality || year || tracker || voice || season || category)
         any = true;
 
-      if (quality !== 'Любое') {
+      if (quality) {
         if (r.quality == parseInt(quality)) pass = true;
         else fail = true;
       }
@@ -543,24 +640,24 @@
         if (r.videotype == type) pass = true;
         else fail = true;
       }
-      if (tracker !== 'Любой') {
+      if (tracker) {
         const normalizedTracker = normalizeTrackerName(r.tracker);
         if (normalizedTracker === tracker) pass = true;
         else fail = true;
       }
-      if (voice !== 'Любая') {
+      if (voice) {
         if ((r.voices || []).includes(voice)) pass = true;
         else fail = true;
       }
-      if (category !== 'Любая') {
+      if (category) {
         if ((r.types || []).includes(category)) pass = true;
         else fail = true;
       }
-      if (season !== 'Любой') {
+      if (season) {
         if ((r.seasons || []).includes(parseInt(season))) pass = true;
         else fail = true;
       }
-      if (year !== 'Любой') {
+      if (year) {
         if (r.relased == parseInt(year)) pass = true;
         else fail = true;
       }
@@ -583,6 +680,196 @@
     });
   }
 
+  /* ========================================================================
+   * GROUPING
+   * ======================================================================== */
+
+  /**
+   * Normalize a title for grouping: lower case, `ё` as `е`, punctuation and
+   * brackets collapsed to single spaces
+   * @param {string} title - Result title
+   * @returns {string} - Normalized title ('' when nothing is left)
+   */
+  function groupTitle(title) {
+    return String(title || '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Extract the lower-cased BitTorrent infohash from a magnet link (fallback
+   * for items without the worker's normalized `infohash` field)
+   * @param {string} magnet - Magnet URI
+   * @returns {string|null}
+   */
+  function magnetHash(magnet) {
+    const m = /xt=urn:btih:([a-z0-9]+)/i.exec(magnet || '');
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  /**
+   * Collapse identical releases posted on several trackers
+   *
+   * Items join a group by magnet infohash first, then by normalized title plus
+   * size (within GROUP_SIZE_TOLERANCE). Each group is a copy of its best-seeded
+   * source with seeders/leechers summed, plus `trackers` and `sources`. Same
+   * logic as the worker's `group=1` option on /api/torrents (src/lib/grouping.ts).
+   *
+   * @param {Array<Object>} items - Filtered results
+   * @returns {Array<Object>} - One entry per group, in order of first appearance
+   */
+  function groupResults(items) {
+    const clusters = [];
+    const byHash = new Map();
+    const byTitle = new Map();
+    items.forEach((r) => {
+      const hash = r.infohash || magnetHash(r.magnet);
+      const title = groupTitle(r.title);
+      const size = Number(r.size) || 0;
+      const titled = title && size > 0;
+      let cluster = hash ? byHash.get(hash) : undefined;
+      if (!cluster && titled) {
+        cluster = (byTitle.get(title) || []).find(
+          (c) => Math.abs(c.size - size) <= c.size * GROUP_SIZE_TOLERANCE
+        );
+      }
+      if (!cluster) {
+        cluster = { size, items: [] };
+        clusters.push(cluster);
+        if (titled) byTitle.set(title, (byTitle.get(title) || []).concat(cluster));
+      }
+      cluster.items.push(r);
+      if (hash && !byHash.has(hash)) byHash.set(hash, cluster);
+    });
+    return clusters.map((c) => {
+      // Stable sort: equal seeders keep result order
+      const sources = c.items.slice().sort((a, b) => (b.sid || 0) - (a.sid || 0));
+      const trackers = [];
+      sources.forEach((src) => {
+        const name = (src.tracker || '').trim();
+        if (name && !trackers.includes(name)) trackers.push(name);
+      });
+      return Object.assign({}, sources[0], {
+        sid: sources.reduce((n, src) => n + (Number(src.sid) || 0), 0),
+        pir: sources.reduce((n, src) => n + (Number(src.pir) || 0), 0),
+        trackers,
+        sources,
+      });
+    });
+  }
+
+  /* ========================================================================
+   * URL STATE
+   * ======================================================================== */
+
+  /**
+   * Current filter values from the #filter controls (empty values omitted)
+   * @returns {Object<string, string>}
+   */
+  function readFilterValues() {
+    const values = {};
+    FILTER_NAMES.forEach((name) => {
+      const v = $('[name="' + name + '"]', $filterBox).val();
+      if (v) values[name] = String(v);
+    });
+    return values;
+  }
+
+  /**
+   * Set filter controls; select values missing from the options are added so a
+   * shared link keeps its filter even when the current results lack that value
+   * @param {Object<string, string>} values - Filter values by name
+   */
+  function setFilterValues(values) {
+    FILTER_NAMES.forEach((name) => {
+      const $el = $('[name="' + name + '"]', $filterBox);
+      const value = values[name] || '';
+      if (
+        value &&
+        $el.is('select') &&
+        !$el.find('option').filter((i, o) => o.value === value).length
+      ) {
+        $el.append($('<option>').val(value).text(value));
+      }
+      if (value || !$el.is('select')) $el.val(value);
+      else $el.val($('option', $el).eq(0).attr('value'));
+    });
+  }
+
+  /**
+   * Parse search state from the page URL
+   * @returns {{q: string, exact: boolean, group: boolean, sort: string, filters: Object}|null} -
+   *   null when the URL carries no search (no `q` param)
+   */
+  function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('q')) return null;
+    const sort = params.get('sort');
+    const filters = {};
+    FILTER_NAMES.forEach((name) => {
+      const v = params.get(name);
+      if (v) filters[name] = v;
+    });
+    return {
+      q: params.get('q') || '',
+      exact: params.get('exact') === '1' || params.get('exact') === 'true',
+      group: params.get('group') === '1' || params.get('group') === 'true',
+      sort: SORT_KEYS.includes(sort) ? sort : DEFAULT_SORT,
+      filters,
+    };
+  }
+
+  /**
+   * Apply URL state to storage and controls; filters wait for the next results
+   * @param {{q: string, exact: boolean, group: boolean, sort: string, filters: Object}} state
+   */
+  function applyUrlState(state) {
+    lsSet('search', state.q);
+    $input.val(state.q);
+    lsSet('exact', state.exact ? '1' : '0');
+    $('#exactSearch').prop('checked', state.exact);
+    lsSet('group', state.group ? '1' : '0');
+    $('#groupResults').prop('checked', state.group);
+    lsSet('sort', state.sort);
+    $('input[type=radio][name=sort][value=' + state.sort + ']').prop('checked', true);
+    updateSortActive();
+    pendingFilters = state.filters;
+  }
+
+  /**
+   * Write the current search state to the URL
+   *
+   * New searches push a history entry; sort/filter tweaks replace the current
+   * one so back/forward steps between searches rather than keystrokes.
+   *
+   * @param {boolean} push - pushState (true) or replaceState (false)
+   */
+  function syncUrl(push) {
+    const query = lsGet('search') || '';
+    const params = new URLSearchParams();
+    if (query) {
+      params.set('q', query);
+      if (lsGet('exact') === '1') params.set('exact', '1');
+      if (lsGet('group') === '1') params.set('group', '1');
+      const sort = lsGet('sort') || DEFAULT_SORT;
+      if (sort !== DEFAULT_SORT) params.set('sort', sort);
+      const filters = pendingFilters || readFilterValues();
+      FILTER_NAMES.forEach((name) => {
+        if (filters[name]) params.set(name, filters[name]);
+      });
+    }
+    const qs = params.toString();
+    const url = window.location.pathname + (qs ? '?' + qs : '') + window.location.hash;
+    if (url === window.location.pathname + window.location.search + window.location.hash) return;
+    try {
+      window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+    } catch (e) {
+      console.warn('History update failed:', e);
+    }
+  }
+
   /* ========================================================================
    * API KEY HANDLING
    * ======================================================================== */
@@ -647,20 +934,23 @@
     setBusy(true);
     obtainKey(() => {
       const effectiveKey = (window.ApiKey && window.ApiKey.get()) || lsGet('api_key') || '';
-      const keyParam = effectiveKey ? '&apikey=' + encodeURIComponent(effectiveKey) : '';
       const url =
         API_BASE +
         '/torrents?search=' +
         encodeURIComponent(query) +
-        keyParam +
         (lsGet('exact') == '1' ? '&exact=true' : '');
       $.ajax({
         dataType: 'json',
         url,
+        headers: effectiveKey ? { 'X-Api-Key': effectiveKey } : {},
         cache: false,
         timeout: 30000, // 30 second timeout
       })
-        .done((json) => {
+        .done((json, _status, xhr) => {
+          // Banner when the service worker answered from its cache (offline.js)
+          if (window.Offline) window.Offline.notice(xhr);
+          if (window.SearchHistory)
+            window.SearchHistory.record(query, Array.isArray(json) ? json.length : 0);
           if (Array.isArray(json) && json.length) {
             // Process results: add date formatting and timestamps
             allResults = json.map((r) => {
@@ -673,6 +963,9 @@
             // Initialize filter dropdowns with unique values from results
             initFilterLists();
 
+            // Filters from a shared link / history entry
+            if (pendingFilters) setFilterValues(pendingFilters);
+
             // Apply current filters (if any) to get filteredResults
             applyFilters();
 
@@ -690,14 +983,15 @@
         .fail((xhr, textStatus, errorThrown) => {
           console.error('Search failed:', { status: xhr?.status, textStatus, errorThrown });
           if (xhr && xhr.status === 403) {
-            $noresults.text('Доступ запрещён: неверный или отсутствующий API ключ').show();
+            $noresults.text(t('search_forbidden')).show();
           } else if (textStatus === 'timeout') {
-            $noresults.text('Превышено время ожидания. Попробуйте снова.').show();
+            $noresults.text(t('search_timeout')).show();
           } else {
-            $noresults.text('Ошибка поиска. Проверьте подключение к интернету.').show();
+            $noresults.text(t('search_failed')).show();
           }
         })
         .always(() => {
+          pendingFilters = null;
           setBusy(false);
           $loading.hide();
         });
@@ -712,10 +1006,43 @@
   $form.on('submit', function (e) {
     e.preventDefault();
     lsSet('search', $input.val());
+    pendingFilters = null; // a new search starts unfiltered
     performSearch();
+    syncUrl(true);
   });
+
+  // A shared link / bookmark overrides the stored search state
+  const urlState = readUrlState();
+  if (urlState) applyUrlState(urlState);
   if (lsGet('search')) $input.val(lsGet('search'));
 
+  // History/suggestions dropdown: picking an entry runs the search
+  if (window.SearchHistory) {
+    window.SearchHistory.attach($input[0], () => $form.trigger('submit'));
+  }
+
+  /**
+   * Search shown on the page (query, exact flag, filters) for the watchlist
+   * @returns {{q: string, exact: boolean, filters: Object}|null} - null before the first search
+   */
+  function currentSearchState() {
+    const query = lsGet('search') || '';
+    if (!query) return null;
+    return {
+      q: query,
+      exact: lsGet('exact') === '1',
+      filters: pendingFilters || readFilterValues(),
+    };
+  }
+
+  // Watchlist: "Follow" next to the results summary and in the watchlist panel
+  if (window.Watchlist) {
+    window.Watchlist.setCurrent(currentSearchState);
+    $resultsSummary.on('click', '.follow-search-btn', () =>
+      window.Watchlist.follow(currentSearchState())
+    );
+  }
+
   /**
    * Apply sorting and update UI
    *
@@ -726,18 +1053,19 @@
    */
   function applySort(value) {
     lsSet('sort', value);
+    syncUrl(false);
     if (filteredResults.length) render();
 
     // Accessibility: Announce sort change to screen readers
     try {
       const live = document.getElementById('liveAnnounce');
       if (live) {
-        const labelMap = { sid: 'по количеству сидов', size: 'по размеру', date: 'по дате' };
+        const labelMap = { sid: 'sort_seeders_long', size: 'sort_size', date: 'sort_date' };
         // Force text node replacement to trigger aria-live even if same string rapidly
-        const message = 'Сортировка: ' + (labelMap[value] || value);
+        const message = t('sort_announce', { sort: labelMap[value] ? t(labelMap[value]) : value });
         live.textContent = message;
         // Also update page title for screen readers
-        document.title = `${message} - Поиск торрентов`;
+        document.title = `${message} - ${t('page_title')}`;
       }
     } catch (e) {
       console.warn('Accessibility announcement failed:', e);
@@ -796,13 +1124,24 @@
 
   $('#exactSearch').on('change', function () {
     lsSet('exact', this.checked ? '1' : '0');
+    pendingFilters = null;
     performSearch();
+    syncUrl(true);
+  });
+
+  // Grouping only changes how the current results are shown (no new request)
+  if (lsGet('group') === '1') $('#groupResults').prop('checked', true);
+  $('#groupResults').on('change', function () {
+    lsSet('group', this.checked ? '1' : '0');
+    if (allResults.length) render();
+    syncUrl(false);
   });
 
   // Filter change events: immediately apply filters and re-render
   $('select,input', $filterBox).on('change', function () {
     applyFilters();
     render();
+    syncUrl(false);
   });
 
   // Debounced input filtering: wait 200ms after user stops typing
@@ -813,12 +1152,38 @@
     keyupTimer = setTimeout(() => {
       applyFilters();
       render();
+      syncUrl(false);
     }, 200); // 200ms debounce delay
   });
   $('.filter-button', $filterBox).on('click', function () {
     resetFilter();
     applyFilters();
     render();
+    syncUrl(false);
+  });
+
+  // Back/forward: restore the entry's state; search again only if the query changed
+  $(window).on('popstate', function () {
+    const state = readUrlState() || {
+      q: '',
+      exact: false,
+      group: false,
+      sort: DEFAULT_SORT,
+      filters: {},
+    };
+    const searchChanged =
+      state.q !== (lsGet('search') || '') || state.exact !== (lsGet('exact') === '1');
+    applyUrlState(state);
+    if (searchChanged) {
+      performSearch();
+      return;
+    }
+    setFilterValues(pendingFilters);
+    pendingFilters = null;
+    if (allResults.length) {
+      applyFilters();
+      render();
+    }
   });
 
   // Event delegation: File list toggle (works for dynamically rendered results)
@@ -826,6 +1191,14 @@
     $(this).closest('.webResult').find('.info > .files').toggleClass('show');
   });
 
+  // Event delegation: Source list toggle of grouped results (click, Enter or Space)
+  $results.on('click keydown', 'span.sources-toggle[data-sources]', function (e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    const $sources = $(this).closest('.webResult').find('.info > .sources').toggleClass('show');
+    $(this).attr('aria-expanded', $sources.hasClass('show') ? 'true' : 'false');
+  });
+
   // Event delegation: Copy magnet link to clipboard
   $results.on('click', '.magnet-copy-btn', function (e) {
     e.preventDefault();
@@ -836,7 +1209,7 @@
     const magnet = encoded ? decodeURIComponent(encoded) : '';
 
     function showFeedback(state) {
-      const message = state === 'success' ? 'Скопировано' : 'Не удалось скопировать';
+      const message = t(state === 'success' ? 'result_copied' : 'result_copy_failed');
       const cls = state === 'success' ? 'copied' : 'copy-error';
       const existingTimeout = $btn.data('feedbackTimeout');
       if (existingTimeout) {
@@ -905,7 +1278,7 @@
     const $sel = $('[name="tracker"]', $filterBox);
     const cur = $sel.val();
     if (cur === tr) {
-      $sel.val('Любой');
+      $sel.val(ANY);
     } else {
       if (!$('option[value="' + tr + '"]', $sel).length) {
         const safeValue = escapeAttribute(String(tr));
@@ -924,8 +1297,11 @@
     setTimeout(() => el.removeClass('pulse'), 400);
   });
 
-  // Initialize: Perform search on page load if query exists in localStorage
-  performSearch();
+  // Initialize: Perform search on page load if query exists in the URL or localStorage
+  // (after the message pack has loaded, since results are rendered with it)
+  syncUrl(false);
+  if (window.I18n) window.I18n.ready(performSearch);
+  else performSearch();
 
   /* ========================================================================
    * LAST UPDATE (DATABASE)
@@ -945,11 +1321,9 @@
       if (!text) return;
       // Basic sanity: expect something like DD.MM.YYYY HH:MM
       const trimmed = text.trim();
+      el.textContent = t('search_last_update', { time: trimmed });
       if (/^\d{2}\.\d{2}\.\d{4} \d{2}:\d{2}$/.test(trimmed)) {
-        el.textContent = 'Последнее обновление базы: ' + trimmed;
-        el.setAttribute('aria-label', `База данных обновлена ${trimmed}`);
-      } else {
-        el.textContent = 'Последнее обновление базы: ' + trimmed;
+        el.setAttribute('aria-label', t('search_last_update_aria', { time: trimmed }));
       }
     }
     function load() {
@@ -986,7 +1360,8 @@
           if (timeoutId) clearTimeout(timeoutId);
         });
     }
-    load();
+    if (window.I18n) window.I18n.ready(load);
+    else load();
     // Auto-refresh every 5 minutes (server may update database periodically)
     setInterval(load, 5 * 60 * 1000);
   })();
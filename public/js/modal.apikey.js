@@ -38,6 +38,7 @@
  *   - Password input field (prevents shoulder surfing)
  *   - Error message display area
  *   - Cancel and Save buttons
+ *   Texts come from the i18n.js message pack (data-i18n attributes).
  *
  * Validation Flow
  *   1. Check if API key is required via `/api/conf`
@@ -62,6 +63,16 @@
   // API endpoint base path
   const API_BASE = '/api';
 
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   *
+   * @param {string} key - Message key
+   * @returns {string} - Translated message
+   */
+  function t(key) {
+    return global.I18n ? global.I18n.t(key) : key;
+  }
+
   /* ========================================================================
    * LOCALSTORAGE UTILITIES
    * ======================================================================== */
@@ -116,6 +127,19 @@
    * API COMMUNICATION
    * ======================================================================== */
 
+  /**
+   * Build request headers carrying an API key
+   *
+   * The key is sent as `X-Api-Key` instead of a query parameter so it does not
+   * end up in browser history, server logs or debug headers.
+   *
+   * @param {string|null} key - API key (optional)
+   * @returns {Object} - Headers object (empty when no key)
+   */
+  function keyHeaders(key) {
+    return key ? { 'X-Api-Key': key } : {};
+  }
+
   /**
    * Fetch API configuration from server
    *
@@ -128,14 +152,18 @@
    * @returns {jQuery.Deferred} - Promise resolving to config JSON
    */
   function fetchConf(withKey) {
-    const qp = withKey ? '?apikey=' + encodeURIComponent(withKey) : '';
-    return $.ajax({ dataType: 'json', url: API_BASE + '/conf' + qp, cache: false });
+    return $.ajax({
+      dataType: 'json',
+      url: API_BASE + '/conf',
+      headers: keyHeaders(withKey),
+      cache: false,
+    });
   }
 
   /**
    * Validate API key with server
    *
-   * Makes request to `/api/conf` with provided key. Server responds with
+   * Makes request to `/api/conf` with provided key (sent in the `X-Api-Key` header). Server responds with
    * validation result (apikey: true/false).
    *
    * @param {string} key - API key to validate
@@ -145,7 +173,8 @@
     if (!key) return $.Deferred().reject('no-key').promise();
     return $.ajax({
       dataType: 'json',
-      url: API_BASE + '/conf?apikey=' + encodeURIComponent(key),
+      url: API_BASE + '/conf',
+      headers: keyHeaders(key),
       cache: false,
     });
   }
@@ -172,8 +201,9 @@
   function ensureMarkup() {
     if ($('#apiKeyModal').length) return;
     const html =
-      '<div id="apiKeyModal" class="modal" style="display:none">\n  <div class="modal-dialog">\n    <div class="modal-header">Введите API ключ</div>\n    <div class="modal-body">\n      <input type="password" id="apiKeyInput" placeholder="API ключ" autocomplete="off" />\n      <div class="modal-error" id="apiKeyError" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="apiKeyCancel" class="btn-secondary">Отмена</button>\n      <button type="button" id="apiKeySave" class="btn-primary">Сохранить</button>\n    </div>\n  </div>\n</div>';
+      '<div id="apiKeyModal" class="modal" style="display:none">\n  <div class="modal-dialog">\n    <div class="modal-header" data-i18n="apikey_title"></div>\n    <div class="modal-body">\n      <input type="password" id="apiKeyInput" data-i18n-placeholder="apikey_placeholder" autocomplete="off" />\n      <div class="modal-error" id="apiKeyError" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="apiKeyCancel" class="btn-secondary" data-i18n="common_cancel"></button>\n      <button type="button" id="apiKeySave" class="btn-primary" data-i18n="common_save"></button>\n    </div>\n  </div>\n</div>';
     $('body').append(html);
+    if (global.I18n) global.I18n.apply(document.getElementById('apiKeyModal'));
   }
   /**
    * Show API key input modal and return promise
@@ -226,7 +256,7 @@
 
     // Client-side validation: check for empty input
     if (!key) {
-      $('#apiKeyError').text('Введите ключ').show();
+      $('#apiKeyError').text(t('apikey_empty')).show();
       $('#apiKeyInput').attr('aria-invalid', 'true').focus();
       return;
     }
@@ -234,7 +264,7 @@
     // Client-side validation: check key length (prevent obviously invalid keys)
     // Server-side validation is authoritative, this is just UX optimization
     if (key.length < 3 || key.length > 100) {
-      $('#apiKeyError').text('Неверный формат ключа').show();
+      $('#apiKeyError').text(t('apikey_bad_format')).show();
       $('#apiKeyInput').attr('aria-invalid', 'true').focus();
       return;
     }
@@ -327,7 +357,7 @@
       // User cancelled modal: show error message and proceed anyway
       // Caller will handle 403 if key is actually required
       if (!key) {
-        $('#noresults,#error').first().text('API ключ не задан').show();
+        $('#noresults,#error').first().text(t('apikey_missing')).show();
         cb(null);
         return;
       }
@@ -342,13 +372,13 @@
             cb();
           } else {
             // Key is invalid: show error and re-prompt (recursive call)
-            $('#apiKeyError').text('Ключ неверный').show();
+            $('#apiKeyError').text(t('apikey_invalid')).show();
             requestKey(cb);
           }
         })
         .fail((xhr) => {
           // Network error: try to extract structured error message
-          let msg = 'Ошибка проверки';
+          let msg = t('apikey_check_failed');
           try {
             if (xhr && xhr.responseText && xhr.responseText.length < 1000) {
               const parsed = JSON.parse(xhr.responseText);
@@ -454,6 +484,15 @@
       return lsGet('api_key');
     },
 
+    /**
+     * Get request headers carrying the stored API key
+     *
+     * @returns {Object} - `{ 'X-Api-Key': key }` or an empty object if no key is stored
+     */
+    headers() {
+      return keyHeaders(lsGet('api_key'));
+    },
+
     /**
      * Reset/clear stored API key
      *
@@ -0,0 +1,81 @@
+/**
+ * offline.js - Offline Mode
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Registers the service worker (/sw.js), which precaches the pages and
+ *   hashed assets and keeps recent search and stats responses, and tells
+ *   the user when the data on screen came from that cache.
+ *
+ * Detection
+ *   Responses answered from the service worker cache carry an
+ *   `X-SW-Cached-At` header (ISO time of the original request); network
+ *   responses never do.
+ *
+ * Banner
+ *   #offlineBanner at the top of the page, e.g. "Offline, showing cached
+ *   results from <time>". The next network response hides it.
+ *
+ * Public API
+ *   Offline.cachedAt(source)    - Date a response was cached, or null for a
+ *                                 network response (jqXHR or fetch Response)
+ *   Offline.notice(source, key) - Show or hide the banner for a response;
+ *                                 `key` is the message ({time} placeholder,
+ *                                 default 'offline_results')
+ */
+(function (global) {
+  const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, params) {
+    return global.I18n ? global.I18n.t(key, params) : key;
+  }
+
+  /**
+   * @param {{getResponseHeader?: Function, headers?: Headers}|null} source - jqXHR or Response
+   * @returns {Date|null}
+   */
+  function cachedAt(source) {
+    if (!source) return null;
+    const value =
+      typeof source.getResponseHeader === 'function'
+        ? source.getResponseHeader(CACHED_AT_HEADER)
+        : source.headers && source.headers.get(CACHED_AT_HEADER);
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * @param {{getResponseHeader?: Function, headers?: Headers}|null} source - jqXHR or Response
+   * @param {string} [key] - Message key
+   */
+  function notice(source, key) {
+    const date = cachedAt(source);
+    let $banner = $('#offlineBanner');
+    if (!date) {
+      $banner.hide();
+      return;
+    }
+    if (!$banner.length) {
+      $banner = $('<div id="offlineBanner" class="offline-banner" role="status"></div>');
+      $('body').prepend($banner);
+    }
+    const locale = global.I18n ? global.I18n.locale() : undefined;
+    $banner.text(t(key || 'offline_results', { time: date.toLocaleString(locale) })).show();
+  }
+
+  if ('serviceWorker' in navigator) {
+    global.addEventListener('load', () => {
+      navigator.serviceWorker.register('/sw.js').catch((err) => {
+        console.warn('Service worker registration failed:', err);
+      });
+    });
+  }
+
+  global.Offline = { cachedAt, notice };
+})(window);
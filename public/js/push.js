@@ -0,0 +1,260 @@
+/**
+ * push.js - Web Push Notifications
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Manages this browser's push subscription with the worker (`/api/push`,
+ *   per API key) through the service worker (/sw.js, see offline.js).
+ *   Notifications are sent by the worker itself (VAPID, no third-party push
+ *   library):
+ *     watch    - new releases for followed searches (watchlist)
+ *     dbupdate - the upstream torrent database was updated
+ *
+ * Panel
+ *   Push.mount(el) renders the topic checkboxes and a "test" button (used by
+ *   the watchlist panel). Ticking a topic subscribes (asking for the
+ *   notification permission first); unticking all of them unsubscribes.
+ *   Topics the worker cannot deliver (see GET /api/push/key) are hidden; the
+ *   whole section is hidden when push is unsupported or not configured.
+ *
+ * Storage
+ *   localStorage 'pushTopics' - JSON array of the subscribed topics
+ *
+ * Public API
+ *   Push.supported()      - Whether the browser supports Web Push
+ *   Push.subscribe(topics) - Subscribe (or update topics); resolves to topics
+ *   Push.unsubscribe()    - Remove the subscription (browser and worker)
+ *   Push.topics()         - Subscribed topics ([] when not subscribed)
+ *   Push.mount(el)        - Render the settings section into an element
+ */
+(function (global) {
+  const API_BASE = '/api/push';
+  const TOPICS_KEY = 'pushTopics';
+
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, params) {
+    return global.I18n ? global.I18n.t(key, params) : key;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  function supported() {
+    return (
+      'serviceWorker' in navigator &&
+      'PushManager' in global &&
+      'Notification' in global &&
+      global.isSecureContext !== false
+    );
+  }
+
+  /**
+   * Call the push API with the stored API key and the UI locale
+   * @param {string} path - Path below /api/push
+   * @param {Object} [body] - JSON body (sends a POST)
+   * @returns {Promise<Object>} - Parsed JSON; rejects with the worker's error message
+   *   (`status` set on the error)
+   */
+  function api(path, body) {
+    const key = global.ApiKey && global.ApiKey.get();
+    const headers = key ? { 'X-Api-Key': key } : {};
+    const init = { headers };
+    if (body !== undefined) {
+      init.method = 'POST';
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const lang = global.I18n ? '?lang=' + encodeURIComponent(global.I18n.locale()) : '';
+    return fetch(API_BASE + path + lang, init).then((r) =>
+      r.json().then(
+        (data) => {
+          if (r.ok) return data;
+          const err = new Error(data.error || `HTTP ${r.status}`);
+          err.status = r.status;
+          throw err;
+        },
+        () => {
+          const err = new Error(`HTTP ${r.status}`);
+          err.status = r.status;
+          throw err;
+        }
+      )
+    );
+  }
+
+  /**
+   * Decode the base64url VAPID key for PushManager.subscribe()
+   * @param {string} value - base64url
+   * @returns {Uint8Array}
+   */
+  function keyBytes(value) {
+    const b64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+  }
+
+  let registration = null;
+
+  /**
+   * Service worker registration (registers /sw.js if offline.js has not yet)
+   * @returns {Promise<ServiceWorkerRegistration>}
+   */
+  function register() {
+    if (!registration)
+      registration = navigator.serviceWorker
+        .register('/sw.js')
+        .then(() => navigator.serviceWorker.ready);
+    return registration;
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  function topics() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(TOPICS_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Subscribe this browser for the given topics (re-sends an existing subscription)
+   * @param {string[]} wanted - Topics
+   * @returns {Promise<string[]>} - Topics stored by the worker
+   */
+  function subscribe(wanted) {
+    return Notification.requestPermission()
+      .then((permission) => {
+        if (permission !== 'granted') throw new Error(t('push_denied'));
+        return Promise.all([register(), api('/key')]);
+      })
+      .then(([reg, info]) =>
+        reg.pushManager.getSubscription().then(
+          (existing) =>
+            existing ||
+            reg.pushManager.subscribe({
+              userVisibleOnly: true,
+              applicationServerKey: keyBytes(info.publicKey),
+            })
+        )
+      )
+      .then((sub) => api('/subscribe', Object.assign(sub.toJSON(), { topics: wanted })))
+      .then((data) => {
+        localStorage.setItem(TOPICS_KEY, JSON.stringify(data.topics));
+        return data.topics;
+      });
+  }
+
+  /**
+   * Remove the subscription from the worker and the browser
+   * @returns {Promise<void>}
+   */
+  function unsubscribe() {
+    localStorage.removeItem(TOPICS_KEY);
+    return register()
+      .then((reg) => reg.pushManager.getSubscription())
+      .then((sub) => {
+        if (!sub) return;
+        return api('/unsubscribe', { endpoint: sub.endpoint })
+          .catch(() => {})
+          .then(() => sub.unsubscribe());
+      });
+  }
+
+  /**
+   * Ask the worker to send a test notification to this browser
+   * @returns {Promise<Object>}
+   */
+  function test() {
+    return register()
+      .then((reg) => reg.pushManager.getSubscription())
+      .then((sub) => {
+        if (!sub) throw new Error(t('push_not_subscribed'));
+        return api('/test', {
+          endpoint: sub.endpoint,
+          title: t('push_test_title'),
+          body: t('push_test_body'),
+        });
+      });
+  }
+
+  /* ========================================================================
+   * SETTINGS SECTION
+   * ======================================================================== */
+
+  /**
+   * Render the push settings into an element (re-rendered on every call)
+   * @param {HTMLElement} el - Container
+   */
+  function mount(el) {
+    const $el = $(el).hide().empty();
+    if (!el || !supported()) return;
+    api('/key')
+      .then((info) => {
+        const current = topics();
+        const $status = $('<div class="push-status" role="status"></div>');
+        const $boxes = info.topics.map((topic) =>
+          $('<label class="push-topic"></label>').append(
+            $('<input type="checkbox">')
+              .attr('value', topic)
+              .prop('checked', current.includes(topic)),
+            ' ',
+            $('<span></span>').text(t('push_topic_' + topic))
+          )
+        );
+        const $test = $('<button type="button" class="btn-tertiary push-test"></button>')
+          .text(t('push_test'))
+          .prop('disabled', !current.length);
+        $el.append(
+          $('<div class="push-title"></div>').text(t('push_title')),
+          $boxes,
+          $test,
+          $status
+        );
+        $el.off('change').on('change', 'input[type=checkbox]', () => {
+          const wanted = $el
+            .find('input:checked')
+            .map((_, box) => box.value)
+            .get();
+          const $inputs = $el.find('input').prop('disabled', true);
+          (wanted.length ? subscribe(wanted) : unsubscribe().then(() => []))
+            .then((stored) => {
+              $status
+                .removeClass('push-status-err')
+                .text(t(stored.length ? 'push_on' : 'push_off'));
+              $test.prop('disabled', !stored.length);
+            })
+            .catch((err) => {
+              $status.addClass('push-status-err').text(err.message);
+              const stored = topics();
+              $el.find('input').each((_, box) => {
+                box.checked = stored.includes(box.value);
+              });
+            })
+            .then(() => $inputs.prop('disabled', false));
+        });
+        $test.on('click', () => {
+          test()
+            .then((data) =>
+              $status
+                .removeClass('push-status-err')
+                .text(t(data.ok ? 'push_test_sent' : 'push_test_failed'))
+            )
+            .catch((err) => $status.addClass('push-status-err').text(err.message));
+        });
+        $el.show();
+      })
+      .catch(() => {}); // 503: push not configured on this deployment
+  }
+
+  if (supported() && topics().length) register();
+
+  global.Push = { supported, subscribe, unsubscribe, topics, mount };
+})(window);
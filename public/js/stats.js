@@ -9,7 +9,7 @@
  *   perceived performance through localStorage caching and staggered animations.
  *
  * Key Features
- *   - API endpoint: GET /api/stats/torrents (with optional ?apikey= parameter)
+ *   - API endpoint: GET /api/stats/torrents (with optional X-Api-Key header)
  *   - Local cache with 5-minute TTL to reduce redundant network requests
  *   - Dynamic card rendering with stale data highlighting (visual indicators)
  *   - Aggregate summary card showing totals across all trackers
@@ -76,6 +76,26 @@ function __initStats() {
   // Number formatting mode preference
   let numbersFull = localStorage.getItem(NUM_MODE_KEY) === '1';
 
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   *
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string} - Translated message
+   */
+  function t(key, params) {
+    return window.I18n ? window.I18n.t(key, params) : key;
+  }
+
+  /**
+   * Active UI locale, used for number formatting
+   *
+   * @returns {string} - Locale code ('ru' when i18n.js is missing)
+   */
+  function uiLocale() {
+    return window.I18n ? window.I18n.locale() : 'ru';
+  }
+
   /**
    * Debounce function to limit rapid function calls
    *
@@ -87,10 +107,10 @@ function __initStats() {
    * @returns {Function} - Debounced function
    */
   function debounce(fn, wait = 180) {
-    let t;
+    let timer;
     return function (...args) {
-      clearTimeout(t);
-      t = setTimeout(() => fn.apply(this, args), wait);
+      clearTimeout(timer);
+      timer = setTimeout(() => fn.apply(this, args), wait);
     };
   }
 
@@ -140,7 +160,7 @@ function __initStats() {
    *
    * Checks cache validity based on TTL. If cache exists and is valid:
    * - Loads data into rawData
-   * - Updates lastUpdate display with "(кэш)" indicator
+   * - Updates lastUpdate display with a "(cached)" indicator
    * - Applies filters and sorting
    *
    * @returns {boolean} - True if cache was loaded and used, false otherwise
@@ -153,7 +173,7 @@ function __initStats() {
       if (!parsed.ts || !Array.isArray(parsed.data)) return false;
       if (Date.now() - parsed.ts > CACHE_TTL_MS) return false;
       rawData = parsed.data;
-      lastUpdate.text(new Date(parsed.ts).toLocaleString() + ' (кэш)');
+      lastUpdate.text(new Date(parsed.ts).toLocaleString() + ' ' + t('stats_cached'));
       applyFilterSort();
       return true;
     } catch (e) {
@@ -175,7 +195,7 @@ function __initStats() {
   /**
    * Format number according to current display mode
    *
-   * If numbersFull is true: formats with thousands separators (ru-RU locale)
+   * If numbersFull is true: formats with thousands separators (UI locale)
    * If numbersFull is false: uses abbreviated format (K/M/B)
    *
    * @param {number|null} num - Number to format
@@ -184,11 +204,11 @@ function __initStats() {
   function formatNumber(num) {
     if (num == null) return '—';
     if (!numbersFull) return human(num);
-    // full mode: thousands separated (ru-RU locale) without decimals for integers
+    // full mode: thousands separated (UI locale) without decimals for integers
     try {
-      if (typeof num === 'number') return num.toLocaleString('ru-RU');
+      if (typeof num === 'number') return num.toLocaleString(uiLocale());
       const n = Number(num);
-      if (!isNaN(n)) return n.toLocaleString('ru-RU');
+      if (!isNaN(n)) return n.toLocaleString(uiLocale());
       return num + '';
     } catch (e) {
       return num + '';
@@ -228,29 +248,29 @@ function __initStats() {
       .join('');
     const ico = `./img/ico/${item.trackerName}.ico`;
     const stale = staleClass(item.lastnewtor);
-    const staleTitle = stale ? 'Данные устарели' : '';
+    const staleTitle = stale ? t('stats_stale') : '';
     return `
       <div class="tracker-card" data-tracker="${item.trackerName}">
         <header>
           <img class="ico" src="${ico}" alt="${item.trackerName}" loading="lazy" onerror="this.src='./img/favicon.ico'" />
           <div class="tracker-head">
             <h3>${item.trackerName}</h3>
-            <div class="tracker-meta ${stale}" title="${staleTitle}">посл. новый: ${item.lastnewtor}</div>
+            <div class="tracker-meta ${stale}" title="${staleTitle}">${t('stats_last_new', { date: item.lastnewtor })}</div>
           </div>
           <div class="stat-box stat-inline">
-            <div class="stat-label">Новые</div>
+            <div class="stat-label">${t('stats_new')}</div>
             <div class="stat-value">${formatNumber(item.newtor)}</div>
           </div>
         </header>
         <div class="tracker-stats">
-          <div class="stat-box"><span class="stat-label">Изменения</span><span class="stat-value">${formatNumber(item.update)}</span></div>
-          <div class="stat-box"><span class="stat-label">Проверок</span><span class="stat-value">${formatNumber(item.check)}</span></div>
-          <div class="stat-box big"><span class="stat-label">Всего торрентов</span><span class="stat-value">${formatNumber(item.alltorrents)}</span></div>
+          <div class="stat-box"><span class="stat-label">${t('stats_updates')}</span><span class="stat-value">${formatNumber(item.update)}</span></div>
+          <div class="stat-box"><span class="stat-label">${t('stats_checks')}</span><span class="stat-value">${formatNumber(item.check)}</span></div>
+          <div class="stat-box big"><span class="stat-label">${t('stats_total')}</span><span class="stat-value">${formatNumber(item.alltorrents)}</span></div>
           <div class="stat-box"><span class="stat-label">Wait</span><span class="stat-value">${formatNumber(item.tracks.wait)}</span></div>
           <div class="stat-box"><span class="stat-label">Confirm</span><span class="stat-value">${formatNumber(item.tracks.confirm)}</span></div>
           <div class="stat-box"><span class="stat-label">Skip</span><span class="stat-value">${formatNumber(item.tracks.skip)}</span></div>
           <div class="stat-box big">
-            <span class="stat-label">Tracks распределение</span>
+            <span class="stat-label">${t('stats_tracks')}</span>
             <div class="tracks-bar">${barHtml}</div>
             <div class="tracks-legend">
               <span><span class="dot dot-confirm"></span>confirm ${pc(item.tracks.confirm)}%</span>
@@ -311,23 +331,23 @@ function __initStats() {
       <div class="tracker-card aggregate-card">
         <header>
           <div class="tracker-head" style="flex:1;">
-            <h3>Итого (${rawData.length})</h3>
-            <div class="tracker-meta">Суммарные значения по всем трекерам</div>
+            <h3>${t('stats_totals_title', { count: rawData.length })}</h3>
+            <div class="tracker-meta">${t('stats_totals_hint')}</div>
           </div>
-          <div class="stat-box stat-inline" aria-label="Всего новых">
-            <div class="stat-label">Новые</div>
+          <div class="stat-box stat-inline" aria-label="${t('stats_totals_new_aria')}">
+            <div class="stat-label">${t('stats_new')}</div>
             <div class="stat-value">${formatNumber(totals.newtor)}</div>
           </div>
         </header>
         <div class="tracker-stats">
-          <div class="stat-box"><span class="stat-label">Изменения</span><span class="stat-value">${formatNumber(totals.update)}</span></div>
-          <div class="stat-box"><span class="stat-label">Проверок</span><span class="stat-value">${formatNumber(totals.check)}</span></div>
-          <div class="stat-box big"><span class="stat-label">Всего торрентов</span><span class="stat-value">${formatNumber(totals.alltorrents)}</span></div>
+          <div class="stat-box"><span class="stat-label">${t('stats_updates')}</span><span class="stat-value">${formatNumber(totals.update)}</span></div>
+          <div class="stat-box"><span class="stat-label">${t('stats_checks')}</span><span class="stat-value">${formatNumber(totals.check)}</span></div>
+          <div class="stat-box big"><span class="stat-label">${t('stats_total')}</span><span class="stat-value">${formatNumber(totals.alltorrents)}</span></div>
           <div class="stat-box"><span class="stat-label">Wait</span><span class="stat-value">${formatNumber(totals.wait)}</span></div>
           <div class="stat-box"><span class="stat-label">Confirm</span><span class="stat-value">${formatNumber(totals.confirm)}</span></div>
           <div class="stat-box"><span class="stat-label">Skip</span><span class="stat-value">${formatNumber(totals.skip)}</span></div>
           <div class="stat-box big">
-            <span class="stat-label">Tracks распределение</span>
+            <span class="stat-label">${t('stats_tracks')}</span>
             <div class="tracks-bar">${barHtml}</div>
             <div class="tracks-legend">
               <span><span class="dot dot-confirm"></span>confirm ${pc(totals.confirm)}%</span>
@@ -408,26 +428,26 @@ function __initStats() {
   }
 
   /**
-   * Build API key query parameter for stats fetch URL
+   * Build API key request headers for stats fetch
    *
    * Attempts to get API key from:
    * 1. window.ApiKey module (if available)
    * 2. localStorage fallback
    *
-   * Returns URL-encoded query parameter string or empty string if no key.
+   * The key is sent in the `X-Api-Key` header (kept out of the URL).
    *
-   * @returns {string} - Query parameter string (e.g., "&apikey=...") or ""
+   * @returns {Object} - Headers object (e.g., { 'X-Api-Key': '...' }) or {}
    */
-  function buildApiKeyParam() {
+  function buildApiKeyHeaders() {
     try {
       if (window.ApiKey) {
         const k = window.ApiKey.get();
-        if (k) return '&apikey=' + encodeURIComponent(k);
+        if (k) return { 'X-Api-Key': k };
       }
       const ls = localStorage.getItem('api_key');
-      if (ls) return '&apikey=' + encodeURIComponent(ls);
+      if (ls) return { 'X-Api-Key': ls };
     } catch (e) {}
-    return '';
+    return {};
   }
 
   /**
@@ -452,11 +472,15 @@ function __initStats() {
     emptyState.hide();
     $.ajax({
       dataType: 'json',
-      url: API_BASE + '/stats/torrents?ts=' + Date.now() + buildApiKeyParam(),
+      url: API_BASE + '/stats/torrents?ts=' + Date.now(),
+      headers: buildApiKeyHeaders(),
       cache: false,
-      success: (json) => {
+      success: (json, _status, jqXHR) => {
         rawData = json;
-        lastUpdate.text(new Date().toLocaleString());
+        // Served from the service worker cache when offline (offline.js)
+        const cachedAt = window.Offline && window.Offline.cachedAt(jqXHR);
+        if (window.Offline) window.Offline.notice(jqXHR, 'offline_stats');
+        lastUpdate.text((cachedAt || new Date()).toLocaleString());
         saveCache();
         renderAggregate();
         applyFilterSort();
@@ -466,7 +490,7 @@ function __initStats() {
         }
       },
       error: (jqXHR, textStatus, errorThrown) => {
-        let msg = 'Ошибка загрузки данных.';
+        let msg = $('<div>').text(t('stats_error')).html();
         if (jqXHR && jqXHR.status) msg += ' HTTP ' + jqXHR.status;
         // Try parse structured worker error { error, code, locale }
         let structured = null;
@@ -514,7 +538,7 @@ function __initStats() {
     }
     const wide = wideStored === '1' && window.innerWidth > 760;
     $('body').toggleClass('stats-wide', wide);
-    toggleWidthBtn.text(wide ? 'Обычный режим' : 'Широкий режим');
+    toggleWidthBtn.text(t(wide ? 'stats_normal' : 'stats_wide'));
   }
   /**
    * Apply compact mode layout state
@@ -525,7 +549,7 @@ function __initStats() {
   function applyCompactState() {
     const compact = localStorage.getItem('statsCompact') === '1';
     $('body').toggleClass('stats-compact', compact);
-    toggleCompactBtn.text(compact ? 'Обычный размер' : 'Compact');
+    toggleCompactBtn.text(t(compact ? 'stats_normal_size' : 'stats_compact'));
   }
 
   /**
@@ -536,14 +560,14 @@ function __initStats() {
    * documentElement and updates toggle button text.
    */
   function applyTheme() {
-    let t = localStorage.getItem(THEME_KEY);
-    if (!t) {
+    let theme = localStorage.getItem(THEME_KEY);
+    if (!theme) {
       // auto from media
-      t = window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
-      localStorage.setItem(THEME_KEY, t);
+      theme = window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+      localStorage.setItem(THEME_KEY, theme);
     }
-    document.documentElement.setAttribute('data-theme', t);
-    toggleThemeBtn.text(t === 'dark' ? 'Светлая' : 'Темная');
+    document.documentElement.setAttribute('data-theme', theme);
+    toggleThemeBtn.text(theme === 'dark' ? t('stats_theme_light') : t('stats_theme_dark'));
   }
 
   /**
@@ -562,11 +586,11 @@ function __initStats() {
    * Update number format toggle button text
    *
    * Updates button text to reflect current formatting mode:
-   * - Full mode: "Сокращённо"
-   * - Abbreviated mode: "Полные числа"
+   * - Full mode: "Abbreviated"
+   * - Abbreviated mode: "Full numbers"
    */
   function applyNumbersMode() {
-    toggleNumbersBtn.text(numbersFull ? 'Сокращённо' : 'Полные числа');
+    toggleNumbersBtn.text(t(numbersFull ? 'stats_numbers_short' : 'stats_numbers_full'));
   }
 
   // Event bindings
@@ -621,8 +645,8 @@ function __initStats() {
   }
 
   const hadCache = loadCache(); // may render some data
-  // Initial network fetch теперь откладывается до валидации API ключа (см. ниже в блоке ожидания зависимостей)
-  // Экспортируем refetch для внешнего вызова.
+  // Initial network fetch is deferred until the API key is validated (see waitForDeps below).
+  // Export refetch for external callers.
   window.__statsRefetch = fetchStats;
   if (!hadCache) renderAggregate();
 
@@ -669,7 +693,9 @@ function __initStats() {
     }
     return setTimeout(() => waitForDeps(retries + 1), 50);
   }
-  __initStats();
+  // Render with the UI message pack in place (ready() callbacks run in registration order)
+  const whenI18n = (fn) => (window.I18n ? window.I18n.ready(fn) : fn());
+  whenI18n(__initStats);
 
   /**
    * Start initial statistics fetch after API key validation
@@ -678,9 +704,11 @@ function __initStats() {
    * manual=true flag for visual feedback.
    */
   function startFetch() {
-    if (typeof window.__statsRefetch === 'function') {
-      window.__statsRefetch(true);
-    }
+    whenI18n(() => {
+      if (typeof window.__statsRefetch === 'function') {
+        window.__statsRefetch(true);
+      }
+    });
   }
 
   // Try to use ApiKey module if available, otherwise wait briefly then fallback
@@ -693,7 +721,7 @@ function __initStats() {
     if (window.ApiKey && typeof window.ApiKey.ensure === 'function') {
       window.ApiKey.ensure(startFetch);
     } else if (attempts < 40) {
-      // ~2s ожидания
+      // ~2s wait
       attempts++;
       setTimeout(waitKey, 50);
     } else {
@@ -58,6 +58,26 @@
  *   - Each password is stored with a unique key based on URL + username combination
  */
 (function (global) {
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   *
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string} Translated message
+   */
+  function t(key, params) {
+    return global.I18n ? global.I18n.t(key, params) : key;
+  }
+
+  /**
+   * Translate data-i18n attributes of freshly injected modal markup.
+   *
+   * @param {string} id - Modal element id
+   */
+  function localizeMarkup(id) {
+    if (global.I18n) global.I18n.apply(document.getElementById(id));
+  }
+
   const LS_KEY = 'torrserver_conf_v1';
   const PWD_STORAGE_PREFIX = 'torrserver_pwd_';
   const MASTER_PWD_HASH_KEY = 'torrserver_master_pwd_hash_v1';
@@ -93,6 +113,17 @@
       return null;
     }
   }
+  /**
+   * Request headers for the proxy endpoints: JSON body plus the site API key
+   * (proxy endpoints require the torrserver scope when API keys are enforced).
+   * @returns {Object} - Headers object
+   */
+  function proxyHeaders() {
+    const key = (window.ApiKey && window.ApiKey.get()) || lsGet('api_key') || '';
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers['X-Api-Key'] = key;
+    return headers;
+  }
   function lsSet(k, v) {
     try {
       localStorage.setItem(k, v);
@@ -572,8 +603,9 @@
     // Prompt for master password
     return new Promise((resolve) => {
       const promptHtml =
-        '<div id="torrServerMasterPwdModal" class="modal" style="display:flex;z-index:1200">\n  <div class="modal-dialog">\n    <div class="modal-header">Мастер-пароль</div>\n    <div class="modal-body">\n      <p>Введите мастер-пароль для расшифровки сохраненных паролей.</p>\n      <input type="password" id="tsMasterPwdPrompt" placeholder="Мастер-пароль" class="mb10" autofocus />\n      <div class="modal-error" id="tsMasterPwdErr" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="tsMasterPwdCancel" class="btn-secondary">Отмена</button>\n      <button type="button" id="tsMasterPwdOk" class="btn-primary">OK</button>\n    </div>\n  </div>\n</div>';
+        '<div id="torrServerMasterPwdModal" class="modal" style="display:flex;z-index:1200">\n  <div class="modal-dialog">\n    <div class="modal-header" data-i18n="ts_master"></div>\n    <div class="modal-body">\n      <p data-i18n="ts_master_prompt"></p>\n      <input type="password" id="tsMasterPwdPrompt" data-i18n-placeholder="ts_master" class="mb10" autofocus />\n      <div class="modal-error" id="tsMasterPwdErr" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="tsMasterPwdCancel" class="btn-secondary" data-i18n="common_cancel"></button>\n      <button type="button" id="tsMasterPwdOk" class="btn-primary">OK</button>\n    </div>\n  </div>\n</div>';
       $('body').append(promptHtml);
+      localizeMarkup('torrServerMasterPwdModal');
       $('#tsMasterPwdPrompt').focus();
 
       const cleanup = () => {
@@ -593,7 +625,7 @@
 
         const pwd = $('#tsMasterPwdPrompt').val();
         if (!pwd) {
-          $('#tsMasterPwdErr').text('Введите мастер-пароль').show();
+          $('#tsMasterPwdErr').text(t('ts_master_empty')).show();
           return;
         }
 
@@ -608,7 +640,7 @@
             cleanup();
             resolve(true);
           } else {
-            $('#tsMasterPwdErr').text('Неверный мастер-пароль').show();
+            $('#tsMasterPwdErr').text(t('ts_master_wrong')).show();
             $('#tsMasterPwdPrompt').val('').focus();
           }
         } finally {
@@ -822,8 +854,9 @@
   function ensureMarkup() {
     if ($('#torrServerModal').length) return;
     const html =
-      '<div id="torrServerModal" class="modal" style="display:none">\n  <div class="modal-dialog">\n    <div class="modal-header">Настройки TorrServer</div>\n    <div class="modal-body">\n      <input type="text" id="tsUrl" placeholder="URL (например http://127.0.0.1:8090)" class="mb10" />\n      <input type="text" id="tsUser" placeholder="Имя пользователя (опционально)" class="mb10" />\n      <input type="password" id="tsPass" placeholder="Пароль (опционально)" class="mb10" />\n      <label class="ts-checkbox"><input type="checkbox" id="tsDirect" /> <span>Прямой режим (из браузера)</span></label>\n      <label class="ts-checkbox"><input type="checkbox" id="tsPersistPassword" /> <span>Сохранить пароль (зашифрован в localStorage)</span></label>\n      <hr />\n      <div class="ts-master-pwd-section">\n        <div><strong>Мастер-пароль для шифрования (опционально)</strong></div>\n        <div>Мастер-пароль обеспечивает реальную защиту паролей. Без него используется только обфускация (небезопасно).</div>\n        <input type="password" id="tsMasterPwd" placeholder="Мастер-пароль (оставьте пустым, чтобы не изменять)" class="mb10" />\n        <input type="password" id="tsMasterPwdConfirm" placeholder="Подтверждение мастер-пароля" class="mb10" />\n        <label class="ts-checkbox"><input type="checkbox" id="tsClearMasterPwd" /> <span>Очистить мастер-пароль</span></label>\n        <div id="tsMasterPwdStatus"></div>\n      </div>\n      <div class="ts-actions-row">\n        <button type="button" id="tsTest" class="btn-tertiary ts-test-btn">Тест соединения</button>\n      </div>\n      <div class="ts-hint">Добавление торрентов всегда через /torrents. Прямой режим требует CORS допуска или авторизованной вкладки.</div>\n      <div class="modal-error" id="tsErr" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="tsCancel" class="btn-secondary">Отмена</button>\n      <button type="button" id="tsSave" class="btn-primary">Сохранить</button>\n    </div>\n  </div>\n</div>';
+      '<div id="torrServerModal" class="modal" style="display:none">\n  <div class="modal-dialog">\n    <div class="modal-header" data-i18n="nav_torrserver"></div>\n    <div class="modal-body">\n      <input type="text" id="tsUrl" data-i18n-placeholder="ts_url_placeholder" class="mb10" />\n      <input type="text" id="tsUser" data-i18n-placeholder="ts_user_placeholder" class="mb10" />\n      <input type="password" id="tsPass" data-i18n-placeholder="ts_pass_placeholder" class="mb10" />\n      <label class="ts-checkbox"><input type="checkbox" id="tsDirect" /> <span data-i18n="ts_direct"></span></label>\n      <label class="ts-checkbox"><input type="checkbox" id="tsPersistPassword" /> <span data-i18n="ts_persist_password"></span></label>\n      <hr />\n      <div class="ts-master-pwd-section">\n        <div><strong data-i18n="ts_master_section"></strong></div>\n        <div data-i18n="ts_master_info"></div>\n        <input type="password" id="tsMasterPwd" data-i18n-placeholder="ts_master_new_placeholder" class="mb10" />\n        <input type="password" id="tsMasterPwdConfirm" data-i18n-placeholder="ts_master_confirm_placeholder" class="mb10" />\n        <label class="ts-checkbox"><input type="checkbox" id="tsClearMasterPwd" /> <span data-i18n="ts_master_clear"></span></label>\n        <div id="tsMasterPwdStatus"></div>\n      </div>\n      <div class="ts-actions-row">\n        <button type="button" id="tsTest" class="btn-tertiary ts-test-btn" data-i18n="ts_test"></button>\n      </div>\n      <div class="ts-hint" data-i18n="ts_hint"></div>\n      <div class="modal-error" id="tsErr" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="tsCancel" class="btn-secondary" data-i18n="common_cancel"></button>\n      <button type="button" id="tsSave" class="btn-primary" data-i18n="common_save"></button>\n    </div>\n  </div>\n</div>';
     $('body').append(html);
+    localizeMarkup('torrServerModal');
   }
 
   /**
@@ -857,11 +890,9 @@
     $('#tsClearMasterPwd').prop('checked', false);
     const hasMasterPwd = hasMasterPassword();
     if (hasMasterPwd) {
-      $('#tsMasterPwdStatus').text('✓ Мастер-пароль установлен').css('color', '#2d7d46');
+      $('#tsMasterPwdStatus').text(t('ts_master_set')).css('color', '#2d7d46');
     } else {
-      $('#tsMasterPwdStatus')
-        .text('⚠ Мастер-пароль не установлен (используется обфускация)')
-        .css('color', '#c0392b');
+      $('#tsMasterPwdStatus').text(t('ts_master_unset')).css('color', '#c0392b');
     }
 
     $('#tsErr').hide().text('');
@@ -893,16 +924,16 @@
    */
   function validateUrl(url) {
     if (!url) {
-      return 'Укажите URL';
+      return t('ts_url_required');
     }
     try {
       const urlObj = new URL(url);
       if (!['http:', 'https:'].includes(urlObj.protocol)) {
-        return 'Используйте http:// или https://';
+        return t('ts_url_scheme');
       }
       return null;
     } catch (e) {
-      return 'Неверный формат URL';
+      return t('ts_url_invalid');
     }
   }
 
@@ -933,27 +964,27 @@
     if (clearMasterPwd) {
       // Clear master password
       await setMasterPassword('');
-      $('#tsMasterPwdStatus').text('Мастер-пароль очищен').css('color', '#666');
+      $('#tsMasterPwdStatus').text(t('ts_master_cleared')).css('color', '#666');
     } else if (masterPwd) {
       // Set or update master password
       if (masterPwd !== masterPwdConfirm) {
-        $('#tsErr').text('Мастер-пароли не совпадают').show();
+        $('#tsErr').text(t('ts_master_mismatch')).show();
         $('#tsMasterPwdConfirm').focus();
         return;
       }
       if (masterPwd.length < 8) {
-        $('#tsErr').text('Мастер-пароль должен содержать минимум 8 символов').show();
+        $('#tsErr').text(t('ts_master_too_short')).show();
         $('#tsMasterPwd').focus();
         return;
       }
       const success = await setMasterPassword(masterPwd);
       if (success) {
-        $('#tsMasterPwdStatus').text('✓ Мастер-пароль установлен').css('color', '#2d7d46');
+        $('#tsMasterPwdStatus').text(t('ts_master_set')).css('color', '#2d7d46');
         // WARNING: When master password is changed, passwords encrypted with the old master
         // password cannot be decrypted with the new one. Users will need to re-enter their
         // passwords. The old encrypted passwords will remain in storage but will be inaccessible.
       } else {
-        $('#tsErr').text('Не удалось установить мастер-пароль').show();
+        $('#tsErr').text(t('ts_master_set_failed')).show();
         return;
       }
     }
@@ -1048,32 +1079,31 @@
     })
       .then((r) => {
         clearTimeout(timeoutId);
-        return r.text().then((t) => ({ r, t }));
+        return r.text().then((body) => ({ r, body }));
       })
-      .then(({ r, t }) => {
+      .then(({ r, body }) => {
         if (r.ok) {
-          toast('Отправлено (прямой режим)', 'ok');
+          toast(t('ts_sent_direct'), 'ok');
         } else {
-          let msg = 'Прямой (' + r.status + ')';
-          if (r.status === 403)
-            msg +=
-              ' — возможно Cloudflare / Access cookie отсутствует. Откройте ' +
-              base +
-              ' во вкладке и авторизуйтесь';
-          if (r.status === 401) msg += ' — проверьте логин/пароль';
-          if (!t) msg += ' — пустой ответ';
+          let msg = t('ts_direct_status', { status: r.status });
+          if (r.status === 403) msg += ' — ' + t('ts_direct_access', { url: base });
+          if (r.status === 401) msg += ' — ' + t('ts_direct_auth');
+          if (!body) msg += ' — ' + t('ts_direct_empty');
           toast(msg, 'err');
           if (debug) {
-            console.warn('Direct TorrServer debug', { status: r.status, body: t?.slice(0, 400) });
+            console.warn('Direct TorrServer debug', {
+              status: r.status,
+              body: body?.slice(0, 400),
+            });
           }
         }
       })
       .catch((e) => {
         clearTimeout(timeoutId);
         if (e.name === 'AbortError') {
-          toast('Превышено время ожидания', 'err');
+          toast(t('ts_timeout'), 'err');
         } else {
-          toast('Прямой режим: сеть/корс ошибка', 'err');
+          toast(t('ts_direct_network'), 'err');
         }
         if (debug) {
           console.warn('Direct TorrServer network error', e);
@@ -1099,7 +1129,7 @@
     const masterPwdOk = await promptMasterPasswordIfNeeded();
     if (!masterPwdOk) {
       // User cancelled master password prompt
-      toast('Требуется мастер-пароль для расшифровки пароля', 'err');
+      toast(t('ts_master_required'), 'err');
       return;
     }
     // Retrieve password from obfuscated storage or session memory
@@ -1112,7 +1142,7 @@
     const showCodes = debug; // expose error code only when debug flag set
     fetch('/api/torrserver/add', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: proxyHeaders(),
       body: JSON.stringify({
         magnet,
         url: conf.url,
@@ -1124,22 +1154,20 @@
       .then((r) => r.json().catch(() => ({ ok: false, error: 'bad-json-response' })))
       .then((j) => {
         if (j.ok) {
-          toast('Отправлено в TorrServer', 'ok');
+          toast(t('ts_sent'), 'ok');
         } else {
-          let msg = 'Ошибка (' + (j.status || '?') + ')';
+          let msg = t('ts_error_status', { status: j.status || '?' });
           if (j.error) msg += ': ' + j.error;
           if (showCodes && j.code) msg += ' [' + j.code + ']';
           if (j.authHint) msg += ' | ' + j.authHint;
-          if (j.cloudflareAccess)
-            msg +=
-              ' | Cloudflare Access/Firewall блокирует запрос – нужен публичный доступ или прямой режим';
+          if (j.cloudflareAccess) msg += ' | ' + t('ts_cf_blocked');
           toast(msg, 'err');
           if (j.attempts) {
             console.warn('TorrServer attempts debug', j.attempts);
           }
         }
       })
-      .catch(() => toast('Ошибка сети', 'err'));
+      .catch(() => toast(t('ts_network_error'), 'err'));
   }
 
   /**
@@ -1149,7 +1177,7 @@
   function openSettings() {
     showModal().then((changed) => {
       if (changed) {
-        toast('Настройки сохранены', 'ok');
+        toast(t('ts_settings_saved'), 'ok');
       }
     });
   }
@@ -1171,31 +1199,31 @@
     const password = $('#tsPass').val(); // Use password from form input for testing
     const debug = !!localStorage.getItem('torrserver_debug');
     const btn = $('#tsTest');
-    btn.prop('disabled', true).text('Тест...');
+    btn.prop('disabled', true).text(t('ts_testing'));
     fetch('/api/torrserver/test', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: proxyHeaders(),
       body: JSON.stringify({ url, username, password, debug }),
     })
       .then((r) => r.json().catch(() => ({ ok: false, error: 'bad-json-response' })))
       .then((j) => {
-        btn.prop('disabled', false).text('Тест соединения');
+        btn.prop('disabled', false).text(t('ts_test'));
         if (j.ok) {
           const ver = j.version ? ' v' + j.version : '';
-          toast('Тест OK (' + j.status + ver + ')', 'ok');
+          toast(t('ts_test_ok', { status: j.status + ver }), 'ok');
         } else {
-          let msg = 'Не удалось (' + (j.status || '?') + ')';
+          let msg = t('ts_test_failed', { status: j.status || '?' });
           if (j.authHint) msg += ' | ' + j.authHint;
-          if (j.cloudflareAccess) msg += ' | Cloudflare Access блокирует';
+          if (j.cloudflareAccess) msg += ' | ' + t('ts_test_cf_access');
           if (j.error) msg += ' | ' + j.error;
           if (debug && j.code) msg += ' [' + j.code + ']';
           $('#tsErr').text(msg).show();
         }
       })
       .catch((e) => {
-        btn.prop('disabled', false).text('Тест соединения');
+        btn.prop('disabled', false).text(t('ts_test'));
         $('#tsErr')
-          .text('Сеть: ' + e.message)
+          .text(t('ts_test_network', { error: e.message }))
           .show();
       });
   });
@@ -1242,9 +1270,10 @@
   global.TorrServer = TorrServer;
 
   // Hook buttons after dynamic results rendering: delegated event
+  // (source rows of grouped results carry their own magnet)
   $(document).on('click', 'a.torrserver-send', function (e) {
     e.preventDefault();
-    const magnet = $(this).closest('.webResult').find('a.magneto').attr('href');
+    const magnet = $(this).closest('.group-source, .actions-right').find('a.magneto').attr('href');
     if (magnet) sendMagnet(magnet);
   });
   $(document).on('click', '#torrServerSettingsBtn', function (e) {
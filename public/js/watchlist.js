@@ -0,0 +1,290 @@
+/**
+ * watchlist.js - Followed Searches (Watchlist)
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Lets the user follow a search (query, exact flag and filters) so the
+ *   worker re-runs it on a schedule and notifies about new releases. The
+ *   list itself lives in the worker (`/api/watchlist`, per API key); this
+ *   module only renders it.
+ *
+ * Panel
+ *   Opened from #watchlistBtn in the page header. Shows every followed
+ *   search with its last check / last new releases, a link that reopens the
+ *   search, and "Check now" / "Remove" buttons. "Follow current search" adds
+ *   the search shown on the page. Push notification settings (push.js) are
+ *   shown below the list when the deployment supports them.
+ *
+ * Filters
+ *   Filter names match the search page controls, shareable URLs and the
+ *   worker's `/api/torrents` filter parameters.
+ *
+ * Public API
+ *   Watchlist.open()         - Show the panel and load the list
+ *   Watchlist.follow(state)  - Follow { q, exact, filters } (index.js state);
+ *                              resolves to the created or existing entry
+ *   Watchlist.setCurrent(fn) - Register a provider of the current search state
+ *                              (used by "Follow current search")
+ */
+(function (global) {
+  const API_BASE = '/api';
+  const TOAST_DISPLAY_MS = 3000;
+
+  let currentState = () => null;
+
+  /**
+   * Translate a UI message via i18n.js (falls back to the key if the module is missing)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  function t(key, params) {
+    return global.I18n ? global.I18n.t(key, params) : key;
+  }
+
+  /**
+   * Localized date/time of an ISO timestamp
+   * @param {string} iso - ISO timestamp
+   * @returns {string}
+   */
+  function formatTime(iso) {
+    const locale = global.I18n ? global.I18n.locale() : undefined;
+    return new Date(iso).toLocaleString(locale);
+  }
+
+  /**
+   * Call the watchlist API with the stored API key and the UI locale (for
+   * localized error messages)
+   * @param {string} path - Path below /api/watchlist
+   * @param {Object} [body] - JSON body (sends a POST)
+   * @returns {Promise<Object>} - Parsed JSON; rejects with the worker's error message
+   */
+  function api(path, body) {
+    const key = global.ApiKey && global.ApiKey.get();
+    const headers = key ? { 'X-Api-Key': key } : {};
+    const init = { headers };
+    if (body !== undefined) {
+      init.method = 'POST';
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const lang = global.I18n ? '?lang=' + encodeURIComponent(global.I18n.locale()) : '';
+    return fetch(API_BASE + '/watchlist' + path + lang, init).then((r) =>
+      r.json().then(
+        (data) => {
+          if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+          return data;
+        },
+        () => {
+          throw new Error(`HTTP ${r.status}`);
+        }
+      )
+    );
+  }
+
+  /**
+   * Drop empty search page filters before sending them to the worker
+   * @param {Object<string, string>} filters - Filters by control name
+   * @returns {Object<string, string>}
+   */
+  function toApiFilters(filters) {
+    const out = {};
+    Object.keys(filters || {}).forEach((name) => {
+      if (filters[name]) out[name] = filters[name];
+    });
+    return out;
+  }
+
+  /**
+   * Search page URL (see index.js URL state) reopening a followed search
+   * @param {Object} entry - Watchlist entry from the worker
+   * @returns {string}
+   */
+  function searchUrl(entry) {
+    const params = new URLSearchParams({ q: entry.query });
+    if (entry.exact) params.set('exact', '1');
+    Object.keys(entry.filters || {}).forEach((name) => params.set(name, entry.filters[name]));
+    return '/?' + params.toString();
+  }
+
+  /**
+   * Show a short status message at the bottom of the page
+   * @param {string} msg - Message text
+   * @param {string} [type] - 'err' for errors
+   */
+  function toast(msg, type) {
+    let $box = $('#watchToast');
+    if (!$box.length) {
+      $box = $('<div id="watchToast" class="watch-toast" role="status" aria-live="polite"></div>');
+      $('body').append($box);
+    }
+    const $el = $('<div class="watch-toast-item"></div>')
+      .toggleClass('watch-toast-err', type === 'err')
+      .text(msg);
+    $box.append($el);
+    setTimeout(() => $el.fadeOut(400, () => $el.remove()), TOAST_DISPLAY_MS);
+  }
+
+  /* ========================================================================
+   * PANEL
+   * ======================================================================== */
+
+  /**
+   * Inject the panel markup if not already present
+   */
+  function ensureMarkup() {
+    if ($('#watchlistModal').length) return;
+    $('body').append(
+      '<div id="watchlistModal" class="modal" style="display:none" role="dialog" aria-modal="true" aria-labelledby="watchlistTitle">\n  <div class="modal-dialog watch-dialog">\n    <div class="modal-header" id="watchlistTitle" data-i18n="nav_watchlist"></div>\n    <div class="modal-body">\n      <button type="button" id="watchFollowCurrent" class="btn-tertiary mb10" data-i18n="watch_follow_current"></button>\n      <ul id="watchlistEntries" class="watch-list"></ul>\n      <div id="watchlistInfo" class="watch-info"></div>\n      <div id="watchPush" class="watch-push" style="display:none"></div>\n      <div class="modal-error" id="watchlistErr" style="display:none"></div>\n    </div>\n    <div class="modal-footer">\n      <button type="button" id="watchlistClose" class="btn-secondary" data-i18n="common_close"></button>\n    </div>\n  </div>\n</div>'
+    );
+    if (global.I18n) global.I18n.apply(document.getElementById('watchlistModal'));
+  }
+
+  /**
+   * Render one entry
+   * @param {Object} entry - Watchlist entry from the worker
+   * @returns {jQuery}
+   */
+  function renderEntry(entry) {
+    const filters = Object.keys(entry.filters || {})
+      .map((name) => entry.filters[name])
+      .join(', ');
+    const status = [
+      entry.lastCheckedAt
+        ? t('watch_checked', { time: formatTime(entry.lastCheckedAt) })
+        : t('watch_never'),
+    ];
+    if (entry.lastNewAt)
+      status.push(t('watch_new', { count: entry.lastNewCount, time: formatTime(entry.lastNewAt) }));
+    const $li = $('<li class="watch-entry"></li>').attr('data-id', entry.id);
+    const $main = $('<div class="watch-entry-main"></div>').append(
+      $('<a class="watch-entry-query"></a>').attr('href', searchUrl(entry)).text(entry.query),
+      filters ? $('<span class="watch-entry-filters"></span>').text(filters) : null,
+      $('<div class="watch-entry-status"></div>').text(status.join(' · ')),
+      entry.lastError ? $('<div class="watch-entry-error"></div>').text(t('watch_error')) : null
+    );
+    const $actions = $('<div class="watch-entry-actions"></div>').append(
+      $('<button type="button" class="btn-tertiary watch-check"></button>').text(t('watch_check')),
+      $('<button type="button" class="btn-secondary watch-remove"></button>').text(
+        t('watch_remove')
+      )
+    );
+    return $li.append($main, $actions);
+  }
+
+  /**
+   * Render the list returned by GET /api/watchlist
+   * @param {{entries: Object[], limit: number, notify: string[]}} data
+   */
+  function renderList(data) {
+    const entries = data.entries || [];
+    const $list = $('#watchlistEntries').empty();
+    if (!entries.length) $list.append($('<li class="watch-empty"></li>').text(t('watch_empty')));
+    entries.forEach((entry) => $list.append(renderEntry(entry)));
+    const info = [t('watch_limit', { count: entries.length, limit: data.limit })];
+    if (data.notify && data.notify.length)
+      info.push(t('watch_notify', { sinks: data.notify.join(', ') }));
+    $('#watchlistInfo').text(info.join(' · '));
+  }
+
+  /**
+   * Show an error inside the panel
+   * @param {Error} err
+   */
+  function showError(err) {
+    $('#watchlistErr')
+      .text(err.message || t('watch_load_failed'))
+      .show();
+  }
+
+  /**
+   * Reload the list from the worker
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    $('#watchlistErr').hide().text('');
+    return api('')
+      .then(renderList)
+      .catch((err) => {
+        $('#watchlistEntries').empty();
+        showError(err);
+      });
+  }
+
+  /**
+   * Show the panel and load the list
+   */
+  function open() {
+    ensureMarkup();
+    $('#watchlistModal').show();
+    $('#watchlistClose').trigger('focus');
+    refresh();
+    if (global.Push) global.Push.mount(document.getElementById('watchPush'));
+  }
+
+  /**
+   * Hide the panel and return focus to the header button
+   */
+  function close() {
+    $('#watchlistModal').hide();
+    $('#watchlistBtn').trigger('focus');
+  }
+
+  /**
+   * Follow a search
+   * @param {{q: string, exact: boolean, filters: Object}|null} state - Search page state
+   * @returns {Promise<Object|null>} - Entry, or null when there is nothing to follow / it failed
+   */
+  function follow(state) {
+    if (!state || !state.q) {
+      toast(t('watch_no_search'), 'err');
+      return Promise.resolve(null);
+    }
+    return api('', { query: state.q, exact: !!state.exact, filters: toApiFilters(state.filters) })
+      .then((data) => {
+        toast(t(data.created ? 'watch_followed' : 'watch_already'));
+        if ($('#watchlistModal').is(':visible')) refresh();
+        return data.entry;
+      })
+      .catch((err) => {
+        toast(err.message, 'err');
+        return null;
+      });
+  }
+
+  $(document).on('click', '#watchlistBtn', function (e) {
+    e.preventDefault();
+    open();
+  });
+  $(document).on('click', '#watchlistClose', close);
+  $(document).on('click', '#watchlistModal', function (e) {
+    if (e.target === this) close();
+  });
+  $(document).on('keydown', function (e) {
+    if (e.key === 'Escape' && $('#watchlistModal').is(':visible')) close();
+  });
+  $(document).on('click', '#watchFollowCurrent', () => follow(currentState()));
+  $(document).on('click', '.watch-check, .watch-remove', function () {
+    const $btn = $(this);
+    const id = $btn.closest('.watch-entry').attr('data-id');
+    const remove = $btn.hasClass('watch-remove');
+    $btn.prop('disabled', true);
+    api('/' + encodeURIComponent(id) + (remove ? '/delete' : '/check'), {})
+      .then((data) => {
+        if (!remove) toast(t('watch_check_result', { count: (data.newItems || []).length }));
+        return refresh();
+      })
+      .catch((err) => {
+        $btn.prop('disabled', false);
+        showError(err);
+      });
+  });
+
+  global.Watchlist = {
+    open,
+    follow,
+    setCurrent(fn) {
+      currentState = typeof fn === 'function' ? fn : () => null;
+    },
+  };
+})(window);
@@ -0,0 +1,265 @@
+/**
+ * sw.js - Service Worker
+ * ---------------------------------------------------------------------------
+ *
+ * Purpose
+ *   Keeps the search and stats pages usable offline and shows Web Push
+ *   notifications sent by the worker (`src/lib/push.ts`). Registered by
+ *   offline.js from the site root so its scope covers every page.
+ *
+ * Offline
+ *   - Install precaches both pages, the PWA manifest, jQuery and every
+ *     hashed asset listed in /asset-manifest.json (`npm run build:prod`;
+ *     builds without hashing cache assets as they are loaded instead).
+ *     copy-static.mjs stamps ASSET_VERSION with a hash of every copied file
+ *     (with or without hashing), so each deploy that changes an asset
+ *     installs a new worker and drops the previous static cache.
+ *   - Pages: network first, falling back to the cached page.
+ *   - Assets (css/js/img, fonts, jQuery): cache first, refreshed in the
+ *     background.
+ *   - Data (/api/torrents, /api/stats/torrents, /api/i18n/*, /lastupdatedb):
+ *     network first; successful responses are kept (last DATA_MAX_ENTRIES)
+ *     with an `X-SW-Cached-At` header, which is what the page sees when the
+ *     network fails. Cache-busting params (`_`, `ts`) are ignored.
+ *
+ * Push
+ *   Payload JSON { title, body, url, tag } (see PushMessage). A notification
+ *   with the same tag replaces the previous one; clicking it focuses an open
+ *   tab of the site (navigating it to `url`) or opens a new one.
+ */
+const ASSET_VERSION = '__ASSET_VERSION__';
+const STATIC_CACHE_PREFIX = 'jacred-static-';
+const STATIC_CACHE = STATIC_CACHE_PREFIX + ASSET_VERSION;
+const DATA_CACHE = 'jacred-data-v1';
+const DATA_MAX_ENTRIES = 50;
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+const PRECACHE = ['/', '/stats', '/manifest.json', '/img/icon-192x192.png'];
+const EXTERNAL_PRECACHE = ['https://code.jquery.com/jquery-3.7.1.min.js'];
+const EXTERNAL_HOSTS = ['code.jquery.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const DATA_PATHS = [
+  /^\/api\/torrents\/?$/,
+  /^\/api\/stats\/torrents\/?$/,
+  /^\/api\/i18n\//,
+  /^\/lastupdatedb$/,
+];
+const ASSET_PATHS = /^\/(?:css|js|img|assets)\//;
+const STATS_PAGES = ['/stats', '/stats/', '/stats.html'];
+const IGNORED_PARAMS = ['_', 'ts'];
+const ICON = '/img/icon-192x192.png';
+
+/* ==========================================================================
+ * LIFECYCLE
+ * ========================================================================== */
+
+/**
+ * Hashed asset paths from the build manifest ([] when the build is not hashed)
+ * @returns {Promise<string[]>}
+ */
+function manifestAssets() {
+  return fetch('/asset-manifest.json', { cache: 'no-store' })
+    .then((r) => (r.ok ? r.json() : {}))
+    .then((manifest) => Object.values(manifest).map((p) => '/' + String(p).replace(/\\/g, '/')))
+    .catch(() => []);
+}
+
+self.addEventListener('install', (event) => {
+  // Entries are added one by one: a missing file must not fail the install
+  // (push notifications depend on this worker too).
+  event.waitUntil(
+    Promise.all([caches.open(STATIC_CACHE), manifestAssets()])
+      .then(([cache, assets]) =>
+        Promise.all(
+          PRECACHE.concat(assets)
+            .map((url) => cache.add(new Request(url, { cache: 'reload' })).catch(() => {}))
+            .concat(
+              EXTERNAL_PRECACHE.map((url) =>
+                fetch(url, { mode: 'cors' })
+                  .then((resp) => resp.ok && cache.put(url, resp))
+                  .catch(() => {})
+              )
+            )
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(STATIC_CACHE_PREFIX) && name !== STATIC_CACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ==========================================================================
+ * FETCH STRATEGIES
+ * ========================================================================== */
+
+/**
+ * Data cache key: the URL without cache-busting params
+ * @param {URL} url
+ * @returns {string}
+ */
+function dataKey(url) {
+  const key = new URL(url.href);
+  IGNORED_PARAMS.forEach((name) => key.searchParams.delete(name));
+  return key.href;
+}
+
+/**
+ * Copy of a response carrying the time it was cached
+ * @param {Response} resp
+ * @returns {Promise<Response>}
+ */
+function stamped(resp) {
+  const headers = new Headers(resp.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return resp
+    .blob()
+    .then(
+      (body) => new Response(body, { status: resp.status, statusText: resp.statusText, headers })
+    );
+}
+
+/**
+ * Drop the oldest data entries beyond DATA_MAX_ENTRIES (keys are in insertion order)
+ * @param {Cache} cache
+ * @returns {Promise<void>}
+ */
+function trimData(cache) {
+  return cache
+    .keys()
+    .then((keys) =>
+      Promise.all(
+        keys.slice(0, Math.max(0, keys.length - DATA_MAX_ENTRIES)).map((k) => cache.delete(k))
+      )
+    );
+}
+
+/**
+ * Network first; successful responses are stored, the stored copy answers when offline
+ * @param {FetchEvent} event
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+function networkFirstData(event, url) {
+  const key = dataKey(url);
+  return fetch(event.request).then(
+    (resp) => {
+      if (resp.ok)
+        event.waitUntil(
+          Promise.all([caches.open(DATA_CACHE), stamped(resp.clone())]).then(([cache, copy]) =>
+            cache.put(key, copy).then(() => trimData(cache))
+          )
+        );
+      return resp;
+    },
+    (err) =>
+      caches.match(key, { cacheName: DATA_CACHE }).then((hit) => {
+        if (hit) return hit;
+        throw err;
+      })
+  );
+}
+
+/**
+ * Network first for the two pages, falling back to the cached copy
+ * @param {FetchEvent} event
+ * @param {string} page - '/' or '/stats'
+ * @returns {Promise<Response>}
+ */
+function networkFirstPage(event, page) {
+  return fetch(event.request).then(
+    (resp) => {
+      if (resp.ok)
+        event.waitUntil(caches.open(STATIC_CACHE).then((c) => c.put(page, resp.clone())));
+      return resp;
+    },
+    (err) =>
+      caches.match(page, { cacheName: STATIC_CACHE }).then((hit) => {
+        if (hit) return hit;
+        throw err;
+      })
+  );
+}
+
+/**
+ * Cache first, refreshing the cached copy in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+  return caches.open(STATIC_CACHE).then((cache) =>
+    cache.match(event.request).then((hit) => {
+      const update = fetch(event.request).then((resp) => {
+        if (resp.ok || resp.type === 'opaque') cache.put(event.request, resp.clone());
+        return resp;
+      });
+      if (!hit) return update;
+      event.waitUntil(update.catch(() => {}));
+      return hit;
+    })
+  );
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) {
+    if (EXTERNAL_HOSTS.includes(url.host)) event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (DATA_PATHS.some((re) => re.test(url.pathname))) {
+    event.respondWith(networkFirstData(event, url));
+  } else if (req.mode === 'navigate') {
+    if (STATS_PAGES.includes(url.pathname)) event.respondWith(networkFirstPage(event, '/stats'));
+    else if (url.pathname === '/' || url.pathname === '/index.html')
+      event.respondWith(networkFirstPage(event, '/'));
+  } else if (ASSET_PATHS.test(url.pathname) || url.pathname === '/manifest.json') {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+/* ==========================================================================
+ * PUSH
+ * ========================================================================== */
+
+self.addEventListener('push', (event) => {
+  let data;
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Jacred', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: ICON,
+      badge: ICON,
+      data: { url: data.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = (event.notification.data && event.notification.data.url) || '/';
+  const url = new URL(target, self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (!open) return self.clients.openWindow(url);
+      return open.focus().then((w) => (w.url === url ? w : w.navigate(url)));
+    })
+  );
+});
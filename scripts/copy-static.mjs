@@ -2,7 +2,10 @@
 /**
  * Enhanced copy-static.mjs
  * - Copies static assets into dist/
- * - Optional hashing for .css/.js when ASSET_HASH=1 (updates HTML refs)
+ * - Optional hashing for .css/.js when ASSET_HASH=1 (updates HTML refs); the service
+ *   worker keeps its name (browsers re-fetch it from a fixed URL)
+ * - Stamps the service worker's ASSET_VERSION with a hash of every copied file (hashed or
+ *   not), so every deploy with changed assets installs a new worker
  * - Generates asset-manifest.json (original -> hashed path)
  * - Writes dist/.cloudflareignore
  */
@@ -22,7 +25,10 @@ const entries = fs.existsSync(publicRoot)
   : ['index.html', 'stats.html', 'css', 'js', 'img']; // fallback (legacy)
 const enableHash = !!process.env.ASSET_HASH;
 const manifest = {}; // original relative -> hashed relative
+const fileHashes = {}; // relative path -> content hash of the copied file (ASSET_VERSION input)
 const enableMinify = !!process.env.MINIFY;
+// Never hashed: registered by URL and must stay at the site root to control every page
+const stableNames = new Set(['sw.js']);
 
 function hashContent(buf) {
   return crypto.createHash('sha256').update(buf).digest('hex').slice(0, 10);
@@ -36,7 +42,7 @@ async function copyRecursive(src, dest, rel = '') {
       await copyRecursive(path.join(src, file), path.join(dest, file), path.join(rel, file));
     }
   } else {
-    if (enableHash && /\.(css|js)$/i.test(src)) {
+    if (enableHash && /\.(css|js)$/i.test(src) && !stableNames.has(rel)) {
       let buf = fs.readFileSync(src);
       if (enableMinify) {
         try {
@@ -54,6 +60,7 @@ async function copyRecursive(src, dest, rel = '') {
         }
       }
       const h = hashContent(buf);
+      fileHashes[rel] = h;
       const parsed = path.parse(dest);
       const hashedName = `${parsed.name}.${h}${parsed.ext}`;
       const outPath = path.join(parsed.dir, hashedName);
@@ -80,6 +87,7 @@ async function copyRecursive(src, dest, rel = '') {
       } else {
         fs.copyFileSync(src, dest);
       }
+      fileHashes[rel] = hashContent(fs.readFileSync(dest));
     }
   }
 }
@@ -117,6 +125,15 @@ async function run() {
     fs.writeFileSync(path.join(dist, 'asset-manifest.json'), JSON.stringify(manifest, null, 2));
   }
 
+  // Sorted so the version does not depend on directory listing order
+  const sw = path.join(dist, 'sw.js');
+  if (fs.existsSync(sw)) {
+    const fileList = Object.entries(fileHashes).sort(([a], [b]) => (a < b ? -1 : 1));
+    const version = hashContent(Buffer.from(JSON.stringify(fileList)));
+    const code = fs.readFileSync(sw, 'utf8').replace(/__ASSET_VERSION__/g, version);
+    fs.writeFileSync(sw, code, 'utf8');
+  }
+
   const ignoreContent = `# dist/.cloudflareignore\n# Only upload built assets & worker.\nnode_modules\nsrc\nscripts\n*.ts\npackage.json\npackage-lock.json\ntsconfig.json\n`;
   fs.writeFileSync(path.join(dist, '.cloudflareignore'), ignoreContent, 'utf8');
 
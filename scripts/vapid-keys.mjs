@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * vapid-keys.mjs
+ * - Generates a VAPID key pair (P-256) for Web Push
+ * - Prints VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY as base64url (the format the worker reads)
+ * - Store the private key as a secret: wrangler pages secret put VAPID_PRIVATE_KEY
+ */
+import { webcrypto } from 'node:crypto';
+
+const { subtle } = webcrypto;
+const keys = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign']);
+const publicKey = Buffer.from(await subtle.exportKey('raw', keys.publicKey)).toString('base64url');
+const { d: privateKey } = await subtle.exportKey('jwk', keys.privateKey);
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
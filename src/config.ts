@@ -4,11 +4,22 @@ import {
   DEFAULT_TORRSERVER_TIMEOUT_MS,
 } from './lib/constants';
 import type { EnvLike } from './lib/constants';
+import { parseRateLimits, type RateLimitConfig } from './lib/rateLimit';
+import { parseUpstreamOrigins, type UpstreamOrigin } from './lib/origins';
+import { parseCacheWindows, type CacheWindows } from './lib/cachePolicy';
+import { parseLoggingConfig, type LoggingConfig } from './lib/logging';
+import { parseWatchNotifyConfig, type WatchNotifyConfig } from './lib/watchNotify';
 
 export interface ResolvedConfig {
-  upstreamOrigin: string;
+  upstreamOrigin: string; // primary origin (cache keys, single-origin fetches)
+  upstreamOrigins: UpstreamOrigin[]; // failover candidates (UPSTREAM_ORIGINS, else [upstreamOrigin])
+  upstreamMode: 'failover' | 'fanout'; // fanout: /api/torrents queries every origin and merges
   upstreamTimeoutMs: number;
   torrTimeoutMs: number;
+  rateLimits: RateLimitConfig | null; // null = rate limiting disabled
+  cacheWindows: CacheWindows; // fresh / stale-while-revalidate / stale-if-error per route
+  logging: LoggingConfig; // structured request log sink + sampling
+  watchNotify: WatchNotifyConfig; // watchlist notification sinks
 }
 
 /**
@@ -30,9 +41,26 @@ function parseEnvInt(value: string | undefined, defaultValue: number, name: stri
   return parsed;
 }
 
+/**
+ * Pins a configuration to a single upstream origin (structured API keys with their own
+ * `upstreamOrigin`): no failover to the shared origins.
+ *
+ * @param config - Resolved configuration
+ * @param origin - Origin to use
+ * @returns New configuration using only `origin`
+ */
+export function pinUpstreamOrigin(config: ResolvedConfig, origin: string): ResolvedConfig {
+  return { ...config, upstreamOrigin: origin, upstreamOrigins: [{ origin, weight: 1 }] };
+}
+
 export function resolveConfig(env: EnvLike): ResolvedConfig {
+  const origins = parseUpstreamOrigins(env.UPSTREAM_ORIGINS);
+  const upstreamOrigin = origins.length ? origins[0].origin : getUpstreamOrigin(env);
   return {
-    upstreamOrigin: getUpstreamOrigin(env),
+    upstreamOrigin,
+    upstreamOrigins: origins.length ? origins : [{ origin: upstreamOrigin, weight: 1 }],
+    upstreamMode:
+      (env.UPSTREAM_MODE || '').trim().toLowerCase() === 'fanout' ? 'fanout' : 'failover',
     upstreamTimeoutMs: parseEnvInt(
       env.UPSTREAM_TIMEOUT_MS,
       DEFAULT_UPSTREAM_TIMEOUT_MS,
@@ -43,5 +71,9 @@ export function resolveConfig(env: EnvLike): ResolvedConfig {
       DEFAULT_TORRSERVER_TIMEOUT_MS,
       'TORRSERVER_TIMEOUT_MS'
     ),
+    rateLimits: parseRateLimits(env.RATE_LIMITS),
+    cacheWindows: parseCacheWindows(env.CACHE_WINDOWS),
+    logging: parseLoggingConfig(env),
+    watchNotify: parseWatchNotifyConfig(env),
   };
 }
@@ -0,0 +1,30 @@
+import { emptySnapshot, mergeSnapshots, type MetricsSnapshot } from '../lib/metrics';
+
+// Durable Object summing metric deltas flushed by every isolate (single instance, see
+// flushMetrics()). The body is parsed before the snapshot is read, so only storage calls sit
+// between get and put and the input gate keeps concurrent flushes from interleaving.
+export class MetricsAggregator implements DurableObject {
+  private readonly state: DurableObjectState;
+
+  constructor(state: DurableObjectState) {
+    this.state = state;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    if (request.method === 'GET')
+      return Response.json(
+        (await this.state.storage.get<MetricsSnapshot>('snapshot')) || emptySnapshot()
+      );
+    let delta: MetricsSnapshot;
+    try {
+      delta = (await request.json()) as MetricsSnapshot;
+    } catch {
+      return new Response('expected JSON body', { status: 400 });
+    }
+    if (!delta || typeof delta.counters !== 'object' || typeof delta.histograms !== 'object')
+      return new Response('invalid snapshot', { status: 400 });
+    const total = (await this.state.storage.get<MetricsSnapshot>('snapshot')) || emptySnapshot();
+    await this.state.storage.put('snapshot', mergeSnapshots(total, delta));
+    return new Response(null, { status: 204 });
+  }
+}
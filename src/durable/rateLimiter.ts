@@ -0,0 +1,26 @@
+import { takeToken, type BucketState, type RateLimitSpec } from '../lib/rateLimit';
+
+// Durable Object holding a single token bucket (one instance per bucket id, see consumeToken()).
+// Requests to one instance are serialized by the runtime, so read-modify-write is safe here.
+export class RateLimiter implements DurableObject {
+  private readonly state: DurableObjectState;
+
+  constructor(state: DurableObjectState) {
+    this.state = state;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    let spec: RateLimitSpec;
+    try {
+      spec = (await request.json()) as RateLimitSpec;
+    } catch {
+      return new Response('expected JSON body', { status: 400 });
+    }
+    if (!(spec.capacity > 0) || !(spec.refillPerSec > 0))
+      return new Response('invalid spec', { status: 400 });
+    const previous = await this.state.storage.get<BucketState>('bucket');
+    const result = takeToken(previous, spec, Date.now());
+    await this.state.storage.put('bucket', result.state);
+    return Response.json(result);
+  }
+}
@@ -1,32 +1,250 @@
+export const API_KEY_SCOPES = [
+  'search',
+  'stats',
+  'torrserver',
+  'sync',
+  'admin',
+  'metrics',
+] as const;
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+// Scopes granted when none are listed (and to legacy API_KEY keys). 'admin' and 'metrics'
+// are never implicit.
+export const DEFAULT_API_KEY_SCOPES: readonly ApiKeyScope[] = [
+  'search',
+  'stats',
+  'torrserver',
+  'sync',
+];
+
+// Structured key definition (API_KEYS JSON entry or API_KEYS_KV value).
+export interface ApiKeyRecord {
+  key: string;
+  label?: string;
+  expires?: string; // ISO 8601 date/time; omitted = never expires
+  scopes: ApiKeyScope[];
+  upstreamOrigin?: string; // per-key upstream origin override
+}
+
 export interface ApiKeyInfo {
   keyEnforced: boolean;
   suppliedKey: string | null;
   keyValid: boolean;
   allowedKeys: string[];
+  scopes: ApiKeyScope[]; // all scopes when keys are not enforced, none for invalid keys
+  label?: string;
+  expires?: string;
+  expired?: boolean; // key is known but past its expiry date
+  upstreamOrigin?: string;
+}
+
+/**
+ * Normalizes a structured key definition. Unknown scopes are dropped; a missing scopes
+ * list grants DEFAULT_API_KEY_SCOPES. Records with an invalid upstreamOrigin are rejected.
+ *
+ * @param raw - Parsed JSON value
+ * @param key - Key string (for KV values, which are stored without it)
+ * @returns Normalized record, or null if invalid
+ */
+export function parseApiKeyRecord(raw: unknown, key?: string): ApiKeyRecord | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const k = typeof r.key === 'string' && r.key.trim() ? r.key.trim() : key;
+  if (!k) return null;
+  const scopes = Array.isArray(r.scopes)
+    ? API_KEY_SCOPES.filter((s) => (r.scopes as unknown[]).includes(s))
+    : [...DEFAULT_API_KEY_SCOPES];
+  let upstreamOrigin: string | undefined;
+  if (typeof r.upstreamOrigin === 'string' && r.upstreamOrigin) {
+    try {
+      const u = new URL(r.upstreamOrigin);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      upstreamOrigin = u.origin;
+    } catch {
+      return null;
+    }
+  }
+  return {
+    key: k,
+    label: typeof r.label === 'string' ? r.label : undefined,
+    expires: typeof r.expires === 'string' ? r.expires : undefined,
+    scopes,
+    upstreamOrigin,
+  };
+}
+
+// API_KEYS is parsed once per isolate (keyed by the raw value).
+let keysCache: { raw: string; records: Map<string, ApiKeyRecord> } | null = null;
+
+/**
+ * Parses the API_KEYS environment variable: a JSON array of key definitions, e.g.
+ * `[{"key":"k1","label":"sonarr","expires":"2026-12-31","scopes":["search"]}]`.
+ * Logs a warning and yields no keys when the value is not valid JSON.
+ *
+ * @param raw - Raw API_KEYS value
+ * @returns Map of key string to record
+ */
+export function parseApiKeysJson(raw: string | undefined): Map<string, ApiKeyRecord> {
+  const value = (raw || '').trim();
+  if (keysCache && keysCache.raw === value) return keysCache.records;
+  const records = new Map<string, ApiKeyRecord>();
+  if (value) {
+    try {
+      const parsed: unknown = JSON.parse(value);
+      for (const entry of Array.isArray(parsed) ? parsed : []) {
+        const rec = parseApiKeyRecord(entry);
+        if (rec) records.set(rec.key, rec);
+      }
+    } catch {
+      console.warn('[config] Invalid API_KEYS (expected JSON array), ignoring');
+    }
+  }
+  keysCache = { raw: value, records };
+  return records;
+}
+
+/**
+ * Checks whether a key record is past its expiry date. Unparseable dates count as expired.
+ *
+ * @param record - Key record
+ * @param now - Current time (epoch ms)
+ * @returns True if expired
+ */
+export function isKeyExpired(record: ApiKeyRecord, now = Date.now()): boolean {
+  if (!record.expires) return false;
+  const ts = Date.parse(record.expires);
+  return Number.isNaN(ts) || ts <= now;
+}
+
+function infoFromRecord(
+  base: Omit<ApiKeyInfo, 'keyValid' | 'scopes'>,
+  record: ApiKeyRecord
+): ApiKeyInfo {
+  const expired = isKeyExpired(record);
+  return {
+    ...base,
+    keyValid: !expired,
+    scopes: expired ? [] : record.scopes,
+    label: record.label,
+    expires: record.expires,
+    expired,
+    upstreamOrigin: expired ? undefined : record.upstreamOrigin,
+  };
+}
+
+/**
+ * Extracts the supplied API key. Headers (`Authorization: Bearer <key>`, `X-Api-Key`) take
+ * precedence over the legacy `apikey`/`api_key` query parameters.
+ *
+ * @param url - Request URL
+ * @param headers - Request headers (optional)
+ * @returns Supplied key, or null when none was sent
+ */
+export function extractApiKey(url: URL, headers?: Headers): string | null {
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(headers?.get('Authorization') || '');
+  if (bearer) return bearer[1];
+  const headerKey = (headers?.get('X-Api-Key') || '').trim();
+  if (headerKey) return headerKey;
+  return url.searchParams.get('apikey') || url.searchParams.get('api_key');
 }
 
 /**
- * Parses and validates API key from request URL against configured allowed keys.
+ * Parses and validates API key from request headers/URL against configured allowed keys.
+ * Legacy API_KEY entries grant every scope; API_KEYS entries carry their own scopes/expiry.
  *
- * @param env - Environment object containing optional API_KEY configuration (comma-separated keys)
+ * @param env - Environment object containing optional API_KEY (comma-separated keys) and
+ *   API_KEYS (JSON key definitions)
  * @param url - Request URL to extract apikey/api_key query parameter from
- * @returns Object containing key enforcement status, supplied key, validity, and allowed keys list
+ * @param headers - Request headers to extract Authorization: Bearer / X-Api-Key from (optional)
+ * @returns Object containing key enforcement status, supplied key, validity, scopes and allowed keys list
  * @example
  * ```ts
  * const info = parseApiKey({ API_KEY: 'key1,key2' }, new URL('https://example.com?apikey=key1'));
- * // { keyEnforced: true, suppliedKey: 'key1', keyValid: true, allowedKeys: ['key1', 'key2'] }
+ * // { keyEnforced: true, suppliedKey: 'key1', keyValid: true, allowedKeys: ['key1', 'key2'], scopes: [...] }
  * ```
  */
-export function parseApiKey(env: { API_KEY?: string }, url: URL): ApiKeyInfo {
+export function parseApiKey(
+  env: { API_KEY?: string; API_KEYS?: string; API_KEYS_KV?: unknown },
+  url: URL,
+  headers?: Headers
+): ApiKeyInfo {
   const configuredKeysRaw = (env.API_KEY || '').trim();
-  const keyEnforced = configuredKeysRaw.length > 0;
-  const allowedKeys = configuredKeysRaw
+  const legacyKeys = configuredKeysRaw
     .split(',')
     .map((k) => k.trim())
     .filter(Boolean);
-  const suppliedKey = url.searchParams.get('apikey') || url.searchParams.get('api_key');
-  const keyValid = !keyEnforced || (suppliedKey !== null && allowedKeys.includes(suppliedKey));
-  return { keyEnforced, suppliedKey, keyValid, allowedKeys };
+  const records = parseApiKeysJson(env.API_KEYS);
+  const keyEnforced = legacyKeys.length > 0 || records.size > 0 || !!env.API_KEYS_KV;
+  const allowedKeys = [...legacyKeys, ...records.keys()];
+  const suppliedKey = extractApiKey(url, headers);
+  const base = { keyEnforced, suppliedKey, allowedKeys };
+  if (!keyEnforced) return { ...base, keyValid: true, scopes: [...DEFAULT_API_KEY_SCOPES] };
+  const record = suppliedKey !== null ? records.get(suppliedKey) : undefined;
+  if (record) return infoFromRecord(base, record);
+  if (suppliedKey !== null && legacyKeys.includes(suppliedKey))
+    return { ...base, keyValid: true, scopes: [...DEFAULT_API_KEY_SCOPES] };
+  return { ...base, keyValid: false, scopes: [] };
+}
+
+/**
+ * Resolves the API key like parseApiKey(), additionally looking up keys not found in the
+ * environment in the API_KEYS_KV namespace (value: JSON record without the key itself,
+ * stored under `apikey:<key>`). KV errors are logged and treated as an unknown key.
+ *
+ * @param env - Environment with API_KEY / API_KEYS / API_KEYS_KV
+ * @param url - Request URL
+ * @param headers - Request headers (optional)
+ * @returns Resolved key info
+ */
+export async function resolveApiKey(
+  env: { API_KEY?: string; API_KEYS?: string; API_KEYS_KV?: KVNamespace },
+  url: URL,
+  headers?: Headers
+): Promise<ApiKeyInfo> {
+  const info = parseApiKey(env, url, headers);
+  if (info.keyValid || info.expired || !info.suppliedKey || !env.API_KEYS_KV) return info;
+  try {
+    const value = await env.API_KEYS_KV.get(`apikey:${info.suppliedKey}`, {
+      type: 'json',
+      cacheTtl: 60,
+    });
+    const record = parseApiKeyRecord(value, info.suppliedKey);
+    if (record) return infoFromRecord(info, record);
+  } catch (err) {
+    console.warn('[apiKey] API_KEYS_KV lookup failed:', err);
+  }
+  return info;
+}
+
+// Path prefixes and the scope they require (first match wins). Kept apart from the rate
+// limit route classes: a new rate limit class must not change what a key may access.
+const SCOPE_PREFIXES: readonly (readonly [string, ApiKeyScope])[] = [
+  ['/api/torrserver/', 'torrserver'],
+  ['/api/stats', 'stats'],
+  ['/stats', 'stats'],
+  ['/sync', 'sync'],
+];
+
+/**
+ * Maps a request path to the scope a key needs to access it.
+ *
+ * @param pathname - The URL pathname
+ * @returns Required scope (other /api paths, e.g. /api/torrents and /api/conf, require 'search')
+ */
+export function requiredScope(pathname: string): ApiKeyScope {
+  return SCOPE_PREFIXES.find(([prefix]) => pathname.startsWith(prefix))?.[1] ?? 'search';
+}
+
+/**
+ * Checks whether the request may use a scope. Without enforced keys every default scope is
+ * allowed; 'admin' and 'metrics' always require a key that lists them explicitly.
+ *
+ * @param info - Resolved key info
+ * @param scope - Scope to check
+ * @returns True if allowed
+ */
+export function hasScope(info: ApiKeyInfo, scope: ApiKeyScope): boolean {
+  if (!info.keyEnforced) return DEFAULT_API_KEY_SCOPES.includes(scope);
+  return info.keyValid && info.scopes.includes(scope);
 }
 
 /**
@@ -57,3 +275,30 @@ export function stripApiKeyFromParams(params: URLSearchParams): boolean {
 export function stripApiKeyParams(url: URL): boolean {
   return stripApiKeyFromParams(url.searchParams);
 }
+
+/**
+ * Identifies the client behind a request: the hashed key when a valid enforced key was
+ * supplied, otherwise the client IP.
+ *
+ * @param info - Resolved key info
+ * @param headers - Request headers (CF-Connecting-IP)
+ * @returns `key:<hashKeyId>` or `ip:<address>` (`ip:unknown` without the header)
+ */
+export async function requesterId(info: ApiKeyInfo, headers: Headers): Promise<string> {
+  return info.keyEnforced && info.keyValid && info.suppliedKey !== null
+    ? `key:${await hashKeyId(info.suppliedKey)}`
+    : `ip:${headers.get('CF-Connecting-IP') || 'unknown'}`;
+}
+
+/**
+ * Derives a short, non-reversible identifier for an API key (for bucket ids, logs, metrics).
+ *
+ * @param key - Raw API key
+ * @returns First 16 hex characters of the key's SHA-256 digest
+ */
+export async function hashKeyId(key: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest).slice(0, 8), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join('');
+}
@@ -15,6 +15,8 @@ export function assetCacheControl(pathname: string): string {
   const lower = pathname.toLowerCase();
   const hashed = HASH_RE.test(lower);
   if (lower.endsWith('.html')) return 'no-cache, must-revalidate';
+  // Service worker and its precache list: fixed URLs, revalidated so deploys reach clients
+  if (lower === '/sw.js' || lower === '/asset-manifest.json') return 'no-cache, must-revalidate';
   if (hashed) return 'public, max-age=31536000, immutable';
   if (CSS_JS_RE.test(lower)) return 'public, max-age=3600';
   if (MEDIA_RE.test(lower)) return 'public, max-age=604800';
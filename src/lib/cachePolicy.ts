@@ -0,0 +1,176 @@
+// Edge cache policy: declarative per-path rules (TTL route, vary params, never-cache) and the
+// freshness windows per route (stale-while-revalidate / stale-if-error).
+
+export const CACHE_ROUTES = ['torrents', 'stats', 'conf', 'default'] as const;
+export type CacheRoute = (typeof CACHE_ROUTES)[number];
+
+export interface CacheWindow {
+  freshSec: number; // served as a plain HIT
+  staleWhileRevalidateSec: number; // after fresh: served stale, refreshed in the background
+  staleIfErrorSec: number; // after fresh: served stale only when the upstream fails
+}
+
+export type CacheWindows = Record<CacheRoute, CacheWindow>;
+
+export const DEFAULT_CACHE_WINDOWS: CacheWindows = {
+  torrents: { freshSec: 300, staleWhileRevalidateSec: 60, staleIfErrorSec: 3600 },
+  stats: { freshSec: 300, staleWhileRevalidateSec: 600, staleIfErrorSec: 86400 },
+  conf: { freshSec: 300, staleWhileRevalidateSec: 300, staleIfErrorSec: 86400 },
+  default: { freshSec: 300, staleWhileRevalidateSec: 60, staleIfErrorSec: 3600 },
+};
+
+function nonNegativeInt(value: unknown, fallback: number): number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+    ? Math.floor(value)
+    : fallback;
+}
+
+/**
+ * Parses the CACHE_WINDOWS environment variable (seconds), merged over the defaults, e.g.
+ * `{"torrents":{"fresh":60,"swr":120,"sie":3600},"stats":{"fresh":900}}`.
+ * Logs a warning and uses the defaults when the value is not valid JSON.
+ *
+ * @param raw - Raw CACHE_WINDOWS value
+ * @returns Windows for every cache route
+ */
+export function parseCacheWindows(raw: string | undefined): CacheWindows {
+  if (!raw || !raw.trim()) return DEFAULT_CACHE_WINDOWS;
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.warn('[config] Invalid CACHE_WINDOWS (expected JSON), using defaults');
+    return DEFAULT_CACHE_WINDOWS;
+  }
+  const windows = { ...DEFAULT_CACHE_WINDOWS };
+  if (!parsed || typeof parsed !== 'object') return windows;
+  for (const route of CACHE_ROUTES) {
+    const entry = (parsed as Record<string, unknown>)[route];
+    if (!entry || typeof entry !== 'object') continue;
+    const e = entry as Record<string, unknown>;
+    const base = DEFAULT_CACHE_WINDOWS[route];
+    windows[route] = {
+      freshSec: nonNegativeInt(e.fresh, base.freshSec),
+      staleWhileRevalidateSec: nonNegativeInt(e.swr, base.staleWhileRevalidateSec),
+      staleIfErrorSec: nonNegativeInt(e.sie, base.staleIfErrorSec),
+    };
+  }
+  return windows;
+}
+
+// Per-path cache behaviour. `route` selects the freshness windows (config.cacheWindows).
+export interface CachePolicy {
+  route: CacheRoute;
+  browserMaxAgeSec: number; // client-facing max-age (edge s-maxage comes from the fresh window)
+  varyParams?: readonly string[]; // query params forming the cache key (undefined = all params)
+  ignoreParams?: readonly string[]; // query params dropped from the cache key (cache-busters)
+  noCache?: boolean; // never stored in or served from the edge cache
+  normalizeQuery?: boolean; // canonicalize the query in the key (see normalizeKeyParams())
+}
+
+// Declarative policy rules (upstream paths). Earlier entries have higher priority.
+type CachePolicyRule =
+  | { type: 'regex'; test: RegExp; policy: CachePolicy }
+  | { type: 'predicate'; test: (_path: string) => boolean; policy: CachePolicy };
+
+const CACHE_POLICIES: CachePolicyRule[] = [
+  {
+    type: 'regex',
+    test: /^\/lastupdatedb\/?$/, // freshness marker, must always reflect the database
+    policy: { route: 'default', browserMaxAgeSec: 0, noCache: true },
+  },
+  {
+    type: 'predicate',
+    test: (p) => p.startsWith('/api/v1.0/torrents'),
+    policy: { route: 'torrents', browserMaxAgeSec: 60, normalizeQuery: true },
+  },
+  {
+    type: 'predicate',
+    test: (p) => p === '/stats' || p.startsWith('/stats/'),
+    // Slow-changing aggregate; the stats page adds a `ts` cache-buster that must not split the key.
+    policy: { route: 'stats', browserMaxAgeSec: 300, ignoreParams: ['ts'] },
+  },
+  {
+    type: 'predicate',
+    test: (p) => p.startsWith('/api/v1.0/conf'),
+    policy: { route: 'conf', browserMaxAgeSec: 60, varyParams: [] },
+  },
+  // Final catch-all rule (always matches)
+  {
+    type: 'predicate',
+    test: () => true,
+    policy: { route: 'default', browserMaxAgeSec: 60 },
+  },
+];
+
+/**
+ * Resolves the cache policy for an upstream path (first matching rule wins).
+ *
+ * @param upstreamPath - Upstream URL pathname (e.g. '/api/v1.0/torrents')
+ * @returns Cache policy
+ */
+export function resolveCachePolicy(upstreamPath: string): CachePolicy {
+  for (const rule of CACHE_POLICIES) {
+    const matched = rule.type === 'regex' ? rule.test.test(upstreamPath) : rule.test(upstreamPath);
+    if (matched) return rule.policy;
+  }
+  // Unreachable due to catch-all rule
+  return CACHE_POLICIES[CACHE_POLICIES.length - 1].policy;
+}
+
+// Boolean query flags canonicalized in normalized keys. The upstream (ASP.NET bool binding)
+// reads only `true` (any case, surrounding spaces allowed) as true; anything else, or no
+// value at all, is false. Keys must not merge values the upstream tells apart.
+const BOOLEAN_KEY_FLAGS = ['exact'] as const;
+const TRUE_FLAG_VALUE = 'true';
+
+/**
+ * Canonical form of a search string: trimmed, whitespace-collapsed and case-folded.
+ *
+ * @param search - Raw search text
+ * @returns Normalized search text
+ */
+export function normalizeSearch(search: string): string {
+  return search.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Canonicalizes query params for a cache key so equivalent searches share one entry:
+ * `search` is trimmed, whitespace-collapsed and case-folded, boolean flags become `true`
+ * when the upstream reads them as true and are dropped otherwise, and params are sorted. Only the key is affected; the upstream
+ * still receives the original query.
+ *
+ * @param params - Query params of the cache key URL (modified in place)
+ */
+export function normalizeKeyParams(params: URLSearchParams): void {
+  const search = params.get('search');
+  if (search !== null) params.set('search', normalizeSearch(search));
+  for (const flag of BOOLEAN_KEY_FLAGS) {
+    const value = params.get(flag);
+    if (value === null) continue;
+    if (value.trim().toLowerCase() === TRUE_FLAG_VALUE) params.set(flag, 'true');
+    else params.delete(flag);
+  }
+  params.sort();
+}
+
+/**
+ * Client-facing Cache-Control for a cached response.
+ *
+ * @param policy - Cache policy
+ * @param window - Cache window of the policy's route
+ * @returns Cache-Control header value
+ */
+export function clientCacheControl(policy: CachePolicy, window: CacheWindow): string {
+  return `public, max-age=${policy.browserMaxAgeSec}, s-maxage=${window.freshSec}`;
+}
+
+/**
+ * How long an entry must stay in the edge cache to cover every window.
+ *
+ * @param window - Cache window
+ * @returns Retention in seconds
+ */
+export function cacheRetentionSec(window: CacheWindow): number {
+  return window.freshSec + Math.max(window.staleWhileRevalidateSec, window.staleIfErrorSec);
+}
@@ -0,0 +1,657 @@
+// Message packs of the browser UI (public/js/i18n.js), served by /api/i18n/:locale.
+// `{name}` placeholders are filled in on the client.
+import type { Locale } from './i18n';
+
+const RU = {
+  page_title: 'Поиск торрентов',
+  language: 'Язык',
+  nav_stats: 'Статистика трекеров',
+  nav_torrserver: 'Настройки TorrServer',
+  nav_watchlist: 'Отслеживание',
+  back_to_top: 'Наверх',
+  back_to_top_aria: 'Вернуться к началу страницы',
+  common_cancel: 'Отмена',
+  common_save: 'Сохранить',
+  common_close: 'Закрыть',
+
+  search_placeholder: 'Веном 2 or tt7097896 or kp1227967',
+  search_submit: 'найти',
+  search_apikey_hint: 'Для выполнения поиска требуется API ключ. Появится окно для ввода.',
+  search_empty: 'Введите название фильма или сериала для поиска.',
+  search_no_results: 'По вашему запросу мы не чего не нашли.',
+  search_loading: 'Поиск... ожидайте результатов.',
+  search_forbidden: 'Доступ запрещён: неверный или отсутствующий API ключ',
+  search_timeout: 'Превышено время ожидания. Попробуйте снова.',
+  search_failed: 'Ошибка поиска. Проверьте подключение к интернету.',
+  search_summary: 'Найдено: {found} / Всего: {total}',
+  search_summary_grouped: 'Найдено: {found}, релизов: {groups} / Всего: {total}',
+  search_last_update: 'Последнее обновление базы: {time}',
+  search_last_update_aria: 'База данных обновлена {time}',
+  history_aria: 'История поиска и подсказки',
+  history_found: 'найдено: {count}',
+  history_remove: 'Удалить из истории',
+  history_clear: 'Очистить историю',
+  history_disable: 'Не сохранять историю',
+  history_enable: 'Сохранять историю',
+  history_popular: 'Популярный запрос',
+
+  watch_follow: 'Отслеживать',
+  watch_follow_current: 'Отслеживать текущий поиск',
+  watch_followed: 'Запрос добавлен в отслеживание',
+  watch_already: 'Этот запрос уже отслеживается',
+  watch_no_search: 'Сначала выполните поиск',
+  watch_empty: 'Нет отслеживаемых запросов. Новые раздачи проверяются по расписанию.',
+  watch_check: 'Проверить',
+  watch_remove: 'Удалить',
+  watch_checked: 'проверено: {time}',
+  watch_never: 'ещё не проверялся',
+  watch_new: 'новых: {count} ({time})',
+  watch_check_result: 'Новых раздач: {count}',
+  watch_error: 'Последняя проверка не удалась',
+  watch_load_failed: 'Не удалось загрузить список отслеживания',
+  watch_notify: 'Уведомления: {sinks}',
+  watch_limit: '{count} из {limit}',
+
+  push_title: 'Push-уведомления в этом браузере',
+  push_topic_watch: 'Новые раздачи по отслеживаемым запросам',
+  push_topic_dbupdate: 'Обновление базы торрентов',
+  push_test: 'Отправить тестовое',
+  push_test_title: 'Jacred',
+  push_test_body: 'Push-уведомления работают',
+  push_test_sent: 'Тестовое уведомление отправлено',
+  push_test_failed: 'Сервис push-уведомлений не принял сообщение',
+  push_on: 'Push-уведомления включены',
+  push_off: 'Push-уведомления выключены',
+  push_denied: 'Уведомления запрещены в настройках браузера',
+  push_not_subscribed: 'Сначала включите уведомления',
+
+  offline_results: 'Нет соединения — показаны сохранённые результаты от {time}',
+  offline_stats: 'Нет соединения — показана сохранённая статистика от {time}',
+
+  filter_refine: 'Уточнить',
+  filter_refine_placeholder: 'Например BDRip, WEB-DL, США',
+  filter_exclude: 'Исключить',
+  filter_exclude_placeholder: 'Например HEVC',
+  filter_quality: 'Качество',
+  filter_quality_aria: 'Выбрать качество',
+  filter_type: 'Тип видео',
+  filter_type_aria: 'Выбрать тип видео',
+  filter_voice: 'Озвучка',
+  filter_voice_aria: 'Выбрать озвучку',
+  filter_season: 'Сезон',
+  filter_season_aria: 'Выбрать сезон',
+  filter_category: 'Категория',
+  filter_category_aria: 'Выбрать категорию',
+  filter_tracker: 'Трекер',
+  filter_tracker_aria: 'Выбрать трекер',
+  filter_year: 'Год',
+  filter_year_aria: 'Выбрать год',
+  filter_reset: 'Сбросить фильтр',
+  // "Any" option; the gender of the filter name matters in ru/uk
+  filter_any_m: 'Любой',
+  filter_any_f: 'Любая',
+  filter_any_n: 'Любое',
+
+  sort_seeders: 'по сидам',
+  sort_size: 'по размеру',
+  sort_date: 'по дате',
+  sort_seeders_long: 'по количеству сидов',
+  sort_announce: 'Сортировка: {sort}',
+  exact_search: 'Точный поиск',
+  group_results: 'Группировать',
+
+  result_files: 'Файлы',
+  result_sources: 'Источники',
+  result_sources_toggle: 'Источники: {count}',
+  result_copy_magnet: 'Скопировать magnet-ссылку',
+  result_send_torrserver: 'Отправить в TorrServer',
+  result_copied: 'Скопировано',
+  result_copy_failed: 'Не удалось скопировать',
+  tracker_rutor: 'Rutor: общетематический трекер',
+  tracker_selezen: 'Selezen: релизы сериалов/фильмов',
+  tracker_rutracker: 'RuTracker: крупнейший русскоязычный трекер',
+  tracker_lostfilm: 'LostFilm: переводы сериалов',
+  tracker_anilibria: 'AniLibria: аниме',
+  tracker_anidub: 'AniDub: аниме',
+
+  apikey_title: 'Введите API ключ',
+  apikey_placeholder: 'API ключ',
+  apikey_empty: 'Введите ключ',
+  apikey_bad_format: 'Неверный формат ключа',
+  apikey_missing: 'API ключ не задан',
+  apikey_invalid: 'Ключ неверный',
+  apikey_check_failed: 'Ошибка проверки',
+
+  ts_url_placeholder: 'URL (например http://127.0.0.1:8090)',
+  ts_user_placeholder: 'Имя пользователя (опционально)',
+  ts_pass_placeholder: 'Пароль (опционально)',
+  ts_direct: 'Прямой режим (из браузера)',
+  ts_persist_password: 'Сохранить пароль (зашифрован в localStorage)',
+  ts_master: 'Мастер-пароль',
+  ts_master_section: 'Мастер-пароль для шифрования (опционально)',
+  ts_master_info:
+    'Мастер-пароль обеспечивает реальную защиту паролей. Без него используется только обфускация (небезопасно).',
+  ts_master_new_placeholder: 'Мастер-пароль (оставьте пустым, чтобы не изменять)',
+  ts_master_confirm_placeholder: 'Подтверждение мастер-пароля',
+  ts_master_clear: 'Очистить мастер-пароль',
+  ts_master_prompt: 'Введите мастер-пароль для расшифровки сохраненных паролей.',
+  ts_master_empty: 'Введите мастер-пароль',
+  ts_master_wrong: 'Неверный мастер-пароль',
+  ts_master_set: '✓ Мастер-пароль установлен',
+  ts_master_unset: '⚠ Мастер-пароль не установлен (используется обфускация)',
+  ts_master_cleared: 'Мастер-пароль очищен',
+  ts_master_mismatch: 'Мастер-пароли не совпадают',
+  ts_master_too_short: 'Мастер-пароль должен содержать минимум 8 символов',
+  ts_master_set_failed: 'Не удалось установить мастер-пароль',
+  ts_master_required: 'Требуется мастер-пароль для расшифровки пароля',
+  ts_test: 'Тест соединения',
+  ts_testing: 'Тест...',
+  ts_test_ok: 'Тест OK ({status})',
+  ts_test_failed: 'Не удалось ({status})',
+  ts_test_cf_access: 'Cloudflare Access блокирует',
+  ts_test_network: 'Сеть: {error}',
+  ts_hint:
+    'Добавление торрентов всегда через /torrents. Прямой режим требует CORS допуска или авторизованной вкладки.',
+  ts_url_required: 'Укажите URL',
+  ts_url_scheme: 'Используйте http:// или https://',
+  ts_url_invalid: 'Неверный формат URL',
+  ts_settings_saved: 'Настройки сохранены',
+  ts_sent: 'Отправлено в TorrServer',
+  ts_sent_direct: 'Отправлено (прямой режим)',
+  ts_error_status: 'Ошибка ({status})',
+  ts_direct_status: 'Прямой ({status})',
+  ts_direct_access:
+    'возможно Cloudflare / Access cookie отсутствует. Откройте {url} во вкладке и авторизуйтесь',
+  ts_direct_auth: 'проверьте логин/пароль',
+  ts_direct_empty: 'пустой ответ',
+  ts_direct_network: 'Прямой режим: сеть/корс ошибка',
+  ts_timeout: 'Превышено время ожидания',
+  ts_network_error: 'Ошибка сети',
+  ts_cf_blocked:
+    'Cloudflare Access/Firewall блокирует запрос – нужен публичный доступ или прямой режим',
+
+  stats_search_label: 'Поиск трекера',
+  stats_search_placeholder: 'Фильтр по имени...',
+  stats_search_aria: 'Поиск трекера по имени',
+  stats_sort_label: 'Сортировка',
+  stats_sort_aria: 'Сортировка результатов',
+  stats_sort_name: 'По имени',
+  stats_sort_newtor: 'Новые торренты (desc)',
+  stats_sort_update: 'Изменения (desc)',
+  stats_sort_alltorrents: 'Всего торрентов (desc)',
+  stats_sort_confirm: 'Подтверждено (desc)',
+  stats_sort_wait: 'Ожидает (desc)',
+  stats_sort_skip: 'Пропущено (desc)',
+  stats_home: 'Главная',
+  stats_home_aria: 'На главную страницу',
+  stats_refresh: 'Обновить',
+  stats_refresh_aria: 'Обновить статистику',
+  stats_numbers_aria: 'Переключить формат чисел',
+  stats_numbers_full: 'Полные числа',
+  stats_numbers_short: 'Сокращённо',
+  stats_wide_aria: 'Переключить широкий режим',
+  stats_wide: 'Широкий режим',
+  stats_normal: 'Обычный режим',
+  stats_compact_aria: 'Переключить компактный режим',
+  stats_compact: 'Компактный',
+  stats_normal_size: 'Обычный размер',
+  stats_theme_aria: 'Переключить тему оформления',
+  stats_theme: 'Тема',
+  stats_theme_light: 'Светлая',
+  stats_theme_dark: 'Темная',
+  stats_loading: 'Загрузка статистики...',
+  stats_error: 'Ошибка загрузки данных.',
+  stats_aggregate_aria: 'Сводная статистика по всем трекерам',
+  stats_empty: 'Ничего не найдено.',
+  stats_cached: '(кэш)',
+  stats_stale: 'Данные устарели',
+  stats_last_new: 'посл. новый: {date}',
+  stats_new: 'Новые',
+  stats_updates: 'Изменения',
+  stats_checks: 'Проверок',
+  stats_total: 'Всего торрентов',
+  stats_tracks: 'Tracks распределение',
+  stats_totals_title: 'Итого ({count})',
+  stats_totals_hint: 'Суммарные значения по всем трекерам',
+  stats_totals_new_aria: 'Всего новых',
+} satisfies Record<string, string>;
+
+export type ClientMsgKey = keyof typeof RU;
+
+const EN: Record<ClientMsgKey, string> = {
+  page_title: 'Torrent search',
+  language: 'Language',
+  nav_stats: 'Tracker statistics',
+  nav_torrserver: 'TorrServer settings',
+  nav_watchlist: 'Watchlist',
+  back_to_top: 'Top',
+  back_to_top_aria: 'Back to the top of the page',
+  common_cancel: 'Cancel',
+  common_save: 'Save',
+  common_close: 'Close',
+
+  search_placeholder: 'Venom 2 or tt7097896 or kp1227967',
+  search_submit: 'search',
+  search_apikey_hint: 'Searching requires an API key. A prompt will appear.',
+  search_empty: 'Enter a movie or series title to search.',
+  search_no_results: 'Nothing found for your query.',
+  search_loading: 'Searching... please wait.',
+  search_forbidden: 'Access denied: invalid or missing API key',
+  search_timeout: 'Request timed out. Please try again.',
+  search_failed: 'Search failed. Check your internet connection.',
+  search_summary: 'Found: {found} / Total: {total}',
+  search_summary_grouped: 'Found: {found} in {groups} releases / Total: {total}',
+  search_last_update: 'Database last updated: {time}',
+  search_last_update_aria: 'Database updated {time}',
+  history_aria: 'Search history and suggestions',
+  history_found: 'found: {count}',
+  history_remove: 'Remove from history',
+  history_clear: 'Clear history',
+  history_disable: "Don't save history",
+  history_enable: 'Save history',
+  history_popular: 'Popular search',
+
+  watch_follow: 'Follow',
+  watch_follow_current: 'Follow current search',
+  watch_followed: 'Search followed',
+  watch_already: 'This search is already followed',
+  watch_no_search: 'Run a search first',
+  watch_empty: 'No followed searches. New releases are checked on a schedule.',
+  watch_check: 'Check now',
+  watch_remove: 'Remove',
+  watch_checked: 'checked: {time}',
+  watch_never: 'not checked yet',
+  watch_new: 'new: {count} ({time})',
+  watch_check_result: 'New releases: {count}',
+  watch_error: 'Last check failed',
+  watch_load_failed: 'Failed to load the watchlist',
+  watch_notify: 'Notifications: {sinks}',
+  watch_limit: '{count} of {limit}',
+
+  push_title: 'Push notifications in this browser',
+  push_topic_watch: 'New releases for followed searches',
+  push_topic_dbupdate: 'Torrent database updates',
+  push_test: 'Send a test',
+  push_test_title: 'Jacred',
+  push_test_body: 'Push notifications work',
+  push_test_sent: 'Test notification sent',
+  push_test_failed: 'The push service did not accept the message',
+  push_on: 'Push notifications enabled',
+  push_off: 'Push notifications disabled',
+  push_denied: 'Notifications are blocked in the browser settings',
+  push_not_subscribed: 'Enable notifications first',
+
+  offline_results: 'Offline — showing cached results from {time}',
+  offline_stats: 'Offline — showing cached statistics from {time}',
+
+  filter_refine: 'Refine',
+  filter_refine_placeholder: 'e.g. BDRip, WEB-DL, USA',
+  filter_exclude: 'Exclude',
+  filter_exclude_placeholder: 'e.g. HEVC',
+  filter_quality: 'Quality',
+  filter_quality_aria: 'Select quality',
+  filter_type: 'Video type',
+  filter_type_aria: 'Select video type',
+  filter_voice: 'Voice-over',
+  filter_voice_aria: 'Select voice-over',
+  filter_season: 'Season',
+  filter_season_aria: 'Select season',
+  filter_category: 'Category',
+  filter_category_aria: 'Select category',
+  filter_tracker: 'Tracker',
+  filter_tracker_aria: 'Select tracker',
+  filter_year: 'Year',
+  filter_year_aria: 'Select year',
+  filter_reset: 'Reset filter',
+  filter_any_m: 'Any',
+  filter_any_f: 'Any',
+  filter_any_n: 'Any',
+
+  sort_seeders: 'by seeders',
+  sort_size: 'by size',
+  sort_date: 'by date',
+  sort_seeders_long: 'by seeder count',
+  sort_announce: 'Sorting: {sort}',
+  exact_search: 'Exact search',
+  group_results: 'Group duplicates',
+
+  result_files: 'Files',
+  result_sources: 'Sources',
+  result_sources_toggle: 'Sources: {count}',
+  result_copy_magnet: 'Copy magnet link',
+  result_send_torrserver: 'Send to TorrServer',
+  result_copied: 'Copied',
+  result_copy_failed: 'Copy failed',
+  tracker_rutor: 'Rutor: general-purpose tracker',
+  tracker_selezen: 'Selezen: series/movie releases',
+  tracker_rutracker: 'RuTracker: the largest Russian-language tracker',
+  tracker_lostfilm: 'LostFilm: series translations',
+  tracker_anilibria: 'AniLibria: anime',
+  tracker_anidub: 'AniDub: anime',
+
+  apikey_title: 'Enter API key',
+  apikey_placeholder: 'API key',
+  apikey_empty: 'Enter a key',
+  apikey_bad_format: 'Invalid key format',
+  apikey_missing: 'API key not set',
+  apikey_invalid: 'Invalid key',
+  apikey_check_failed: 'Validation failed',
+
+  ts_url_placeholder: 'URL (e.g. http://127.0.0.1:8090)',
+  ts_user_placeholder: 'Username (optional)',
+  ts_pass_placeholder: 'Password (optional)',
+  ts_direct: 'Direct mode (from the browser)',
+  ts_persist_password: 'Remember password (encrypted in localStorage)',
+  ts_master: 'Master password',
+  ts_master_section: 'Encryption master password (optional)',
+  ts_master_info:
+    'A master password really protects saved passwords. Without it they are only obfuscated (not secure).',
+  ts_master_new_placeholder: 'Master password (leave empty to keep it)',
+  ts_master_confirm_placeholder: 'Confirm master password',
+  ts_master_clear: 'Clear master password',
+  ts_master_prompt: 'Enter the master password to decrypt saved passwords.',
+  ts_master_empty: 'Enter the master password',
+  ts_master_wrong: 'Wrong master password',
+  ts_master_set: '✓ Master password is set',
+  ts_master_unset: '⚠ No master password (obfuscation only)',
+  ts_master_cleared: 'Master password cleared',
+  ts_master_mismatch: 'Master passwords do not match',
+  ts_master_too_short: 'Master password must be at least 8 characters long',
+  ts_master_set_failed: 'Failed to set the master password',
+  ts_master_required: 'The master password is required to decrypt the password',
+  ts_test: 'Test connection',
+  ts_testing: 'Testing...',
+  ts_test_ok: 'Test OK ({status})',
+  ts_test_failed: 'Failed ({status})',
+  ts_test_cf_access: 'blocked by Cloudflare Access',
+  ts_test_network: 'Network: {error}',
+  ts_hint:
+    'Torrents are always added via /torrents. Direct mode needs CORS access or an authorized tab.',
+  ts_url_required: 'Enter a URL',
+  ts_url_scheme: 'Use http:// or https://',
+  ts_url_invalid: 'Invalid URL format',
+  ts_settings_saved: 'Settings saved',
+  ts_sent: 'Sent to TorrServer',
+  ts_sent_direct: 'Sent (direct mode)',
+  ts_error_status: 'Error ({status})',
+  ts_direct_status: 'Direct ({status})',
+  ts_direct_access: 'the Cloudflare Access cookie may be missing. Open {url} in a tab and sign in',
+  ts_direct_auth: 'check username/password',
+  ts_direct_empty: 'empty response',
+  ts_direct_network: 'Direct mode: network/CORS error',
+  ts_timeout: 'Request timed out',
+  ts_network_error: 'Network error',
+  ts_cf_blocked:
+    'Cloudflare Access/Firewall blocks the request – public access or direct mode is required',
+
+  stats_search_label: 'Find tracker',
+  stats_search_placeholder: 'Filter by name...',
+  stats_search_aria: 'Find tracker by name',
+  stats_sort_label: 'Sorting',
+  stats_sort_aria: 'Sort results',
+  stats_sort_name: 'By name',
+  stats_sort_newtor: 'New torrents (desc)',
+  stats_sort_update: 'Updates (desc)',
+  stats_sort_alltorrents: 'Total torrents (desc)',
+  stats_sort_confirm: 'Confirmed (desc)',
+  stats_sort_wait: 'Waiting (desc)',
+  stats_sort_skip: 'Skipped (desc)',
+  stats_home: 'Home',
+  stats_home_aria: 'Go to the home page',
+  stats_refresh: 'Refresh',
+  stats_refresh_aria: 'Refresh statistics',
+  stats_numbers_aria: 'Toggle number format',
+  stats_numbers_full: 'Full numbers',
+  stats_numbers_short: 'Abbreviated',
+  stats_wide_aria: 'Toggle wide mode',
+  stats_wide: 'Wide mode',
+  stats_normal: 'Normal mode',
+  stats_compact_aria: 'Toggle compact mode',
+  stats_compact: 'Compact',
+  stats_normal_size: 'Normal size',
+  stats_theme_aria: 'Toggle color theme',
+  stats_theme: 'Theme',
+  stats_theme_light: 'Light',
+  stats_theme_dark: 'Dark',
+  stats_loading: 'Loading statistics...',
+  stats_error: 'Failed to load data.',
+  stats_aggregate_aria: 'Summary across all trackers',
+  stats_empty: 'Nothing found.',
+  stats_cached: '(cached)',
+  stats_stale: 'Data is stale',
+  stats_last_new: 'last new: {date}',
+  stats_new: 'New',
+  stats_updates: 'Updates',
+  stats_checks: 'Checks',
+  stats_total: 'Total torrents',
+  stats_tracks: 'Tracks distribution',
+  stats_totals_title: 'Total ({count})',
+  stats_totals_hint: 'Sums across all trackers',
+  stats_totals_new_aria: 'Total new',
+};
+
+const UK: Record<ClientMsgKey, string> = {
+  page_title: 'Пошук торрентів',
+  language: 'Мова',
+  nav_stats: 'Статистика трекерів',
+  nav_torrserver: 'Налаштування TorrServer',
+  nav_watchlist: 'Відстеження',
+  back_to_top: 'Нагору',
+  back_to_top_aria: 'Повернутися на початок сторінки',
+  common_cancel: 'Скасувати',
+  common_save: 'Зберегти',
+  common_close: 'Закрити',
+
+  search_placeholder: 'Веном 2 або tt7097896 або kp1227967',
+  search_submit: 'знайти',
+  search_apikey_hint: "Для пошуку потрібен API-ключ. З'явиться вікно для введення.",
+  search_empty: 'Введіть назву фільму або серіалу для пошуку.',
+  search_no_results: 'За вашим запитом нічого не знайдено.',
+  search_loading: 'Пошук... зачекайте на результати.',
+  search_forbidden: 'Доступ заборонено: неправильний або відсутній API-ключ',
+  search_timeout: 'Перевищено час очікування. Спробуйте ще раз.',
+  search_failed: "Помилка пошуку. Перевірте під'єднання до інтернету.",
+  search_summary: 'Знайдено: {found} / Усього: {total}',
+  search_summary_grouped: 'Знайдено: {found}, релізів: {groups} / Усього: {total}',
+  search_last_update: 'Останнє оновлення бази: {time}',
+  search_last_update_aria: 'Базу даних оновлено {time}',
+  history_aria: 'Історія пошуку та підказки',
+  history_found: 'знайдено: {count}',
+  history_remove: 'Видалити з історії',
+  history_clear: 'Очистити історію',
+  history_disable: 'Не зберігати історію',
+  history_enable: 'Зберігати історію',
+  history_popular: 'Популярний запит',
+
+  watch_follow: 'Відстежувати',
+  watch_follow_current: 'Відстежувати поточний пошук',
+  watch_followed: 'Запит додано до відстеження',
+  watch_already: 'Цей запит уже відстежується',
+  watch_no_search: 'Спочатку виконайте пошук',
+  watch_empty: 'Немає відстежуваних запитів. Нові роздачі перевіряються за розкладом.',
+  watch_check: 'Перевірити',
+  watch_remove: 'Видалити',
+  watch_checked: 'перевірено: {time}',
+  watch_never: 'ще не перевірявся',
+  watch_new: 'нових: {count} ({time})',
+  watch_check_result: 'Нових роздач: {count}',
+  watch_error: 'Остання перевірка не вдалася',
+  watch_load_failed: 'Не вдалося завантажити список відстеження',
+  watch_notify: 'Сповіщення: {sinks}',
+  watch_limit: '{count} з {limit}',
+
+  push_title: 'Push-сповіщення в цьому браузері',
+  push_topic_watch: 'Нові роздачі за відстежуваними запитами',
+  push_topic_dbupdate: 'Оновлення бази торрентів',
+  push_test: 'Надіслати тестове',
+  push_test_title: 'Jacred',
+  push_test_body: 'Push-сповіщення працюють',
+  push_test_sent: 'Тестове сповіщення надіслано',
+  push_test_failed: 'Сервіс push-сповіщень не прийняв повідомлення',
+  push_on: 'Push-сповіщення увімкнено',
+  push_off: 'Push-сповіщення вимкнено',
+  push_denied: 'Сповіщення заборонені в налаштуваннях браузера',
+  push_not_subscribed: 'Спочатку увімкніть сповіщення',
+
+  offline_results: 'Немає з’єднання — показано збережені результати від {time}',
+  offline_stats: 'Немає з’єднання — показано збережену статистику від {time}',
+
+  filter_refine: 'Уточнити',
+  filter_refine_placeholder: 'Наприклад BDRip, WEB-DL, США',
+  filter_exclude: 'Виключити',
+  filter_exclude_placeholder: 'Наприклад HEVC',
+  filter_quality: 'Якість',
+  filter_quality_aria: 'Вибрати якість',
+  filter_type: 'Тип відео',
+  filter_type_aria: 'Вибрати тип відео',
+  filter_voice: 'Озвучення',
+  filter_voice_aria: 'Вибрати озвучення',
+  filter_season: 'Сезон',
+  filter_season_aria: 'Вибрати сезон',
+  filter_category: 'Категорія',
+  filter_category_aria: 'Вибрати категорію',
+  filter_tracker: 'Трекер',
+  filter_tracker_aria: 'Вибрати трекер',
+  filter_year: 'Рік',
+  filter_year_aria: 'Вибрати рік',
+  filter_reset: 'Скинути фільтр',
+  filter_any_m: 'Будь-який',
+  filter_any_f: 'Будь-яка',
+  filter_any_n: 'Будь-яке',
+
+  sort_seeders: 'за сідами',
+  sort_size: 'за розміром',
+  sort_date: 'за датою',
+  sort_seeders_long: 'за кількістю сідів',
+  sort_announce: 'Сортування: {sort}',
+  exact_search: 'Точний пошук',
+  group_results: 'Групувати',
+
+  result_files: 'Файли',
+  result_sources: 'Джерела',
+  result_sources_toggle: 'Джерела: {count}',
+  result_copy_magnet: 'Скопіювати magnet-посилання',
+  result_send_torrserver: 'Надіслати в TorrServer',
+  result_copied: 'Скопійовано',
+  result_copy_failed: 'Не вдалося скопіювати',
+  tracker_rutor: 'Rutor: загальнотематичний трекер',
+  tracker_selezen: 'Selezen: релізи серіалів/фільмів',
+  tracker_rutracker: 'RuTracker: найбільший російськомовний трекер',
+  tracker_lostfilm: 'LostFilm: переклади серіалів',
+  tracker_anilibria: 'AniLibria: аніме',
+  tracker_anidub: 'AniDub: аніме',
+
+  apikey_title: 'Введіть API-ключ',
+  apikey_placeholder: 'API-ключ',
+  apikey_empty: 'Введіть ключ',
+  apikey_bad_format: 'Неправильний формат ключа',
+  apikey_missing: 'API-ключ не задано',
+  apikey_invalid: 'Неправильний ключ',
+  apikey_check_failed: 'Помилка перевірки',
+
+  ts_url_placeholder: 'URL (наприклад http://127.0.0.1:8090)',
+  ts_user_placeholder: "Ім'я користувача (необов'язково)",
+  ts_pass_placeholder: "Пароль (необов'язково)",
+  ts_direct: 'Прямий режим (з браузера)',
+  ts_persist_password: 'Зберегти пароль (зашифрований у localStorage)',
+  ts_master: 'Майстер-пароль',
+  ts_master_section: "Майстер-пароль для шифрування (необов'язково)",
+  ts_master_info:
+    'Майстер-пароль забезпечує реальний захист паролів. Без нього використовується лише обфускація (небезпечно).',
+  ts_master_new_placeholder: 'Майстер-пароль (залиште порожнім, щоб не змінювати)',
+  ts_master_confirm_placeholder: 'Підтвердження майстер-пароля',
+  ts_master_clear: 'Очистити майстер-пароль',
+  ts_master_prompt: 'Введіть майстер-пароль для розшифрування збережених паролів.',
+  ts_master_empty: 'Введіть майстер-пароль',
+  ts_master_wrong: 'Неправильний майстер-пароль',
+  ts_master_set: '✓ Майстер-пароль встановлено',
+  ts_master_unset: '⚠ Майстер-пароль не встановлено (використовується обфускація)',
+  ts_master_cleared: 'Майстер-пароль очищено',
+  ts_master_mismatch: 'Майстер-паролі не збігаються',
+  ts_master_too_short: 'Майстер-пароль має містити щонайменше 8 символів',
+  ts_master_set_failed: 'Не вдалося встановити майстер-пароль',
+  ts_master_required: 'Для розшифрування пароля потрібен майстер-пароль',
+  ts_test: "Тест з'єднання",
+  ts_testing: 'Тест...',
+  ts_test_ok: 'Тест OK ({status})',
+  ts_test_failed: 'Не вдалося ({status})',
+  ts_test_cf_access: 'Cloudflare Access блокує',
+  ts_test_network: 'Мережа: {error}',
+  ts_hint:
+    'Торренти завжди додаються через /torrents. Прямий режим потребує дозволу CORS або авторизованої вкладки.',
+  ts_url_required: 'Вкажіть URL',
+  ts_url_scheme: 'Використовуйте http:// або https://',
+  ts_url_invalid: 'Неправильний формат URL',
+  ts_settings_saved: 'Налаштування збережено',
+  ts_sent: 'Надіслано в TorrServer',
+  ts_sent_direct: 'Надіслано (прямий режим)',
+  ts_error_status: 'Помилка ({status})',
+  ts_direct_status: 'Прямий ({status})',
+  ts_direct_access:
+    'можливо, бракує cookie Cloudflare Access. Відкрийте {url} у вкладці й авторизуйтеся',
+  ts_direct_auth: 'перевірте логін/пароль',
+  ts_direct_empty: 'порожня відповідь',
+  ts_direct_network: 'Прямий режим: помилка мережі/CORS',
+  ts_timeout: 'Перевищено час очікування',
+  ts_network_error: 'Помилка мережі',
+  ts_cf_blocked:
+    'Cloudflare Access/Firewall блокує запит – потрібен публічний доступ або прямий режим',
+
+  stats_search_label: 'Пошук трекера',
+  stats_search_placeholder: 'Фільтр за назвою...',
+  stats_search_aria: 'Пошук трекера за назвою',
+  stats_sort_label: 'Сортування',
+  stats_sort_aria: 'Сортування результатів',
+  stats_sort_name: 'За назвою',
+  stats_sort_newtor: 'Нові торренти (desc)',
+  stats_sort_update: 'Зміни (desc)',
+  stats_sort_alltorrents: 'Усього торрентів (desc)',
+  stats_sort_confirm: 'Підтверджено (desc)',
+  stats_sort_wait: 'Очікує (desc)',
+  stats_sort_skip: 'Пропущено (desc)',
+  stats_home: 'Головна',
+  stats_home_aria: 'На головну сторінку',
+  stats_refresh: 'Оновити',
+  stats_refresh_aria: 'Оновити статистику',
+  stats_numbers_aria: 'Перемкнути формат чисел',
+  stats_numbers_full: 'Повні числа',
+  stats_numbers_short: 'Скорочено',
+  stats_wide_aria: 'Перемкнути широкий режим',
+  stats_wide: 'Широкий режим',
+  stats_normal: 'Звичайний режим',
+  stats_compact_aria: 'Перемкнути компактний режим',
+  stats_compact: 'Компактний',
+  stats_normal_size: 'Звичайний розмір',
+  stats_theme_aria: 'Перемкнути тему оформлення',
+  stats_theme: 'Тема',
+  stats_theme_light: 'Світла',
+  stats_theme_dark: 'Темна',
+  stats_loading: 'Завантаження статистики...',
+  stats_error: 'Помилка завантаження даних.',
+  stats_aggregate_aria: 'Зведена статистика по всіх трекерах',
+  stats_empty: 'Нічого не знайдено.',
+  stats_cached: '(кеш)',
+  stats_stale: 'Дані застаріли',
+  stats_last_new: 'ост. новий: {date}',
+  stats_new: 'Нові',
+  stats_updates: 'Зміни',
+  stats_checks: 'Перевірок',
+  stats_total: 'Усього торрентів',
+  stats_tracks: 'Розподіл tracks',
+  stats_totals_title: 'Разом ({count})',
+  stats_totals_hint: 'Сумарні значення по всіх трекерах',
+  stats_totals_new_aria: 'Усього нових',
+};
+
+// Every registered Locale (see PACKS in i18n.ts) needs a browser UI pack here.
+const CLIENT_PACKS: Record<Locale, Record<ClientMsgKey, string>> = { ru: RU, en: EN, uk: UK };
+
+/**
+ * Gets the browser UI message pack for a locale.
+ *
+ * @param locale - The locale
+ * @returns Record of client message keys to translated strings
+ */
+export function getClientMessages(locale: Locale): Record<ClientMsgKey, string> {
+  return CLIENT_PACKS[locale];
+}
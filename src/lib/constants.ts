@@ -26,7 +26,10 @@ export const ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST'] as const;
 export const CORS_HEADERS: Record<string, string> = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET,HEAD,OPTIONS,POST',
-  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, Cache-Control',
+  'Access-Control-Allow-Headers':
+    'Content-Type, If-None-Match, Cache-Control, Authorization, X-Api-Key',
+  'Access-Control-Expose-Headers':
+    'X-Total-Count, X-Result-Offset, X-Result-Limit, Retry-After, X-Upstream-Origin, X-Fanout-Failed, X-Cache-Stale, Warning',
 };
 export const STRIP_RESPONSE_HEADERS = [
   'set-cookie',
@@ -89,12 +92,35 @@ export function isStatsAssetRequest(path: string): boolean {
 export interface EnvLike {
   ASSETS: { fetch(_request: Request): Promise<Response> };
   UPSTREAM_ORIGIN?: string;
+  UPSTREAM_ORIGINS?: string; // weighted failover list: "https://a=3,https://b=1"
+  UPSTREAM_MODE?: string; // 'failover' (default) | 'fanout'
   API_KEY?: string;
+  API_KEYS?: string; // JSON array of structured key definitions (label/expires/scopes/upstreamOrigin)
+  API_KEYS_KV?: KVNamespace; // optional KV lookup for structured keys (`apikey:<key>`)
   CF_ACCESS_CLIENT_ID?: string;
   CF_ACCESS_CLIENT_SECRET?: string;
   UPSTREAM_TIMEOUT_MS?: string;
   TORRSERVER_TIMEOUT_MS?: string;
-  ERROR_LOCALE?: string; // 'en' | 'ru'
+  ERROR_LOCALE?: string; // default locale (a key of PACKS in i18n.ts)
+  RATE_LIMITS?: string; // JSON, see parseRateLimits()
+  CACHE_WINDOWS?: string; // JSON, see parseCacheWindows()
+  RATE_LIMITER?: DurableObjectNamespace; // optional Durable Object binding for shared buckets
+  LOG_SINK?: string; // 'none' (default) | 'console' | 'analytics' | 'http'
+  LOG_SAMPLE_RATE?: string; // 0..1 (default 1)
+  LOG_ENDPOINT?: string; // http sink: NDJSON collector URL
+  LOG_ENDPOINT_TOKEN?: string; // http sink: optional bearer token
+  ANALYTICS?: AnalyticsEngineDataset; // analytics sink: Workers Analytics Engine binding
+  METRICS?: DurableObjectNamespace; // optional Durable Object aggregating /api/metrics across isolates
+  WATCHLIST_KV?: KVNamespace; // followed searches per API key (`watch:<keyId>`)
+  WATCH_NOTIFY?: string; // comma list: 'console' (default) | 'webhook' | 'telegram' | 'webpush' | 'none'
+  WATCH_WEBHOOK_URL?: string; // webhook sink: receives JSON POSTs
+  WATCH_WEBHOOK_TOKEN?: string; // webhook sink: optional bearer token
+  WATCH_TELEGRAM_BOT_TOKEN?: string; // telegram sink: Bot API token
+  WATCH_TELEGRAM_CHAT_ID?: string; // telegram sink: target chat
+  PUSH_KV?: KVNamespace; // Web Push subscriptions per API key (`push:<keyId>`)
+  VAPID_PUBLIC_KEY?: string; // Web Push: base64url P-256 public key (see npm run vapid:keys)
+  VAPID_PRIVATE_KEY?: string; // Web Push: base64url private key (secret)
+  VAPID_SUBJECT?: string; // Web Push: 'mailto:' / 'https:' contact for push services
   [k: string]: unknown; // allow extra bindings (unknown for stronger typing)
 }
 
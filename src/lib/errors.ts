@@ -1,5 +1,7 @@
 import { CORS_HEADERS, ALLOWED_METHODS } from './constants';
-import { getMessages, type Locale } from './i18n';
+import { getMessages, localeHeaders, type Locale } from './i18n';
+import { isAbortError } from './abort';
+import type { ApiKeyInfo, ApiKeyScope } from './apiKey';
 
 export interface ErrorEnvelope {
   error: string;
@@ -36,13 +38,13 @@ export function json(
 /**
  * Creates a localized error JSON Response.
  *
- * @param locale - Locale for message translation ('en' | 'ru')
+ * @param locale - Locale for message translation
  * @param code - Error code identifier
  * @param messageOrKey - Raw message string or i18n key to translate
  * @param status - HTTP status code
  * @param extra - Additional fields to include in response body
  * @param extraHeaders - Additional response headers
- * @returns JSON Response with error envelope
+ * @returns JSON Response with error envelope (Content-Language + Vary: Accept-Language)
  */
 export function errorResponse(
   locale: Locale,
@@ -63,7 +65,7 @@ export function errorResponse(
     messageKey: isKey ? messageOrKey : code,
     ...extra,
   };
-  return json(payload, status, extraHeaders);
+  return json(payload, status, { ...localeHeaders(locale), ...extraHeaders });
 }
 
 /**
@@ -106,3 +108,36 @@ export function methodNotAllowed(locale: Locale): Response {
     }
   );
 }
+
+/**
+ * Maps an error thrown while fetching from the upstream to a localized error Response
+ * (504 on timeout, 502 otherwise).
+ *
+ * @param locale - Locale for message translation
+ * @param err - Error thrown by fetch/cachedFetch
+ * @param timeoutMs - Configured upstream timeout (reported on 504)
+ * @returns 502/504 JSON Response
+ */
+export function upstreamFailure(locale: Locale, err: unknown, timeoutMs: number): Response {
+  if (isAbortError(err))
+    return errorResponse(locale, 'upstream_timeout', 'upstream_timeout', 504, { timeoutMs });
+  return errorResponse(locale, 'upstream_fetch_failed', 'upstream_fetch_failed', 502, {
+    detail: err instanceof Error ? err.message : String(err),
+  });
+}
+
+/**
+ * Builds the localized 403 for a request lacking a scope: distinguishes expired keys,
+ * missing/invalid keys and valid keys without the required scope.
+ *
+ * @param locale - Locale for message translation
+ * @param info - Resolved key info
+ * @param scope - Scope that was required
+ * @returns 403 JSON Response
+ */
+export function scopeForbidden(locale: Locale, info: ApiKeyInfo, scope: ApiKeyScope): Response {
+  if (info.expired) return errorResponse(locale, 'forbidden', 'api_key_expired', 403);
+  if (info.keyValid && info.keyEnforced)
+    return errorResponse(locale, 'forbidden', 'insufficient_scope', 403, { scope });
+  return errorResponse(locale, 'forbidden', 'forbidden', 403);
+}
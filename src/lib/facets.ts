@@ -0,0 +1,91 @@
+import { normalizeTrackerName } from './trackers';
+import type { TorrentItem } from './torrents';
+
+// Server-side equivalent of initFilterLists() in public/js/index.js: distinct values per
+// filter dimension, with the number of items carrying each value.
+
+export interface FacetValue {
+  value: string | number;
+  count: number;
+  label?: string;
+}
+
+export interface FacetResult {
+  total: number;
+  facets: {
+    voice: FacetValue[];
+    tracker: FacetValue[];
+    year: FacetValue[];
+    season: FacetValue[];
+    category: FacetValue[];
+    quality: FacetValue[];
+    videotype: FacetValue[];
+  };
+}
+
+class FacetCounter {
+  private readonly counts = new Map<string | number, FacetValue>();
+
+  add(value: string | number, label?: string): void {
+    const existing = this.counts.get(value);
+    if (existing) existing.count++;
+    else
+      this.counts.set(
+        value,
+        label === undefined ? { value, count: 1 } : { value, count: 1, label }
+      );
+  }
+
+  // Insertion order (first occurrence), like the search page dropdowns.
+  values(): FacetValue[] {
+    return Array.from(this.counts.values());
+  }
+
+  sorted(dir: 1 | -1): FacetValue[] {
+    return this.values().sort((a, b) => (a.value < b.value ? -dir : a.value > b.value ? dir : 0));
+  }
+}
+
+/**
+ * Computes facet values and counts for the filter dimensions of the search page.
+ * Ordering follows the page: voices/trackers by first appearance, years/seasons/categories
+ * descending, quality ascending.
+ *
+ * @param items - Torrent items (optionally pre-filtered)
+ * @returns Total item count and per-dimension facet values
+ */
+export function computeFacets(items: TorrentItem[]): FacetResult {
+  const voice = new FacetCounter();
+  const tracker = new FacetCounter();
+  const year = new FacetCounter();
+  const season = new FacetCounter();
+  const category = new FacetCounter();
+  const quality = new FacetCounter();
+  const videotype = new FacetCounter();
+
+  for (const item of items) {
+    // Multi-valued dimensions count an item once per distinct value.
+    for (const v of new Set(item.voices || [])) if (v) voice.add(v);
+    for (const s of new Set(item.seasons || [])) if (s) season.add(Number(s));
+    for (const t of new Set(item.types || [])) if (t) category.add(t);
+    const trackerLabel = typeof item.tracker === 'string' ? item.tracker.trim() : '';
+    const trackerId = normalizeTrackerName(trackerLabel);
+    tracker.add(trackerId, trackerLabel || trackerId);
+    if (item.relased) year.add(Number(item.relased));
+    if (item.quality) quality.add(Number(item.quality));
+    if (item.videotype) videotype.add(String(item.videotype).toLowerCase());
+  }
+
+  return {
+    total: items.length,
+    facets: {
+      voice: voice.values(),
+      tracker: tracker.values(),
+      year: year.sorted(-1),
+      season: season.sorted(-1),
+      category: category.sorted(-1),
+      quality: quality.sorted(1),
+      videotype: videotype.values(),
+    },
+  };
+}
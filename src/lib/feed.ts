@@ -0,0 +1,131 @@
+import { itemTimestamp, type TorrentItem } from './torrents';
+import { magnetInfohash } from './magnet';
+import { normalizeTrackerName } from './trackers';
+import { xmlElement } from './xml';
+
+// RSS 2.0 / Atom 1.0 builders for saved-search feeds. Magnets are exposed as enclosures
+// so torrent clients with RSS auto-downloaders can pick them up directly.
+
+export type FeedFormat = 'rss' | 'atom';
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+interface FeedMeta {
+  title: string;
+  description: string;
+  selfUrl: string;
+  siteUrl: string;
+}
+
+function itemSummary(item: TorrentItem): string {
+  const parts = [
+    normalizeTrackerName(item.tracker),
+    item.sizeName,
+    `⬆ ${Number(item.sid) || 0}`,
+    `⬇ ${Number(item.pir) || 0}`,
+  ];
+  return parts.filter(Boolean).join(' | ');
+}
+
+function itemId(item: TorrentItem): string {
+  const hash = magnetInfohash(item.magnet);
+  return hash ? `urn:btih:${hash}` : (item.url || item.magnet || '').trim();
+}
+
+function itemSize(item: TorrentItem): number {
+  return Math.max(0, Math.round(Number(item.size) || 0));
+}
+
+/**
+ * Builds an RSS 2.0 document.
+ *
+ * @param meta - Channel metadata
+ * @param items - Items to include (already filtered/sorted)
+ * @returns Serialized <rss> element
+ */
+export function buildRss(meta: FeedMeta, items: TorrentItem[]): string {
+  const entries = items.map((item) => {
+    const magnet = (item.magnet || '').trim();
+    const ts = itemTimestamp(item);
+    return xmlElement(
+      'item',
+      {},
+      {
+        children: [
+          xmlElement('title', {}, { text: item.title || 'Untitled' }),
+          item.url ? xmlElement('link', {}, { text: item.url }) : '',
+          xmlElement('guid', { isPermaLink: 'false' }, { text: itemId(item) }),
+          ts ? xmlElement('pubDate', {}, { text: new Date(ts).toUTCString() }) : '',
+          xmlElement('category', {}, { text: normalizeTrackerName(item.tracker) }),
+          xmlElement('description', {}, { text: itemSummary(item) }),
+          magnet
+            ? xmlElement('enclosure', {
+                url: magnet,
+                length: itemSize(item),
+                type: 'application/x-bittorrent',
+              })
+            : '',
+        ].join(''),
+      }
+    );
+  });
+  const channel = [
+    xmlElement('atom:link', { href: meta.selfUrl, rel: 'self', type: 'application/rss+xml' }),
+    xmlElement('title', {}, { text: meta.title }),
+    xmlElement('link', {}, { text: meta.siteUrl }),
+    xmlElement('description', {}, { text: meta.description }),
+    xmlElement('lastBuildDate', {}, { text: new Date().toUTCString() }),
+    ...entries,
+  ];
+  return xmlElement(
+    'rss',
+    { version: '2.0', 'xmlns:atom': ATOM_NS },
+    { children: xmlElement('channel', {}, { children: channel.join('') }) }
+  );
+}
+
+/**
+ * Builds an Atom 1.0 document.
+ *
+ * @param meta - Feed metadata
+ * @param items - Items to include (already filtered/sorted)
+ * @returns Serialized <feed> element
+ */
+export function buildAtom(meta: FeedMeta, items: TorrentItem[]): string {
+  const newest = items.reduce((max, item) => Math.max(max, itemTimestamp(item)), 0);
+  const entries = items.map((item) => {
+    const magnet = (item.magnet || '').trim();
+    const ts = itemTimestamp(item) || newest || Date.now();
+    return xmlElement(
+      'entry',
+      {},
+      {
+        children: [
+          xmlElement('id', {}, { text: itemId(item) }),
+          xmlElement('title', {}, { text: item.title || 'Untitled' }),
+          xmlElement('updated', {}, { text: new Date(ts).toISOString() }),
+          item.url ? xmlElement('link', { rel: 'alternate', href: item.url }) : '',
+          magnet
+            ? xmlElement('link', {
+                rel: 'enclosure',
+                href: magnet,
+                type: 'application/x-bittorrent',
+                length: itemSize(item),
+              })
+            : '',
+          xmlElement('category', { term: normalizeTrackerName(item.tracker) }),
+          xmlElement('summary', {}, { text: itemSummary(item) }),
+        ].join(''),
+      }
+    );
+  });
+  const head = [
+    xmlElement('id', {}, { text: meta.selfUrl }),
+    xmlElement('title', {}, { text: meta.title }),
+    xmlElement('subtitle', {}, { text: meta.description }),
+    xmlElement('updated', {}, { text: new Date(newest || Date.now()).toISOString() }),
+    xmlElement('link', { rel: 'self', href: meta.selfUrl, type: 'application/atom+xml' }),
+    xmlElement('link', { rel: 'alternate', href: meta.siteUrl }),
+  ];
+  return xmlElement('feed', { xmlns: ATOM_NS }, { children: [...head, ...entries].join('') });
+}
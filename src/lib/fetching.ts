@@ -1,5 +1,16 @@
 import { addStandardResponseHeaders } from './security';
 import { stripApiKeyFromParams } from './apiKey';
+import { orderOrigins, recordOriginResult, type UpstreamOrigin } from './origins';
+import { incCounter } from './metrics';
+import {
+  cacheRetentionSec,
+  clientCacheControl,
+  DEFAULT_CACHE_WINDOWS,
+  normalizeKeyParams,
+  resolveCachePolicy,
+  type CachePolicy,
+  type CacheWindows,
+} from './cachePolicy';
 
 /**
  * Safely registers a promise with the execution context's waitUntil.
@@ -39,13 +50,27 @@ export async function fetchWithTimeout(
  *
  * @param request - Original incoming request
  * @param upstreamUrl - The upstream URL being fetched
+ * @param policy - Cache policy (defaults to the policy resolved for upstreamUrl's path); when it
+ *   lists `varyParams`, all other query params are dropped from the key; `ignoreParams` are
+ *   dropped as well, and `normalizeQuery` canonicalizes the remaining ones
  * @returns A GET Request suitable for use as a cache key
  */
-export function buildCacheKey(request: Request, upstreamUrl: string): Request {
+export function buildCacheKey(
+  request: Request,
+  upstreamUrl: string,
+  policy: CachePolicy = resolveCachePolicy(new URL(upstreamUrl).pathname)
+): Request {
   const u = new URL(upstreamUrl);
   u.searchParams.delete('_');
   // Remove API key query params to prevent cache fragmentation per user key.
   stripApiKeyFromParams(u.searchParams);
+  if (policy.varyParams) {
+    const vary = policy.varyParams;
+    for (const name of Array.from(new Set(u.searchParams.keys())))
+      if (!vary.includes(name)) u.searchParams.delete(name);
+  }
+  for (const name of policy.ignoreParams || []) u.searchParams.delete(name);
+  if (policy.normalizeQuery) normalizeKeyParams(u.searchParams);
   return new Request(u.toString(), { method: 'GET' });
 }
 
@@ -70,82 +95,361 @@ export async function fetchUpstream(
   };
   (init.headers as Headers).delete('host');
   (init.headers as Headers).delete('cookie');
+  // Site API key headers are for this worker only; never forward them to the upstream.
+  (init.headers as Headers).delete('authorization');
+  (init.headers as Headers).delete('x-api-key');
   if (request.method !== 'GET' && request.method !== 'HEAD')
     init.body = await request.arrayBuffer();
   return fetchWithTimeout(upstreamUrl, init, timeoutMs);
 }
 
+/**
+ * Fetches from the first healthy origin, failing over to the next one on timeout, network
+ * error or 5xx. `timeoutMs` bounds the whole sequence: each attempt may use all of the time
+ * left, so a slow primary is not cut short, and an origin that fails fast (5xx, network
+ * error) leaves the rest to the next ones. Outcomes feed the origin health score.
+ * The response carries an `X-Upstream-Origin` header naming the origin that served it.
+ *
+ * @param upstreamUrl - The upstream URL to fetch (its origin is replaced per attempt)
+ * @param request - Original incoming request (copied per attempt)
+ * @param timeoutMs - Total timeout in milliseconds across all attempts
+ * @param origins - Candidate origins (see orderOrigins())
+ * @returns The first non-5xx response, or the last origin's response
+ * @throws The last error when every origin failed with a timeout/network error
+ */
+export async function fetchWithFailover(
+  upstreamUrl: string,
+  request: Request,
+  timeoutMs: number,
+  origins: UpstreamOrigin[]
+): Promise<Response> {
+  const ordered = orderOrigins(origins);
+  // Buffer the body once so every attempt can resend it.
+  const body =
+    request.method !== 'GET' && request.method !== 'HEAD' ? await request.arrayBuffer() : null;
+  let lastError: unknown = new Error('upstream_fetch_failed');
+  const deadline = Date.now() + timeoutMs;
+  for (let i = 0; i < ordered.length; i++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) break;
+    const { origin } = ordered[i];
+    const target = new URL(upstreamUrl);
+    const o = new URL(origin);
+    target.protocol = o.protocol;
+    target.host = o.host;
+    const started = Date.now();
+    try {
+      const resp = await fetchUpstream(
+        target.toString(),
+        new Request(request.url, { method: request.method, headers: request.headers, body }),
+        remainingMs
+      );
+      const failed = resp.status >= 500;
+      recordOriginResult(origin, !failed, Date.now() - started);
+      if (failed && i < ordered.length - 1) {
+        await resp.body?.cancel();
+        continue;
+      }
+      const headers = new Headers(resp.headers);
+      headers.set('X-Upstream-Origin', origin);
+      return new Response(resp.body, {
+        status: resp.status,
+        statusText: resp.statusText,
+        headers,
+      });
+    } catch (err) {
+      recordOriginResult(origin, false, Date.now() - started);
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+export interface CachedFetchOptions {
+  origins?: UpstreamOrigin[]; // failover candidates; the cache key keeps upstreamUrl's origin
+  windows?: CacheWindows; // freshness/SWR/stale-if-error windows (default: DEFAULT_CACHE_WINDOWS)
+}
+
+// Internal header recording when an entry was stored (never sent to clients).
+const STORED_AT_HEADER = 'X-Cache-Stored-At';
+
+/**
+ * Copies a successful upstream response into a cache entry retained for `retentionSec`.
+ *
+ * @param resp - Upstream response (cloned, the original stays readable)
+ * @param retentionSec - Edge cache lifetime covering the fresh + stale windows
+ * @returns Response suitable for cache.put
+ */
+function toCacheEntry(resp: Response, retentionSec: number): Response {
+  const cacheHeaders = new Headers(resp.headers);
+  cacheHeaders.set('Cache-Control', `public, max-age=${retentionSec}`);
+  cacheHeaders.set(STORED_AT_HEADER, String(Date.now()));
+  return new Response(resp.clone().body, { status: resp.status, headers: cacheHeaders });
+}
+
+/**
+ * Turns a cache entry into a client response: client-facing Cache-Control, `Age`,
+ * `CF-Cache-Status`, and a 304 when If-None-Match matches the cached ETag.
+ *
+ * @param cached - Entry from cache.match
+ * @param request - Original incoming request
+ * @param cacheControl - Client-facing Cache-Control (see clientCacheControl())
+ * @param status - CF-Cache-Status value
+ * @param ageSec - Entry age in seconds
+ * @param extraHeaders - Additional headers (e.g. stale markers)
+ * @returns 200/304 Response
+ */
+function serveCached(
+  cached: Response,
+  request: Request,
+  cacheControl: string,
+  status: string,
+  ageSec: number,
+  extraHeaders: Record<string, string> = {}
+): Response {
+  const h = new Headers(cached.headers);
+  h.delete(STORED_AT_HEADER);
+  h.set('Cache-Control', cacheControl);
+  h.set('Age', String(ageSec));
+  h.set('CF-Cache-Status', status);
+  for (const [k, v] of Object.entries(extraHeaders)) h.set(k, v);
+  const inm = request.headers.get('If-None-Match');
+  const cachedEtag = h.get('ETag');
+  if (inm && cachedEtag) {
+    const tokens = inm
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((t) => t.replace(/^W\//i, '').replace(/^"|"$/g, ''));
+    const normalizedCached = cachedEtag.replace(/^W\//i, '').replace(/^"|"$/g, '');
+    if (tokens.includes(normalizedCached) || tokens.includes('*')) {
+      const h304 = new Headers();
+      h304.set('ETag', cachedEtag);
+      if (h.has('Cache-Control')) h304.set('Cache-Control', h.get('Cache-Control') || '');
+      // Ensure Vary includes Accept and If-None-Match (helps downstream caches differentiate)
+      const existingVary = h.has('Vary') ? h.get('Vary') || '' : '';
+      const varyTokens = new Set(
+        existingVary
+          .split(',')
+          .map((t) => t.trim())
+          .filter(Boolean)
+      );
+      varyTokens.add('Accept');
+      varyTokens.add('If-None-Match');
+      h304.set('Vary', Array.from(varyTokens).join(', '));
+      addStandardResponseHeaders(h304);
+      h304.set('CF-Cache-Status', status);
+      for (const [k, v] of Object.entries(extraHeaders)) h304.set(k, v);
+      incCounter('jacred_cache_not_modified_total');
+      return new Response(null, { status: 304, headers: h304 });
+    }
+  }
+  return new Response(cached.body, { status: cached.status, headers: h });
+}
+
+// Buffered upstream response shared by coalesced requests (each gets its own Response).
+interface SharedResponse {
+  status: number;
+  statusText: string;
+  headers: [string, string][];
+  body: ArrayBuffer | null;
+}
+
+// Client validators never reach an upstream fetch whose response is stored or shared with
+// coalesced callers: an upstream 304 has no body for the cache or for the other callers.
+const CONDITIONAL_HEADERS = [
+  'if-none-match',
+  'if-modified-since',
+  'if-match',
+  'if-unmodified-since',
+  'if-range',
+] as const;
+
+/**
+ * Copies a GET request without its conditional headers.
+ *
+ * @param request - Original incoming request
+ * @returns Request for a cacheable/shared upstream fetch
+ */
+function withoutConditionals(request: Request): Request {
+  const headers = new Headers(request.headers);
+  for (const name of CONDITIONAL_HEADERS) headers.delete(name);
+  return new Request(request.url, { method: request.method, headers });
+}
+
+// In-flight upstream fetches per cache key URL (isolate-local).
+const inFlight = new Map<string, Promise<SharedResponse>>();
+
+function fromShared(shared: SharedResponse, extraHeaders: Record<string, string> = {}): Response {
+  const headers = new Headers(shared.headers);
+  for (const [k, v] of Object.entries(extraHeaders)) headers.set(k, v);
+  return new Response(shared.body, {
+    status: shared.status,
+    statusText: shared.statusText,
+    headers,
+  });
+}
+
+/**
+ * Runs `fetchFn` once per cache key: concurrent callers with the same key await the first
+ * caller's upstream fetch and receive a copy of its response marked
+ * `CF-Cache-Status: COALESCED`.
+ *
+ * @param key - Cache key URL (see buildCacheKey())
+ * @param fetchFn - Upstream fetch to run when no fetch for the key is in flight
+ * @returns The response, and whether this caller ran the fetch (and should store it)
+ * @throws The upstream fetch error (shared by every coalesced caller)
+ */
+async function coalescedFetch(
+  key: string,
+  fetchFn: () => Promise<Response>
+): Promise<{ resp: Response; leader: boolean }> {
+  const pending = inFlight.get(key);
+  if (pending)
+    return { resp: fromShared(await pending, { 'CF-Cache-Status': 'COALESCED' }), leader: false };
+  const shared = fetchFn().then(async (r) => ({
+    status: r.status,
+    statusText: r.statusText,
+    headers: [...r.headers],
+    body: r.body ? await r.arrayBuffer() : null,
+  }));
+  inFlight.set(key, shared);
+  try {
+    return { resp: fromShared(await shared), leader: true };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
 /**
  * Fetches from upstream with Cloudflare Cache API integration for GET requests.
  * Handles cache hits, ETag/If-None-Match validation, and stores cacheable responses.
+ * Cache behaviour per path (never-cache, vary params, TTL route) comes from resolveCachePolicy().
+ *
+ * Entries past their fresh window are still served:
+ * - within the stale-while-revalidate window: immediately (`CF-Cache-Status: STALE`), with a
+ *   background refresh in `ctx.waitUntil`;
+ * - within the stale-if-error window: only when the upstream times out, errors or returns 5xx
+ *   (`CF-Cache-Status: STALE-IF-ERROR`).
+ * Stale responses carry `Warning` and `X-Cache-Stale` headers. Concurrent misses for the same
+ * cache key share one upstream fetch (see coalescedFetch()); that fetch never forwards the
+ * client's conditional headers, so it cannot come back as a bodiless 304.
  *
  * @param ctx - Cloudflare Workers ExecutionContext (for waitUntil cache writes)
  * @param upstreamUrl - The upstream URL to fetch
  * @param request - Original incoming request
  * @param timeoutMs - Timeout in milliseconds
+ * @param options - Optional failover origins and cache windows
  * @returns Response from cache or upstream, with CF-Cache-Status header
- * @throws DOMException with name 'AbortError' if timeout is exceeded
+ * @throws DOMException with name 'AbortError' if timeout is exceeded (and no stale copy exists)
  */
 export async function cachedFetch(
   ctx: ExecutionContext,
   upstreamUrl: string,
   request: Request,
-  timeoutMs: number
+  timeoutMs: number,
+  options: CachedFetchOptions = {}
 ): Promise<Response> {
-  if (request.method !== 'GET') return fetchUpstream(upstreamUrl, request, timeoutMs);
+  const origins = options.origins;
+  const fetchOriginWith = (req: Request) =>
+    origins && origins.length
+      ? fetchWithFailover(upstreamUrl, req, timeoutMs, origins)
+      : fetchUpstream(upstreamUrl, req, timeoutMs);
+  const lookup = (result: string) => incCounter('jacred_cache_lookups_total', { result });
+  const bypass = () => {
+    lookup('bypass');
+    return fetchOriginWith(request);
+  };
+  if (request.method !== 'GET') return bypass();
   const u = new URL(upstreamUrl);
-  const isLastUpdateDb = u.pathname === '/lastupdatedb';
-  if (isLastUpdateDb) return fetchUpstream(upstreamUrl, request, timeoutMs);
+  const policy = resolveCachePolicy(u.pathname);
+  if (policy.noCache) return bypass();
   // Cloudflare Workers augments CacheStorage with a 'default' cache. Cast to any for type compatibility.
   // Cloudflare Workers runtime provides caches.default (Cache interface)
   const cache: Cache = (caches as unknown as { default: Cache }).default;
   const cc = request.headers.get('Cache-Control') || '';
-  if (/no-cache|no-store/i.test(cc)) return fetchUpstream(upstreamUrl, request, timeoutMs);
-  const cacheKey = buildCacheKey(request, upstreamUrl);
-  let resp = await cache.match(cacheKey);
-  if (resp) {
-    const h = new Headers(resp.headers);
-    h.set('CF-Cache-Status', 'HIT');
-    const inm = request.headers.get('If-None-Match');
-    const cachedEtag = h.get('ETag');
-    if (inm && cachedEtag) {
-      const tokens = inm
-        .split(',')
-        .map((s) => s.trim())
-        .filter(Boolean)
-        .map((t) => t.replace(/^W\//i, '').replace(/^"|"$/g, ''));
-      const normalizedCached = cachedEtag.replace(/^W\//i, '').replace(/^"|"$/g, '');
-      if (tokens.includes(normalizedCached) || tokens.includes('*')) {
-        const h304 = new Headers();
-        h304.set('ETag', cachedEtag);
-        if (h.has('Cache-Control')) h304.set('Cache-Control', h.get('Cache-Control') || '');
-        // Ensure Vary includes Accept and If-None-Match (helps downstream caches differentiate)
-        const existingVary = h.has('Vary') ? h.get('Vary') || '' : '';
-        const varyTokens = new Set(
-          existingVary
-            .split(',')
-            .map((t) => t.trim())
-            .filter(Boolean)
-        );
-        varyTokens.add('Accept');
-        varyTokens.add('If-None-Match');
-        h304.set('Vary', Array.from(varyTokens).join(', '));
-        addStandardResponseHeaders(h304);
-        h304.set('CF-Cache-Status', 'HIT');
-        return new Response(null, { status: 304, headers: h304 });
-      }
+  if (/no-cache|no-store/i.test(cc)) return bypass();
+  const cacheKey = buildCacheKey(request, upstreamUrl, policy);
+  // Stored and coalesced fetches are unconditional; 304s for the client come from serveCached.
+  const fetchOrigin = () => fetchOriginWith(withoutConditionals(request));
+  const window = (options.windows || DEFAULT_CACHE_WINDOWS)[policy.route];
+  const retentionSec = cacheRetentionSec(window);
+  const cacheControl = clientCacheControl(policy, window);
+
+  const cached = await cache.match(cacheKey);
+  let ageSec = 0;
+  if (cached) {
+    const storedAt = parseInt(cached.headers.get(STORED_AT_HEADER) || '', 10);
+    ageSec = Number.isNaN(storedAt) ? 0 : Math.max(0, Math.floor((Date.now() - storedAt) / 1000));
+    if (ageSec <= window.freshSec) {
+      lookup('hit');
+      return serveCached(cached, request, cacheControl, 'HIT', ageSec);
+    }
+    if (ageSec <= window.freshSec + window.staleWhileRevalidateSec) {
+      lookup('stale');
+      const refresh = coalescedFetch(cacheKey.url, fetchOrigin)
+        .then(({ resp: r, leader }) =>
+          leader && r.ok ? cache.put(cacheKey, toCacheEntry(r, retentionSec)) : undefined
+        )
+        .catch((err) => console.warn('[cache] Background refresh failed:', err));
+      ctxWaitUntilSafe(ctx, refresh);
+      return serveCached(cached, request, cacheControl, 'STALE', ageSec, {
+        Warning: '110 - "Response is Stale"',
+        'X-Cache-Stale': 'revalidating',
+      });
     }
-    return new Response(resp.body, { status: resp.status, headers: h });
   }
-  const upstreamResp = await fetchUpstream(upstreamUrl, request, timeoutMs);
-  if (upstreamResp.ok) {
-    const cacheHeaders = new Headers(upstreamResp.headers);
-    cacheHeaders.set('Cache-Control', 'public, max-age=60, s-maxage=300');
-    const cacheable = new Response(upstreamResp.clone().body, {
-      status: upstreamResp.status,
-      headers: cacheHeaders,
+  // Only entries inside the stale-if-error window may stand in for a failed upstream.
+  const fallback = cached && ageSec <= window.freshSec + window.staleIfErrorSec ? cached : null;
+  const serveStaleOnError = (): Response | null => {
+    if (!fallback) return null;
+    lookup('stale_if_error');
+    return serveCached(fallback, request, cacheControl, 'STALE-IF-ERROR', ageSec, {
+      Warning: '111 - "Revalidation Failed"',
+      'X-Cache-Stale': 'error',
     });
-    ctxWaitUntilSafe(ctx, cache.put(cacheKey, cacheable));
+  };
+
+  let upstreamResp: Response;
+  let leader: boolean;
+  try {
+    ({ resp: upstreamResp, leader } = await coalescedFetch(cacheKey.url, fetchOrigin));
+  } catch (err) {
+    const stale = serveStaleOnError();
+    if (stale) return stale;
+    lookup('miss');
+    throw err;
   }
+  if (upstreamResp.status >= 500) {
+    const stale = serveStaleOnError();
+    if (stale) {
+      await upstreamResp.body?.cancel();
+      return stale;
+    }
+  }
+  lookup(leader ? 'miss' : 'coalesced');
+  if (leader && upstreamResp.ok)
+    ctxWaitUntilSafe(ctx, cache.put(cacheKey, toCacheEntry(upstreamResp, retentionSec)));
   return upstreamResp;
 }
+
+/**
+ * Evicts edge cache entries for the given upstream URLs (cache keys are derived with
+ * buildCacheKey(), so cache-busting and API key params are ignored and the query is
+ * normalized as for a fetch).
+ *
+ * @param upstreamUrls - Upstream URLs whose cached responses should be removed
+ * @returns Cache key URLs that were deleted, and those that had no entry
+ */
+export async function purgeCacheEntries(
+  upstreamUrls: string[]
+): Promise<{ purged: string[]; missed: string[] }> {
+  const cache: Cache = (caches as unknown as { default: Cache }).default;
+  const purged: string[] = [];
+  const missed: string[] = [];
+  for (const url of new Set(upstreamUrls)) {
+    const key = buildCacheKey(new Request(url), url);
+    ((await cache.delete(key)) ? purged : missed).push(key.url);
+  }
+  return { purged, missed };
+}
@@ -0,0 +1,267 @@
+import { normalizeTrackerName } from './trackers';
+import { itemTimestamp, type TorrentItem } from './torrents';
+import { groupTorrents } from './grouping';
+import { normalizeInfohash, parseMagnet } from './magnet';
+
+// Server-side port of applyFilters() from public/js/index.js.
+// Every active criterion must pass (AND logic); inactive criteria are ignored.
+export interface TorrentFilters {
+  quality?: number;
+  videotype?: string; // 'sdr' | 'hdr' (the video type select on the search page)
+  year?: number;
+  tracker?: string; // normalized tracker identifier
+  voice?: string;
+  season?: number;
+  category?: string;
+  refine?: string;
+  exclude?: string;
+  infohash?: string; // normalized hex; matches the magnet's v1 or v2 hash
+}
+
+// Filter query parameters applied by the worker (see consumedListParams for forwarding).
+export const FILTER_PARAMS = [
+  'quality',
+  'videotype',
+  'year',
+  'tracker',
+  'voice',
+  'season',
+  'category',
+  'refine',
+  'exclude',
+  'infohash',
+] as const;
+
+function intParam(params: URLSearchParams, name: string): number | undefined {
+  const n = parseInt(params.get(name) || '', 10);
+  return Number.isNaN(n) ? undefined : n;
+}
+
+function flagParam(params: URLSearchParams, name: string): boolean {
+  return ['1', 'true'].includes((params.get(name) || '').toLowerCase());
+}
+
+function textParam(params: URLSearchParams, name: string): string | undefined {
+  const v = (params.get(name) || '').trim();
+  return v || undefined;
+}
+
+/**
+ * Reads filter criteria from query parameters. Empty or unparseable values are treated
+ * as "any" (inactive), matching the default select options on the search page.
+ *
+ * @param params - Request query parameters
+ * @returns Parsed filter criteria
+ */
+export function parseFilterParams(params: URLSearchParams): TorrentFilters {
+  const tracker = textParam(params, 'tracker');
+  const infohash = textParam(params, 'infohash');
+  return {
+    quality: intParam(params, 'quality'),
+    videotype: textParam(params, 'videotype')?.toLowerCase(),
+    year: intParam(params, 'year'),
+    tracker: tracker ? normalizeTrackerName(tracker) : undefined,
+    voice: textParam(params, 'voice'),
+    season: intParam(params, 'season'),
+    category: textParam(params, 'category'),
+    refine: textParam(params, 'refine')?.toLowerCase(),
+    exclude: textParam(params, 'exclude')?.toLowerCase(),
+    // An invalid hash matches nothing (the upstream middleware rejects it beforehand).
+    infohash: infohash ? (normalizeInfohash(infohash) ?? infohash.toLowerCase()) : undefined,
+  };
+}
+
+/**
+ * Checks whether any filter criterion is active.
+ *
+ * @param filters - Parsed filter criteria
+ * @returns True if at least one criterion is set
+ */
+export function hasActiveFilters(filters: TorrentFilters): boolean {
+  return Object.values(filters).some((v) => v !== undefined);
+}
+
+/**
+ * Tests a single item against the filter criteria.
+ *
+ * @param item - Torrent item from the upstream
+ * @param f - Parsed filter criteria
+ * @returns True if the item passes every active criterion
+ */
+export function matchesFilters(item: TorrentItem, f: TorrentFilters): boolean {
+  const title = (item.title || '').toLowerCase();
+  if (f.quality !== undefined && Number(item.quality) !== f.quality) return false;
+  if (f.videotype !== undefined && String(item.videotype || '').toLowerCase() !== f.videotype)
+    return false;
+  if (f.tracker !== undefined && normalizeTrackerName(item.tracker) !== f.tracker) return false;
+  if (f.voice !== undefined && !(item.voices || []).includes(f.voice)) return false;
+  if (f.category !== undefined && !(item.types || []).includes(f.category)) return false;
+  if (f.season !== undefined && !(item.seasons || []).map(Number).includes(f.season)) return false;
+  if (f.year !== undefined && Number(item.relased) !== f.year) return false;
+  if (f.refine !== undefined && !title.includes(f.refine)) return false;
+  if (f.exclude !== undefined && title.includes(f.exclude)) return false;
+  if (f.infohash !== undefined) {
+    const magnet = parseMagnet(item.magnet);
+    if (!magnet || (magnet.infohash !== f.infohash && magnet.infohashV2 !== f.infohash))
+      return false;
+  }
+  return true;
+}
+
+/**
+ * Applies filter criteria to a list of items (non-mutating).
+ *
+ * @param items - Torrent items from the upstream
+ * @param filters - Parsed filter criteria
+ * @returns Items passing every active criterion
+ */
+export function applyFilters(items: TorrentItem[], filters: TorrentFilters): TorrentItem[] {
+  if (!hasActiveFilters(filters)) return items.slice();
+  return items.filter((item) => matchesFilters(item, filters));
+}
+
+export const SORT_KEYS = ['sid', 'pir', 'size', 'date', 'title', 'quality', 'year'] as const;
+export type SortKey = (typeof SORT_KEYS)[number];
+export type SortOrder = 'asc' | 'desc';
+
+// Worker-side list parameters for /api/torrents: filters plus grouping, sorting and pagination.
+export const LIST_PARAMS = [
+  ...FILTER_PARAMS,
+  'group',
+  'sort',
+  'order',
+  'limit',
+  'offset',
+  'envelope',
+] as const;
+
+// List parameters the upstream /api/torrents understands as well. The worker takes them over
+// only when it can apply the value; other values (e.g. `sort=create`) go to the upstream.
+const SHARED_LIST_PARAMS: readonly string[] = [
+  'sort',
+  'tracker',
+  'voice',
+  'quality',
+  'season',
+  'videotype',
+];
+
+function appliesValue(params: URLSearchParams, name: string): boolean {
+  switch (name) {
+    case 'sort':
+      return (SORT_KEYS as readonly string[]).includes(
+        (params.get(name) || '').trim().toLowerCase()
+      );
+    case 'quality':
+    case 'season':
+      return intParam(params, name) !== undefined;
+    default:
+      return textParam(params, name) !== undefined;
+  }
+}
+
+/**
+ * Lists the list parameters the worker applies itself. Worker-only parameters always count;
+ * parameters shared with the upstream count only when their value is one the worker handles.
+ *
+ * @param params - Request query parameters
+ * @returns Names of the consumed parameters present in `params`
+ */
+export function consumedListParams(params: URLSearchParams): string[] {
+  return LIST_PARAMS.filter(
+    (p) => params.has(p) && (!SHARED_LIST_PARAMS.includes(p) || appliesValue(params, p))
+  );
+}
+
+export interface TorrentListQuery {
+  filters: TorrentFilters;
+  group: boolean; // collapse identical releases (see groupTorrents)
+  envelope: boolean; // wrap the page in { items, total, warnings } (see shapeTorrentResponse)
+  sort?: SortKey;
+  order: SortOrder;
+  limit?: number;
+  offset: number;
+}
+
+/**
+ * Reads filter, sort and pagination parameters for /api/torrents.
+ *
+ * @param params - Request query parameters
+ * @returns Parsed list query, or null when the worker consumes none of LIST_PARAMS (plain
+ *   passthrough)
+ */
+export function parseListQuery(params: URLSearchParams): TorrentListQuery | null {
+  if (consumedListParams(params).length === 0) return null;
+  const sortRaw = (params.get('sort') || '').trim().toLowerCase();
+  const limit = intParam(params, 'limit');
+  const offset = intParam(params, 'offset');
+  return {
+    filters: parseFilterParams(params),
+    group: flagParam(params, 'group'),
+    envelope: flagParam(params, 'envelope'),
+    sort: (SORT_KEYS as readonly string[]).includes(sortRaw) ? (sortRaw as SortKey) : undefined,
+    order: (params.get('order') || '').toLowerCase() === 'asc' ? 'asc' : 'desc',
+    limit: limit !== undefined && limit > 0 ? limit : undefined,
+    offset: offset !== undefined && offset > 0 ? offset : 0,
+  };
+}
+
+/**
+ * Removes the list parameters the worker consumes so they are not forwarded to the upstream
+ * (keeps a single upstream cache entry per search). Shared parameters with values only the
+ * upstream handles stay.
+ *
+ * @param params - URLSearchParams to strip (mutated in place)
+ */
+export function stripListParams(params: URLSearchParams): void {
+  for (const p of consumedListParams(params)) params.delete(p);
+}
+
+function sortValue(item: TorrentItem, key: SortKey): number | string {
+  switch (key) {
+    case 'date':
+      return itemTimestamp(item);
+    case 'title':
+      return (item.title || '').toLowerCase();
+    case 'year':
+      return Number(item.relased) || 0;
+    default:
+      return Number(item[key]) || 0;
+  }
+}
+
+/**
+ * Sorts items by the given key (non-mutating). Ties keep upstream order.
+ *
+ * @param items - Torrent items
+ * @param key - Sort key
+ * @param order - 'desc' (default on the search page) or 'asc'
+ * @returns New sorted array
+ */
+export function sortItems(items: TorrentItem[], key: SortKey, order: SortOrder): TorrentItem[] {
+  const dir = order === 'asc' ? 1 : -1;
+  return items
+    .map((item, idx) => ({ item, idx, v: sortValue(item, key) }))
+    .sort((a, b) => (a.v < b.v ? -dir : a.v > b.v ? dir : a.idx - b.idx))
+    .map((e) => e.item);
+}
+
+/**
+ * Applies a list query (filter -> group -> sort -> paginate). Grouped entries sort by their
+ * combined seeders/leechers.
+ *
+ * @param items - Torrent items from the upstream
+ * @param query - Parsed list query
+ * @returns Page of items and the number of matches (groups when grouping) before pagination
+ */
+export function runListQuery(
+  items: TorrentItem[],
+  query: TorrentListQuery
+): { items: TorrentItem[]; total: number } {
+  let result = applyFilters(items, query.filters);
+  if (query.group) result = groupTorrents(result);
+  if (query.sort) result = sortItems(result, query.sort, query.order);
+  const total = result.length;
+  const end = query.limit !== undefined ? query.offset + query.limit : undefined;
+  return { items: result.slice(query.offset, end), total };
+}
@@ -0,0 +1,82 @@
+import { magnetInfohash } from './magnet';
+import type { TorrentItem } from './torrents';
+
+// Server-side port of groupResults() in public/js/index.js: the same release posted on
+// several trackers collapses into one entry. Items join a group by magnet infohash first,
+// then by normalized title plus size (within GROUP_SIZE_TOLERANCE).
+
+// A group: the best-seeded source's fields, with seeders/leechers summed over all sources.
+export interface TorrentGroup extends TorrentItem {
+  trackers: string[]; // distinct tracker names, in source order
+  sources: TorrentItem[]; // every grouped item, most seeders first
+}
+
+// Relative size difference still treated as the same release (trackers round sizes).
+export const GROUP_SIZE_TOLERANCE = 0.01;
+
+/**
+ * Normalizes a title for grouping: lower case, `ё` as `е`, punctuation and brackets
+ * collapsed to single spaces ("Dune (2021) [WEB-DL]" and "Dune 2021 WEB DL" match).
+ *
+ * @param title - Item title
+ * @returns Normalized title ('' when nothing is left)
+ */
+export function normalizeGroupTitle(title: string | undefined): string {
+  return (title || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+interface Cluster {
+  size: number;
+  items: TorrentItem[];
+}
+
+function toGroup(items: TorrentItem[]): TorrentGroup {
+  const sources = items
+    .map((item, idx) => ({ item, idx }))
+    .sort((a, b) => (Number(b.item.sid) || 0) - (Number(a.item.sid) || 0) || a.idx - b.idx)
+    .map((e) => e.item);
+  const trackers: string[] = [];
+  for (const s of sources) {
+    const name = typeof s.tracker === 'string' ? s.tracker.trim() : '';
+    if (name && !trackers.includes(name)) trackers.push(name);
+  }
+  const sum = (key: 'sid' | 'pir') => sources.reduce((n, s) => n + (Number(s[key]) || 0), 0);
+  return { ...sources[0], sid: sum('sid'), pir: sum('pir'), trackers, sources };
+}
+
+/**
+ * Groups identical releases. Items without an infohash match only by title and size;
+ * items without a title or size match only by infohash. Groups keep the order of their
+ * first item.
+ *
+ * @param items - Torrent items (e.g. after filtering)
+ * @returns One entry per group (single items become one-source groups)
+ */
+export function groupTorrents(items: TorrentItem[]): TorrentGroup[] {
+  const clusters: Cluster[] = [];
+  const byHash = new Map<string, Cluster>();
+  const byTitle = new Map<string, Cluster[]>();
+  for (const item of items) {
+    const hash = magnetInfohash(item.magnet);
+    const title = normalizeGroupTitle(item.title);
+    const size = Number(item.size) || 0;
+    const titled = title && size > 0;
+    let cluster = hash ? byHash.get(hash) : undefined;
+    if (!cluster && titled)
+      cluster = (byTitle.get(title) || []).find(
+        (c) => Math.abs(c.size - size) <= c.size * GROUP_SIZE_TOLERANCE
+      );
+    if (!cluster) {
+      cluster = { size, items: [] };
+      clusters.push(cluster);
+      if (titled) byTitle.set(title, [...(byTitle.get(title) || []), cluster]);
+    }
+    cluster.items.push(item);
+    if (hash && !byHash.has(hash)) byHash.set(hash, cluster);
+  }
+  return clusters.map((c) => toGroup(c.items));
+}
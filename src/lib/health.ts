@@ -0,0 +1,158 @@
+// Worker-native /health report: build info, asset manifest, upstream reachability,
+// database freshness (/lastupdatedb) and the effective configuration (secrets redacted).
+import { fetchUpstream, fetchWithFailover } from './fetching';
+import { isAbortError } from './abort';
+import { originHealth, recordOriginResult } from './origins';
+import { USER_AGENT } from './constants';
+import type { ResolvedConfig } from '../config';
+
+// Injected by esbuild --define (see the build:worker scripts in package.json).
+declare const __BUILD_ID__: string | undefined;
+declare const __WORKER_VERSION__: string | undefined;
+
+export const BUILD_ID = typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'dev';
+export const WORKER_VERSION =
+  typeof __WORKER_VERSION__ !== 'undefined' ? __WORKER_VERSION__ : 'dev';
+
+// Probes are capped so a hanging upstream cannot stall health checks for the full timeout.
+export const HEALTH_PROBE_TIMEOUT_MS = 5000;
+// /health is unauthenticated and answered before rateLimit: probe results are reused per
+// isolate for this long, so frequent hits do not turn into upstream requests.
+export const HEALTH_PROBE_CACHE_MS = 10_000;
+const LAST_UPDATE_PATH = '/lastupdatedb';
+
+export interface UpstreamProbe {
+  origin: string | null; // origin that answered (null when every attempt failed)
+  reachable: boolean; // answered with a non-5xx status
+  status: number | null;
+  latencyMs: number;
+  error?: string; // 'upstream_timeout' | 'upstream_fetch_failed'
+  lastUpdate?: string; // raw /lastupdatedb body
+}
+
+/**
+ * Parses the /lastupdatedb body (`DD.MM.YYYY HH:MM`, interpreted as UTC; ISO dates are
+ * accepted too).
+ *
+ * @param text - Raw body
+ * @returns Epoch milliseconds, or null when unparseable
+ */
+export function parseLastUpdate(text: string): number | null {
+  const trimmed = text.trim();
+  const m = /^(\d{2})\.(\d{2})\.(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(trimmed);
+  if (m) return Date.UTC(+m[3], +m[2] - 1, +m[1], +m[4], +m[5], m[6] ? +m[6] : 0);
+  const t = Date.parse(trimmed);
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Fetches /lastupdatedb, either through the failover sequence or from one origin only.
+ *
+ * @param config - Resolved worker configuration
+ * @param origin - Probe this origin only (deep mode); omitted = failover over all origins
+ * @returns Probe result
+ */
+export async function probeUpstream(
+  config: ResolvedConfig,
+  origin?: string
+): Promise<UpstreamProbe> {
+  const url = new URL(LAST_UPDATE_PATH, origin || config.upstreamOrigin).toString();
+  const request = new Request(url, { headers: { 'User-Agent': USER_AGENT } });
+  const timeoutMs = Math.min(config.upstreamTimeoutMs, HEALTH_PROBE_TIMEOUT_MS);
+  const started = Date.now();
+  try {
+    const resp = origin
+      ? await fetchUpstream(url, request, timeoutMs)
+      : await fetchWithFailover(url, request, timeoutMs, config.upstreamOrigins);
+    const latencyMs = Date.now() - started;
+    if (origin) recordOriginResult(origin, resp.status < 500, latencyMs);
+    const body = resp.ok ? (await resp.text()).trim().slice(0, 100) : undefined;
+    if (!resp.ok) await resp.body?.cancel();
+    return {
+      origin: origin || resp.headers.get('X-Upstream-Origin') || config.upstreamOrigin,
+      reachable: resp.status < 500,
+      status: resp.status,
+      latencyMs,
+      lastUpdate: body,
+    };
+  } catch (err) {
+    const latencyMs = Date.now() - started;
+    if (origin) recordOriginResult(origin, false, latencyMs);
+    return {
+      origin: origin || null,
+      reachable: false,
+      status: null,
+      latencyMs,
+      error: isAbortError(err) ? 'upstream_timeout' : 'upstream_fetch_failed',
+    };
+  }
+}
+
+const probeCache = new Map<string, { at: number; probes: Promise<UpstreamProbe[]> }>();
+
+/**
+ * Probes for the /health report, reusing results younger than HEALTH_PROBE_CACHE_MS
+ * (concurrent requests share one in-flight probe).
+ *
+ * @param config - Resolved worker configuration
+ * @param deep - Probe every configured origin instead of one failover request
+ * @returns One probe (failover) or one per origin (deep)
+ */
+export function healthProbes(config: ResolvedConfig, deep: boolean): Promise<UpstreamProbe[]> {
+  const origins = config.upstreamOrigins.map((o) => o.origin);
+  const key = `${deep ? 'deep' : 'failover'}:${origins.join(',')}`;
+  const now = Date.now();
+  const cached = probeCache.get(key);
+  if (cached && now - cached.at < HEALTH_PROBE_CACHE_MS) return cached.probes;
+  const probes = deep
+    ? Promise.all(origins.map((origin) => probeUpstream(config, origin)))
+    : probeUpstream(config).then((p) => [p]);
+  probeCache.set(key, { at: now, probes });
+  return probes;
+}
+
+// Drops credentials and path/query from a URL (they may carry tokens).
+function redactUrl(raw: string): string {
+  try {
+    return new URL(raw).origin + '/[redacted]';
+  } catch {
+    return '[redacted]';
+  }
+}
+
+/**
+ * Copy of the effective configuration that is safe to expose: URLs that may embed
+ * credentials are reduced to their origin.
+ *
+ * @param config - Resolved worker configuration
+ * @returns Redacted configuration
+ */
+export function redactConfig(config: ResolvedConfig): Record<string, unknown> {
+  return {
+    ...config,
+    logging: {
+      ...config.logging,
+      endpoint: config.logging.endpoint ? redactUrl(config.logging.endpoint) : undefined,
+    },
+    watchNotify: {
+      ...config.watchNotify,
+      webhookUrl: config.watchNotify.webhookUrl
+        ? redactUrl(config.watchNotify.webhookUrl)
+        : undefined,
+    },
+  };
+}
+
+/**
+ * Isolate-local health scores of the configured origins (see originHealth()).
+ *
+ * @param config - Resolved worker configuration
+ * @returns One entry per origin
+ */
+export function originScores(config: ResolvedConfig) {
+  return config.upstreamOrigins.map(({ origin, weight }) => ({
+    origin,
+    weight,
+    ...originHealth(origin),
+  }));
+}
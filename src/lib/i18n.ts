@@ -1,11 +1,11 @@
-export type Locale = 'en' | 'ru';
-
 // Message keys
 export type MsgKey =
   | 'not_found'
   | 'bad_request'
   | 'method_not_allowed'
   | 'forbidden'
+  | 'api_key_expired'
+  | 'insufficient_scope'
   | 'upstream_timeout'
   | 'upstream_fetch_failed'
   | 'torrserver_timeout'
@@ -15,24 +15,35 @@ export type MsgKey =
   | 'invalid_url'
   | 'expect_json_body'
   | 'invalid_magnet'
+  | 'invalid_infohash'
   | 'auth_credentials_mismatch'
   | 'auth_error_hint'
   | 'auth_error_hint_tokens'
   | 'path_decode_error'
-  | 'path_map_error';
+  | 'path_map_error'
+  | 'missing_parameter'
+  | 'rate_limited'
+  | 'unsupported_function'
+  | 'watchlist_unavailable'
+  | 'watchlist_full'
+  | 'push_unavailable'
+  | 'invalid_subscription'
+  | 'push_db_updated';
 
 interface LocalePack {
-  locale: Locale;
+  name: string; // native name shown in the UI language switcher
   messages: Record<MsgKey, string>;
 }
 
 const RU: LocalePack = {
-  locale: 'ru',
+  name: 'Русский',
   messages: {
     not_found: 'Не найдено',
     bad_request: 'Некорректный запрос',
     method_not_allowed: 'Метод не поддерживается',
     forbidden: 'Доступ запрещен',
+    api_key_expired: 'Срок действия API-ключа истек',
+    insufficient_scope: 'API-ключ не имеет доступа к этому ресурсу',
     upstream_timeout: 'Превышено время ожидания апстрима',
     upstream_fetch_failed: 'Ошибка запроса к апстриму',
     torrserver_timeout: 'Превышено время ожидания TorrServer',
@@ -42,21 +53,32 @@ const RU: LocalePack = {
     invalid_url: 'Некорректный URL',
     expect_json_body: 'Ожидается JSON тело',
     invalid_magnet: 'Некорректный magnet',
+    invalid_infohash: 'Некорректный infohash (40 hex, 32 base32, 64 hex для v2 или magnet-ссылка)',
     auth_credentials_mismatch: 'Укажите одновременно логин и пароль или оставьте оба пустыми',
     auth_error_hint: 'Ошибка авторизации: проверьте логин/пароль',
     auth_error_hint_tokens: 'Ошибка авторизации: проверьте логин/пароль или токены',
     path_decode_error: 'Некорректное кодирование пути',
     path_map_error: 'Ошибка сопоставления пути',
+    missing_parameter: 'Отсутствует обязательный параметр',
+    rate_limited: 'Слишком много запросов, повторите позже',
+    unsupported_function: 'Функция не поддерживается',
+    watchlist_unavailable: 'Список отслеживания не настроен',
+    watchlist_full: 'Достигнут лимит отслеживаемых запросов',
+    push_unavailable: 'Push-уведомления не настроены',
+    invalid_subscription: 'Некорректная push-подписка',
+    push_db_updated: 'База торрентов обновлена',
   },
 };
 
 const EN: LocalePack = {
-  locale: 'en',
+  name: 'English',
   messages: {
     not_found: 'Not found',
     bad_request: 'Bad request',
     method_not_allowed: 'Method not allowed',
     forbidden: 'Forbidden',
+    api_key_expired: 'API key has expired',
+    insufficient_scope: 'API key does not grant access to this resource',
     upstream_timeout: 'Upstream timeout exceeded',
     upstream_fetch_failed: 'Upstream fetch failed',
     torrserver_timeout: 'TorrServer timeout exceeded',
@@ -66,31 +88,160 @@ const EN: LocalePack = {
     invalid_url: 'Invalid URL',
     expect_json_body: 'Expected JSON body',
     invalid_magnet: 'Invalid magnet',
+    invalid_infohash: 'Invalid infohash (40 hex, 32 base32, 64 hex for v2 or a magnet URI)',
     auth_credentials_mismatch: 'Provide both username and password or leave both empty',
     auth_error_hint: 'Auth error: check username/password',
     auth_error_hint_tokens: 'Auth error: check username/password or tokens',
     path_decode_error: 'Invalid path encoding',
     path_map_error: 'Path mapping error',
+    missing_parameter: 'Missing required parameter',
+    rate_limited: 'Too many requests, retry later',
+    unsupported_function: 'Function not supported',
+    watchlist_unavailable: 'Watchlist is not configured',
+    watchlist_full: 'Watchlist limit reached',
+    push_unavailable: 'Push notifications are not configured',
+    invalid_subscription: 'Invalid push subscription',
+    push_db_updated: 'Torrent database updated',
+  },
+};
+
+const UK: LocalePack = {
+  name: 'Українська',
+  messages: {
+    not_found: 'Не знайдено',
+    bad_request: 'Некоректний запит',
+    method_not_allowed: 'Метод не підтримується',
+    forbidden: 'Доступ заборонено',
+    api_key_expired: 'Термін дії API-ключа минув',
+    insufficient_scope: 'API-ключ не має доступу до цього ресурсу',
+    upstream_timeout: 'Перевищено час очікування апстріму',
+    upstream_fetch_failed: 'Помилка запиту до апстріму',
+    torrserver_timeout: 'Перевищено час очікування TorrServer',
+    torrserver_network: 'Мережева помилка',
+    torrserver_all_attempts_failed: 'Усі спроби не вдалися',
+    missing_url: 'Відсутній URL',
+    invalid_url: 'Некоректний URL',
+    expect_json_body: 'Очікується JSON-тіло',
+    invalid_magnet: 'Некоректний magnet',
+    invalid_infohash:
+      'Некоректний infohash (40 hex, 32 base32, 64 hex для v2 або magnet-посилання)',
+    auth_credentials_mismatch: 'Вкажіть одночасно логін і пароль або залиште обидва порожніми',
+    auth_error_hint: 'Помилка авторизації: перевірте логін/пароль',
+    auth_error_hint_tokens: 'Помилка авторизації: перевірте логін/пароль або токени',
+    path_decode_error: 'Некоректне кодування шляху',
+    path_map_error: 'Помилка зіставлення шляху',
+    missing_parameter: "Відсутній обов'язковий параметр",
+    rate_limited: 'Забагато запитів, повторіть пізніше',
+    unsupported_function: 'Функція не підтримується',
+    watchlist_unavailable: 'Список відстеження не налаштовано',
+    watchlist_full: 'Досягнуто ліміту відстежуваних запитів',
+    push_unavailable: 'Push-сповіщення не налаштовано',
+    invalid_subscription: 'Некоректна push-підписка',
+    push_db_updated: 'Базу торрентів оновлено',
   },
 };
 
-const PACKS: Record<Locale, LocalePack> = { en: EN, ru: RU };
+// Registered locales. Adding a pack here is enough: Locale and SUPPORTED_LOCALES derive from
+// it (the browser UI packs in clientMessages.ts are then required by the type checker).
+const PACKS = { ru: RU, en: EN, uk: UK } satisfies Record<string, LocalePack>;
+
+export type Locale = keyof typeof PACKS;
+
+// Switcher order; the first entry is the default.
+export const SUPPORTED_LOCALES = Object.keys(PACKS) as Locale[];
+export const DEFAULT_LOCALE: Locale = SUPPORTED_LOCALES[0];
+
+// Query param that overrides Accept-Language for a single request.
+export const LOCALE_QUERY_PARAM = 'lang';
+
+/**
+ * Checks whether a value is a supported locale code.
+ *
+ * @param value - Candidate value
+ * @returns True for a key of PACKS
+ */
+export function isLocale(value: unknown): value is Locale {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(PACKS, value);
+}
 
 /**
  * Resolves a raw locale value to a supported Locale type.
  *
  * @param raw - Raw locale value (string or unknown)
- * @returns 'en' for English, 'ru' for Russian (default)
+ * @returns The matching locale, DEFAULT_LOCALE for anything unsupported
  */
 export function resolveLocale(raw: unknown): Locale {
-  const v = (typeof raw === 'string' ? raw.trim().toLowerCase() : '') as Locale;
-  return v === 'en' ? 'en' : 'ru';
+  const v = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  return isLocale(v) ? v : DEFAULT_LOCALE;
+}
+
+/**
+ * Picks the preferred supported locale from an Accept-Language header. Language ranges are
+ * ordered by q-value (ties keep header order) and matched by primary subtag (`uk-UA` -> `uk`).
+ *
+ * @param header - Accept-Language header value
+ * @param fallback - Locale used when nothing in the header is supported
+ * @returns Negotiated locale
+ */
+export function negotiateLocale(header: string | null | undefined, fallback: Locale): Locale {
+  if (!header) return fallback;
+  const ranges = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter((r) => r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const { lang } of ranges) if (isLocale(lang)) return lang;
+  return fallback;
+}
+
+/**
+ * Negotiates the locale of one request: the `lang` query param, then Accept-Language, then
+ * the deployment default (ERROR_LOCALE).
+ *
+ * @param url - Request URL
+ * @param headers - Request headers
+ * @param fallback - Deployment default locale
+ * @returns Locale for error messages of this request
+ */
+export function requestLocale(url: URL, headers: Headers, fallback: Locale): Locale {
+  const param = url.searchParams.get(LOCALE_QUERY_PARAM);
+  if (param) {
+    const lang = param.trim().toLowerCase().split('-')[0];
+    if (isLocale(lang)) return lang;
+  }
+  return negotiateLocale(headers.get('Accept-Language'), fallback);
+}
+
+/**
+ * Headers for a localized error response: the locale used, and Vary because it may come from
+ * Accept-Language.
+ *
+ * @param locale - Locale of the response body
+ * @returns Content-Language and Vary headers
+ */
+export function localeHeaders(locale: Locale): Record<string, string> {
+  return { 'Content-Language': locale, Vary: 'Accept-Language' };
+}
+
+/**
+ * Native name of a locale (language switcher label).
+ *
+ * @param locale - The locale
+ * @returns Name in the locale's own language
+ */
+export function localeName(locale: Locale): string {
+  return PACKS[locale].name;
 }
 
 /**
  * Gets the message pack for a given locale.
  *
- * @param locale - The locale ('en' | 'ru')
+ * @param locale - The locale
  * @returns Record of message keys to translated strings
  */
 export function getMessages(locale: Locale) {
@@ -100,7 +251,7 @@ export function getMessages(locale: Locale) {
 /**
  * Gets a translated message by key for a given locale.
  *
- * @param locale - The locale ('en' | 'ru')
+ * @param locale - The locale
  * @param key - The message key to look up
  * @returns Translated message string, or the key itself if not found
  */
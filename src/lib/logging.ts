@@ -0,0 +1,173 @@
+// Structured per-request log records (one JSON object per request) and their sinks:
+// console (Workers logs / Logpush), Workers Analytics Engine, or an HTTP collector.
+import { isAbortError } from './abort';
+import { incCounter, observeHistogram } from './metrics';
+
+export const LOG_SINKS = ['none', 'console', 'analytics', 'http'] as const;
+export type LogSink = (typeof LOG_SINKS)[number];
+
+export interface LoggingConfig {
+  sink: LogSink; // 'none' disables logging
+  sampleRate: number; // fraction of requests logged (0..1)
+  endpoint?: string; // 'http' sink target (receives NDJSON)
+}
+
+export interface RequestLogRecord {
+  ts: string; // ISO timestamp of the request start
+  method: string;
+  path: string;
+  routeClass: string; // see classifyRoute()
+  status: number;
+  cacheStatus: string | null; // CF-Cache-Status (HIT, STALE, COALESCED, ...)
+  durationMs: number; // total worker time
+  upstreamMs: number | null; // time spent waiting on the upstream (null = no upstream call)
+  upstreamOrigin: string | null;
+  upstreamError: string | null; // 'upstream_timeout' | 'upstream_fetch_failed'
+  torrserver: string | null; // TorrServer outcome, e.g. 'add:ok', 'test:timeout'
+  keyId: string | null; // hashed API key id (see hashKeyId())
+  locale: string;
+  filters: Record<string, string>; // worker-side filter params of /api/torrents
+}
+
+// Keys of RequestContext.state written for the log record.
+export const LOG_STATE = {
+  upstreamMs: 'upstreamMs',
+  upstreamError: 'upstreamError',
+  torrserver: 'torrserver',
+} as const;
+
+/**
+ * Parses logging settings: LOG_SINK (none|console|analytics|http, default none),
+ * LOG_SAMPLE_RATE (0..1, default 1) and LOG_ENDPOINT (required for the http sink).
+ * Invalid values are logged and fall back to the defaults.
+ *
+ * @param env - Raw environment values
+ * @param env.LOG_SINK - Sink name
+ * @param env.LOG_SAMPLE_RATE - Sampling rate
+ * @param env.LOG_ENDPOINT - HTTP collector URL
+ * @returns Logging configuration
+ */
+export function parseLoggingConfig(env: {
+  LOG_SINK?: string;
+  LOG_SAMPLE_RATE?: string;
+  LOG_ENDPOINT?: string;
+}): LoggingConfig {
+  const rawSink = (env.LOG_SINK || 'none').trim().toLowerCase();
+  let sink: LogSink = LOG_SINKS.includes(rawSink as LogSink) ? (rawSink as LogSink) : 'none';
+  if (sink !== rawSink)
+    console.warn(`[config] Invalid LOG_SINK="${env.LOG_SINK}", logging disabled`);
+  let sampleRate = 1;
+  if (env.LOG_SAMPLE_RATE && env.LOG_SAMPLE_RATE.trim()) {
+    const parsed = parseFloat(env.LOG_SAMPLE_RATE);
+    if (Number.isNaN(parsed) || parsed < 0 || parsed > 1)
+      console.warn(`[config] Invalid LOG_SAMPLE_RATE="${env.LOG_SAMPLE_RATE}", using 1`);
+    else sampleRate = parsed;
+  }
+  const endpoint =
+    env.LOG_ENDPOINT && env.LOG_ENDPOINT.trim() ? env.LOG_ENDPOINT.trim() : undefined;
+  if (sink === 'http' && !endpoint) {
+    console.warn('[config] LOG_SINK=http requires LOG_ENDPOINT, logging disabled');
+    sink = 'none';
+  }
+  return { sink, sampleRate, endpoint };
+}
+
+/**
+ * Decides whether a request is logged.
+ *
+ * @param sampleRate - Fraction of requests to log (0..1)
+ * @param random - Random source in [0, 1)
+ * @returns True when the request is sampled
+ */
+export function shouldSample(sampleRate: number, random: () => number = Math.random): boolean {
+  return sampleRate >= 1 || (sampleRate > 0 && random() < sampleRate);
+}
+
+/**
+ * Runs an upstream call, recording its latency and failure kind in the request state
+ * (see LOG_STATE) and in the upstream metrics. Errors are rethrown unchanged.
+ *
+ * @param state - RequestContext.state
+ * @param fn - Upstream call
+ * @returns The call's result
+ */
+export async function timedUpstream<T>(
+  state: Record<string, unknown>,
+  fn: () => Promise<T>
+): Promise<T> {
+  const started = Date.now();
+  try {
+    return await fn();
+  } catch (err) {
+    const timeout = isAbortError(err);
+    state[LOG_STATE.upstreamError] = timeout ? 'upstream_timeout' : 'upstream_fetch_failed';
+    incCounter('jacred_upstream_errors_total', { kind: timeout ? 'timeout' : 'fetch_failed' });
+    throw err;
+  } finally {
+    const elapsedMs = Date.now() - started;
+    state[LOG_STATE.upstreamMs] = elapsedMs;
+    observeHistogram('jacred_upstream_duration_seconds', {}, elapsedMs / 1000);
+  }
+}
+
+/**
+ * Writes a record to the configured sink. Sink failures are logged, never thrown.
+ *
+ * @param config - Logging configuration
+ * @param record - Log record
+ * @param bindings - Sink bindings
+ * @param bindings.analytics - Workers Analytics Engine dataset (ANALYTICS binding)
+ * @param bindings.endpointToken - Bearer token for the http sink (LOG_ENDPOINT_TOKEN)
+ */
+export async function writeLogRecord(
+  config: LoggingConfig,
+  record: RequestLogRecord,
+  bindings: { analytics?: AnalyticsEngineDataset; endpointToken?: string } = {}
+): Promise<void> {
+  try {
+    switch (config.sink) {
+      case 'console':
+        console.log(JSON.stringify(record));
+        break;
+      case 'analytics':
+        if (!bindings.analytics) {
+          console.warn('[log] LOG_SINK=analytics but no ANALYTICS binding, record dropped');
+          break;
+        }
+        // blobs/doubles are positional; keep this order stable for existing queries.
+        bindings.analytics.writeDataPoint({
+          indexes: [record.routeClass],
+          blobs: [
+            record.method,
+            record.path,
+            record.cacheStatus || '',
+            record.upstreamOrigin || '',
+            record.upstreamError || '',
+            record.torrserver || '',
+            record.keyId || '',
+            record.locale,
+            record.filters.tracker || '',
+            JSON.stringify(record.filters),
+          ],
+          doubles: [record.status, record.durationMs, record.upstreamMs ?? -1],
+        });
+        break;
+      case 'http': {
+        const headers: Record<string, string> = { 'Content-Type': 'application/x-ndjson' };
+        if (bindings.endpointToken) headers.Authorization = `Bearer ${bindings.endpointToken}`;
+        const resp = await fetch(config.endpoint as string, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(record) + '\n',
+        });
+        if (!resp.ok) console.warn(`[log] Log endpoint responded ${resp.status}`);
+        await resp.body?.cancel();
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (err) {
+    console.warn('[log] Failed to write log record:', err);
+  }
+}
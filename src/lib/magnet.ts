@@ -0,0 +1,114 @@
+// Magnet URI parsing (BEP 9, BEP 52): BitTorrent v1/v2 infohashes, display name, trackers
+// and exact length. Numbered parameters (`xt.1`, `tr.2`, ...) are read like plain ones.
+import { MAGNET_PREFIX } from './constants';
+
+export interface MagnetInfo {
+  infohash?: string; // v1 (`urn:btih:`), 40 lower-case hex chars; base32 hashes are converted
+  infohashV2?: string; // v2 (`urn:btmh:` SHA-256 multihash), 64 lower-case hex chars
+  name?: string; // `dn`
+  trackers: string[]; // `tr`, deduplicated, in URI order
+  length?: number; // `xl`, exact length in bytes
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Multihash prefix of a v2 hash: 0x12 (sha2-256), 0x20 (32 bytes).
+const SHA256_MULTIHASH_PREFIX = '1220';
+
+// RFC 4648 base32 (no padding) to lower-case hex; null on characters outside the alphabet.
+function base32ToHex(value: string): string | null {
+  let bits = 0;
+  let buffer = 0;
+  let hex = '';
+  for (const ch of value.toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) return null;
+    buffer = (buffer << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      hex += ((buffer >> bits) & 0xff).toString(16).padStart(2, '0');
+    }
+  }
+  return hex;
+}
+
+/**
+ * Normalizes a v1 infohash given as 40 hex or 32 base32 characters.
+ *
+ * @param value - Infohash as found in `urn:btih:` or a query parameter
+ * @returns 40 lower-case hex chars, or null when invalid
+ */
+export function normalizeV1Infohash(value: string): string | null {
+  if (/^[0-9a-f]{40}$/i.test(value)) return value.toLowerCase();
+  if (/^[a-z2-7]{32}$/i.test(value)) return base32ToHex(value);
+  return null;
+}
+
+/**
+ * Normalizes a v2 infohash given as 64 hex characters, with or without the SHA-256
+ * multihash prefix (`1220`, as in `urn:btmh:`).
+ *
+ * @param value - Infohash
+ * @returns 64 lower-case hex chars, or null when invalid
+ */
+export function normalizeV2Infohash(value: string): string | null {
+  const hex = value.toLowerCase();
+  if (/^[0-9a-f]{64}$/.test(hex)) return hex;
+  if (hex.length === 68 && hex.startsWith(SHA256_MULTIHASH_PREFIX))
+    return normalizeV2Infohash(hex.slice(SHA256_MULTIHASH_PREFIX.length));
+  return null;
+}
+
+/**
+ * Normalizes an infohash of either version (e.g. an `infohash` query parameter).
+ *
+ * @param value - v1 (hex/base32) or v2 (hex, optionally multihash-prefixed) infohash
+ * @returns Lower-case hex infohash (40 or 64 chars), or null when invalid
+ */
+export function normalizeInfohash(value: string): string | null {
+  const trimmed = value.trim();
+  return normalizeV1Infohash(trimmed) ?? normalizeV2Infohash(trimmed);
+}
+
+/**
+ * Parses a magnet URI. Invalid `xt` values are skipped; the first valid hash of each version
+ * is used. Unknown parameters are ignored.
+ *
+ * @param uri - Magnet URI (may be empty)
+ * @returns Parsed magnet, or null when it is not a magnet URI or has no valid v1/v2 hash
+ */
+export function parseMagnet(uri: string | undefined): MagnetInfo | null {
+  const value = (uri || '').trim();
+  if (value.slice(0, MAGNET_PREFIX.length).toLowerCase() !== MAGNET_PREFIX) return null;
+  const query = value.slice(MAGNET_PREFIX.length).replace(/^\?/, '');
+  const params = new URLSearchParams(query);
+  const info: MagnetInfo = { trackers: [] };
+  for (const [rawKey, rawValue] of params) {
+    const key = rawKey.toLowerCase().replace(/\.\d+$/, '');
+    const v = rawValue.trim();
+    if (key === 'xt') {
+      const m = /^urn:(btih|btmh):(.+)$/i.exec(v);
+      if (!m) continue;
+      if (m[1].toLowerCase() === 'btih') info.infohash ??= normalizeV1Infohash(m[2]) ?? undefined;
+      else info.infohashV2 ??= normalizeV2Infohash(m[2]) ?? undefined;
+    } else if (key === 'dn' && v && info.name === undefined) {
+      info.name = v;
+    } else if (key === 'tr' && v && !info.trackers.includes(v)) {
+      info.trackers.push(v);
+    } else if (key === 'xl' && /^\d+$/.test(v) && info.length === undefined) {
+      info.length = Number(v);
+    }
+  }
+  return info.infohash || info.infohashV2 ? info : null;
+}
+
+/**
+ * Extracts the infohash identifying a magnet: v1, or v2 for v2-only magnets.
+ *
+ * @param magnet - Magnet URI (may be empty)
+ * @returns Lower-case hex infohash, or null when absent or invalid
+ */
+export function magnetInfohash(magnet: string | undefined): string | null {
+  const info = parseMagnet(magnet);
+  return info ? (info.infohash ?? info.infohashV2 ?? null) : null;
+}
@@ -71,6 +71,15 @@ export async function resolveHashedPath(env: EnvLike, pathname: string): Promise
   return hashed.startsWith('/') ? hashed : '/' + hashed;
 }
 
+/**
+ * Loads the asset manifest if this isolate has not tried yet (no-op afterwards).
+ *
+ * @param env - Environment object with ASSETS binding
+ */
+export async function ensureManifest(env: EnvLike): Promise<void> {
+  if (!state.loaded) await load(env);
+}
+
 /**
  * Returns the number of entries in the loaded asset manifest.
  *
@@ -0,0 +1,232 @@
+// Prometheus metrics collected by the pipeline. Each isolate keeps its own counters and
+// histograms; with the METRICS Durable Object bound, deltas are flushed there periodically so
+// /api/metrics reports totals across isolates.
+
+export type MetricLabels = Record<string, string>;
+
+export interface HistogramValue {
+  buckets: number[]; // per-bucket counts (not cumulative), aligned with LATENCY_BUCKETS_SEC
+  sum: number;
+  count: number;
+}
+
+// Series are keyed as `name{label="value",...}` (labels sorted, `{}` when there are none).
+export interface MetricsSnapshot {
+  counters: Record<string, number>;
+  histograms: Record<string, HistogramValue>;
+}
+
+export const LATENCY_BUCKETS_SEC = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] as const;
+
+// HELP/TYPE metadata; series of unknown metrics are rendered without it.
+export const METRICS = {
+  jacred_requests_total: {
+    type: 'counter',
+    help: 'Requests by the middleware that answered and status',
+  },
+  jacred_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Worker time until the response by middleware',
+  },
+  jacred_cache_lookups_total: {
+    type: 'counter',
+    help: 'cachedFetch results (hit, miss, stale, stale_if_error, coalesced, bypass)',
+  },
+  jacred_cache_not_modified_total: {
+    type: 'counter',
+    help: 'Cached responses answered with 304 Not Modified',
+  },
+  jacred_upstream_duration_seconds: {
+    type: 'histogram',
+    help: 'Time spent waiting on the upstream',
+  },
+  jacred_upstream_errors_total: {
+    type: 'counter',
+    help: 'Upstream failures by kind (timeout, fetch_failed)',
+  },
+  jacred_torrserver_results_total: {
+    type: 'counter',
+    help: 'TorrServer add/test results by authHint and Cloudflare Access detection',
+  },
+} as const;
+export type MetricName = keyof typeof METRICS;
+
+// Deltas since the last flush to the Durable Object, and isolate-lifetime totals.
+let pending: MetricsSnapshot = emptySnapshot();
+const local: MetricsSnapshot = emptySnapshot();
+let lastFlushAt = 0;
+export const METRICS_FLUSH_INTERVAL_MS = 10_000;
+
+// A snapshot with no series.
+export function emptySnapshot(): MetricsSnapshot {
+  return { counters: {}, histograms: {} };
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function seriesKey(name: MetricName, labels: MetricLabels): string {
+  const parts = Object.keys(labels)
+    .sort()
+    .map((k) => `${k}="${escapeLabel(labels[k])}"`);
+  return `${name}{${parts.join(',')}}`;
+}
+
+/**
+ * Increments a counter.
+ *
+ * @param name - Metric name
+ * @param labels - Label values
+ * @param value - Increment (default 1)
+ */
+export function incCounter(name: MetricName, labels: MetricLabels = {}, value = 1): void {
+  const key = seriesKey(name, labels);
+  for (const s of [pending, local]) s.counters[key] = (s.counters[key] || 0) + value;
+}
+
+/**
+ * Records a histogram observation.
+ *
+ * @param name - Metric name
+ * @param labels - Label values
+ * @param valueSec - Observed value in seconds
+ */
+export function observeHistogram(name: MetricName, labels: MetricLabels, valueSec: number): void {
+  const key = seriesKey(name, labels);
+  const idx = LATENCY_BUCKETS_SEC.findIndex((b) => valueSec <= b);
+  for (const s of [pending, local]) {
+    const h = (s.histograms[key] ||= {
+      buckets: LATENCY_BUCKETS_SEC.map(() => 0),
+      sum: 0,
+      count: 0,
+    });
+    if (idx >= 0) h.buckets[idx]++;
+    h.sum += valueSec;
+    h.count++;
+  }
+}
+
+/**
+ * Adds the values of `delta` to `into` (mutates `into`).
+ *
+ * @param into - Snapshot to update
+ * @param delta - Values to add
+ * @returns The updated snapshot
+ */
+export function mergeSnapshots(into: MetricsSnapshot, delta: MetricsSnapshot): MetricsSnapshot {
+  for (const [key, value] of Object.entries(delta.counters))
+    into.counters[key] = (into.counters[key] || 0) + value;
+  for (const [key, h] of Object.entries(delta.histograms)) {
+    const target = (into.histograms[key] ||= {
+      buckets: LATENCY_BUCKETS_SEC.map(() => 0),
+      sum: 0,
+      count: 0,
+    });
+    h.buckets.forEach((n, i) => (target.buckets[i] = (target.buckets[i] || 0) + n));
+    target.sum += h.sum;
+    target.count += h.count;
+  }
+  return into;
+}
+
+/**
+ * Isolate-lifetime totals (used when no METRICS Durable Object is bound).
+ *
+ * @returns Local snapshot
+ */
+export function localMetrics(): MetricsSnapshot {
+  return local;
+}
+
+/**
+ * Sends pending deltas to the METRICS Durable Object. Without `force`, flushes at most once
+ * per METRICS_FLUSH_INTERVAL_MS. Failed flushes keep the deltas for the next attempt.
+ *
+ * @param namespace - METRICS Durable Object namespace
+ * @param force - Flush regardless of the interval
+ */
+export async function flushMetrics(
+  namespace: DurableObjectNamespace,
+  force = false
+): Promise<void> {
+  const now = Date.now();
+  if (!force && now - lastFlushAt < METRICS_FLUSH_INTERVAL_MS) return;
+  const delta = pending;
+  if (!Object.keys(delta.counters).length && !Object.keys(delta.histograms).length) return;
+  pending = emptySnapshot();
+  lastFlushAt = now;
+  try {
+    const stub = namespace.get(namespace.idFromName('global'));
+    const resp = await stub.fetch('https://metrics/add', {
+      method: 'POST',
+      body: JSON.stringify(delta),
+    });
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+  } catch (err) {
+    mergeSnapshots(pending, delta);
+    console.warn('[metrics] Flush to Durable Object failed:', err);
+  }
+}
+
+/**
+ * Reads the aggregated snapshot from the METRICS Durable Object.
+ *
+ * @param namespace - METRICS Durable Object namespace
+ * @returns Aggregated snapshot
+ * @throws Error when the Durable Object is unavailable
+ */
+export async function fetchAggregatedMetrics(
+  namespace: DurableObjectNamespace
+): Promise<MetricsSnapshot> {
+  const stub = namespace.get(namespace.idFromName('global'));
+  const resp = await stub.fetch('https://metrics/snapshot');
+  if (!resp.ok) throw new Error(`metrics_unavailable: status ${resp.status}`);
+  return (await resp.json()) as MetricsSnapshot;
+}
+
+function formatValue(n: number): string {
+  return Number.isInteger(n) ? String(n) : String(Number(n.toFixed(6)));
+}
+
+/**
+ * Renders a snapshot in the Prometheus text exposition format (version 0.0.4).
+ *
+ * @param snapshot - Metrics snapshot
+ * @returns Exposition text
+ */
+export function renderPrometheus(snapshot: MetricsSnapshot): string {
+  const lines: string[] = [];
+  const seen = new Set<string>();
+  const header = (name: string) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    const meta = (METRICS as Record<string, { type: string; help: string }>)[name];
+    if (!meta) return;
+    lines.push(`# HELP ${name} ${meta.help}`, `# TYPE ${name} ${meta.type}`);
+  };
+  const split = (key: string) => {
+    const m = /^([^{]+)\{(.*)\}$/.exec(key);
+    return m ? { name: m[1], labels: m[2] } : { name: key, labels: '' };
+  };
+  for (const key of Object.keys(snapshot.counters).sort()) {
+    const { name, labels } = split(key);
+    header(name);
+    lines.push(`${name}${labels ? `{${labels}}` : ''} ${formatValue(snapshot.counters[key])}`);
+  }
+  for (const key of Object.keys(snapshot.histograms).sort()) {
+    const { name, labels } = split(key);
+    const h = snapshot.histograms[key];
+    const prefix = labels ? `${labels},` : '';
+    header(name);
+    let cumulative = 0;
+    LATENCY_BUCKETS_SEC.forEach((le, i) => {
+      cumulative += h.buckets[i] || 0;
+      lines.push(`${name}_bucket{${prefix}le="${le}"} ${cumulative}`);
+    });
+    lines.push(`${name}_bucket{${prefix}le="+Inf"} ${h.count}`);
+    lines.push(`${name}_sum${labels ? `{${labels}}` : ''} ${formatValue(h.sum)}`);
+    lines.push(`${name}_count${labels ? `{${labels}}` : ''} ${h.count}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,112 @@
+// Weighted upstream origins (UPSTREAM_ORIGINS) with an isolate-local health score used to
+// order failover attempts. Health is best-effort: every isolate learns it independently.
+
+export interface UpstreamOrigin {
+  origin: string; // normalized `protocol://host[:port]`
+  weight: number; // relative preference (> 0)
+}
+
+export interface OriginHealth {
+  score: number; // exponentially weighted success rate, 1 = healthy
+  failures: number; // consecutive failures
+  lastFailureAt: number; // epoch ms (0 = never)
+  latencyMs: number; // last observed latency
+}
+
+// Origins with this many consecutive failures are tried last until the cooldown passes.
+export const ORIGIN_FAILURE_THRESHOLD = 3;
+export const ORIGIN_COOLDOWN_MS = 30_000;
+const SCORE_DECAY = 0.7; // weight of the previous score in the moving average
+const MIN_SCORE = 0.05; // keeps a degraded origin selectable
+
+const health = new Map<string, OriginHealth>();
+
+/**
+ * Parses the UPSTREAM_ORIGINS environment variable: comma-separated origins with optional
+ * weights, e.g. `https://a.example=3, https://b.example=1` (weight defaults to 1).
+ * Invalid entries are logged and skipped.
+ *
+ * @param raw - Raw UPSTREAM_ORIGINS value
+ * @returns Origins in configured order (empty when unset)
+ */
+export function parseUpstreamOrigins(raw: string | undefined): UpstreamOrigin[] {
+  const result: UpstreamOrigin[] = [];
+  for (const entry of (raw || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    const m = /^(.*?)=(\d+(?:\.\d+)?)$/.exec(trimmed);
+    const weight = m ? parseFloat(m[2]) : 1;
+    try {
+      const u = new URL(m ? m[1].trim() : trimmed);
+      if ((u.protocol !== 'http:' && u.protocol !== 'https:') || !(weight > 0))
+        throw new Error('invalid');
+      if (!result.some((o) => o.origin === u.origin)) result.push({ origin: u.origin, weight });
+    } catch {
+      console.warn(`[config] Invalid UPSTREAM_ORIGINS entry "${trimmed}", skipping`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the current health record for an origin (defaults to healthy).
+ *
+ * @param origin - Normalized origin
+ * @returns Copy of the health record
+ */
+export function originHealth(origin: string): OriginHealth {
+  const h = health.get(origin);
+  return h ? { ...h } : { score: 1, failures: 0, lastFailureAt: 0, latencyMs: 0 };
+}
+
+/**
+ * Records the outcome of a request to an origin.
+ *
+ * @param origin - Normalized origin
+ * @param ok - False on timeout, network error or 5xx
+ * @param latencyMs - Observed latency
+ * @param now - Current time (epoch ms)
+ */
+export function recordOriginResult(
+  origin: string,
+  ok: boolean,
+  latencyMs: number,
+  now = Date.now()
+): void {
+  const h = originHealth(origin);
+  h.score = h.score * SCORE_DECAY + (ok ? 1 : 0) * (1 - SCORE_DECAY);
+  h.failures = ok ? 0 : h.failures + 1;
+  if (!ok) h.lastFailureAt = now;
+  h.latencyMs = latencyMs;
+  health.set(origin, h);
+}
+
+function coolingDown(h: OriginHealth, now: number): boolean {
+  return h.failures >= ORIGIN_FAILURE_THRESHOLD && now - h.lastFailureAt < ORIGIN_COOLDOWN_MS;
+}
+
+/**
+ * Orders origins for a failover sequence: weighted random by `weight * health score`
+ * (so traffic spreads by weight), with origins in failure cooldown moved to the end.
+ *
+ * @param origins - Configured origins
+ * @param now - Current time (epoch ms)
+ * @param random - Random source in [0, 1)
+ * @returns New array in attempt order
+ */
+export function orderOrigins(
+  origins: UpstreamOrigin[],
+  now = Date.now(),
+  random: () => number = Math.random
+): UpstreamOrigin[] {
+  if (origins.length < 2) return origins.slice();
+  return origins
+    .map((o) => {
+      const h = originHealth(o.origin);
+      const effective = o.weight * Math.max(h.score, MIN_SCORE);
+      // Weighted random order (Efraimidis-Spirakis): larger key = earlier attempt.
+      return { o, cooling: coolingDown(h, now), key: Math.pow(random(), 1 / effective) };
+    })
+    .sort((a, b) => Number(a.cooling) - Number(b.cooling) || b.key - a.key)
+    .map((e) => e.o);
+}
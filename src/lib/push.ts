@@ -0,0 +1,289 @@
+// Web Push subscriptions per API key (PUSH_KV, one `push:<keyId>:<endpoint hash>` entry each)
+// and the messages sent to them:
+// new watchlist releases (topic `watch`) and upstream database updates (topic `dbupdate`,
+// detected by the scheduled handler through /lastupdatedb).
+import { probeUpstream } from './health';
+import { hashKeyId } from './apiKey';
+import { isP256PublicKey, fromBase64Url, sendWebPush, type VapidKeys } from './webPush';
+import { msg, DEFAULT_LOCALE, type Locale } from './i18n';
+import type { WebPushSubscription } from './webPush';
+import type { ResolvedConfig } from '../config';
+
+export const PUSH_TOPICS = ['watch', 'dbupdate'] as const;
+export type PushTopic = (typeof PUSH_TOPICS)[number];
+
+export interface StoredPushSubscription extends WebPushSubscription {
+  topics: PushTopic[];
+  locale: Locale; // UI locale at subscribe time (worker-generated notification texts)
+  createdAt: string; // ISO timestamp
+}
+
+// What the service worker (public/sw.js) shows.
+export interface PushMessage {
+  title: string;
+  body: string;
+  url?: string; // opened on click
+  tag?: string; // replaces an earlier notification with the same tag
+}
+
+// A fixed message, or one built per subscription (e.g. in its locale).
+type PushMessageSource = PushMessage | ((_sub: StoredPushSubscription) => PushMessage);
+
+export const PUSH_KEY_PREFIX = 'push:';
+// Last /lastupdatedb value seen by the scheduled handler (outside the `push:` prefix).
+const LAST_UPDATE_KEY = 'pushstate:lastupdatedb';
+// Browsers/devices per API key; the oldest subscription is dropped beyond this. Without
+// enforced keys every browser shares the 'public' list, which gets the larger cap.
+export const PUSH_MAX_SUBSCRIPTIONS = 10;
+export const PUSH_MAX_PUBLIC_SUBSCRIPTIONS = 500;
+// Push services of the supported browsers (Chrome, Firefox, Safari, Edge); a leading dot
+// matches subdomains. Other endpoints are refused so the worker cannot relay to arbitrary URLs.
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  '.push.services.mozilla.com',
+  '.push.apple.com',
+  '.notify.windows.com',
+] as const;
+
+// KV metadata of a subscription entry, read by list() without fetching the value.
+interface PushEntryMetadata {
+  createdAt: string;
+}
+
+function isPushServiceHost(host: string): boolean {
+  return PUSH_SERVICE_HOSTS.some((h) => (h.startsWith('.') ? host.endsWith(h) : host === h));
+}
+
+/**
+ * Validates a subscribe request: a browser PushSubscription (`endpoint` on a known push
+ * service, `keys.p256dh`, `keys.auth`) plus optional `topics` (default: all).
+ *
+ * @param body - Parsed JSON body
+ * @param locale - Request locale stored with the subscription
+ * @returns Subscription with topics, or null if invalid
+ */
+export function parsePushSubscription(
+  body: unknown,
+  locale: Locale = DEFAULT_LOCALE
+): Omit<StoredPushSubscription, 'createdAt'> | null {
+  if (!body || typeof body !== 'object') return null;
+  const b = body as Record<string, unknown>;
+  const keys = (b.keys || {}) as Record<string, unknown>;
+  if (typeof b.endpoint !== 'string' || typeof keys.p256dh !== 'string') return null;
+  if (typeof keys.auth !== 'string') return null;
+  let endpoint: URL;
+  try {
+    endpoint = new URL(b.endpoint);
+  } catch {
+    return null;
+  }
+  if (endpoint.protocol !== 'https:' || !isPushServiceHost(endpoint.hostname)) return null;
+  if (!isP256PublicKey(keys.p256dh) || (fromBase64Url(keys.auth)?.length ?? 0) < 16) return null;
+  const topics = Array.isArray(b.topics)
+    ? PUSH_TOPICS.filter((t) => (b.topics as unknown[]).includes(t))
+    : [...PUSH_TOPICS];
+  if (!topics.length) return null;
+  return {
+    endpoint: b.endpoint,
+    keys: { p256dh: keys.p256dh, auth: keys.auth },
+    topics,
+    locale,
+  };
+}
+
+// Each subscription is its own KV entry, so concurrent subscribes and the expiry cleanup of
+// scheduled sends never overwrite each other's changes.
+async function subscriptionKey(owner: string, endpoint: string): Promise<string> {
+  return `${PUSH_KEY_PREFIX}${owner}:${await hashKeyId(endpoint)}`;
+}
+
+function ownerPrefix(owner: string): string {
+  return `${PUSH_KEY_PREFIX}${owner}:`;
+}
+
+async function listEntries(
+  kv: KVNamespace,
+  prefix: string
+): Promise<{ name: string; metadata?: PushEntryMetadata }[]> {
+  const entries: { name: string; metadata?: PushEntryMetadata }[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await kv.list<PushEntryMetadata>({ prefix, cursor });
+    for (const { name, metadata } of page.keys) entries.push({ name, metadata });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+async function readEntry(kv: KVNamespace, key: string): Promise<StoredPushSubscription | null> {
+  const sub = await kv.get<StoredPushSubscription>(key, { type: 'json' });
+  return sub && typeof sub.endpoint === 'string' && Array.isArray(sub.topics) ? sub : null;
+}
+
+/**
+ * Loads one subscription of an owner.
+ *
+ * @param kv - PUSH_KV namespace
+ * @param owner - Owner id (see watchOwner())
+ * @param endpoint - Subscription endpoint
+ * @returns Stored subscription, or null when the owner has none with that endpoint
+ */
+export async function findPushSubscription(
+  kv: KVNamespace,
+  owner: string,
+  endpoint: string
+): Promise<StoredPushSubscription | null> {
+  const sub = await readEntry(kv, await subscriptionKey(owner, endpoint));
+  return sub && sub.endpoint === endpoint ? sub : null;
+}
+
+/**
+ * Stores (or replaces, same endpoint) a subscription, then drops the owner's oldest ones
+ * beyond PUSH_MAX_SUBSCRIPTIONS (PUSH_MAX_PUBLIC_SUBSCRIPTIONS for 'public').
+ *
+ * @param kv - PUSH_KV namespace
+ * @param owner - Owner id
+ * @param subscription - Validated subscription
+ * @param now - Current time (epoch ms)
+ * @returns Stored entry and the owner's subscription count
+ */
+export async function savePushSubscription(
+  kv: KVNamespace,
+  owner: string,
+  subscription: Omit<StoredPushSubscription, 'createdAt'>,
+  now = Date.now()
+): Promise<{ entry: StoredPushSubscription; count: number }> {
+  const entry = { ...subscription, createdAt: new Date(now).toISOString() };
+  const key = await subscriptionKey(owner, entry.endpoint);
+  const metadata: PushEntryMetadata = { createdAt: entry.createdAt };
+  await kv.put(key, JSON.stringify(entry), { metadata });
+  // KV listings are eventually consistent: make sure the new entry counts as the newest.
+  const entries = (await listEntries(kv, ownerPrefix(owner))).filter((e) => e.name !== key);
+  entries.push({ name: key, metadata });
+  entries.sort((a, b) => (a.metadata?.createdAt || '').localeCompare(b.metadata?.createdAt || ''));
+  const max = owner === 'public' ? PUSH_MAX_PUBLIC_SUBSCRIPTIONS : PUSH_MAX_SUBSCRIPTIONS;
+  const excess = entries.slice(0, Math.max(0, entries.length - max));
+  for (const { name } of excess) await kv.delete(name);
+  return { entry, count: entries.length - excess.length };
+}
+
+/**
+ * Deletes one subscription of an owner.
+ *
+ * @param kv - PUSH_KV namespace
+ * @param owner - Owner id
+ * @param endpoint - Subscription endpoint
+ * @returns True when a subscription was stored
+ */
+export async function deletePushSubscription(
+  kv: KVNamespace,
+  owner: string,
+  endpoint: string
+): Promise<boolean> {
+  if (!(await findPushSubscription(kv, owner, endpoint))) return false;
+  await kv.delete(await subscriptionKey(owner, endpoint));
+  return true;
+}
+
+// Sends to the subscriptions stored under `keys` that want the topic; deletes expired ones.
+async function sendToEntries(
+  kv: KVNamespace,
+  keys: string[],
+  topic: PushTopic,
+  message: PushMessageSource,
+  vapid: VapidKeys
+): Promise<number> {
+  let sent = 0;
+  for (const key of keys) {
+    const sub = await readEntry(kv, key);
+    if (!sub || !sub.topics.includes(topic)) continue;
+    const content = typeof message === 'function' ? message(sub) : message;
+    try {
+      const result = await sendWebPush(sub, content, vapid, {
+        topic: content.tag,
+        urgency: topic === 'dbupdate' ? 'low' : 'normal',
+      });
+      if (result.ok) sent++;
+      else if (result.gone) await kv.delete(key);
+      else console.warn(`[push] ${new URL(sub.endpoint).host} responded ${result.status}`);
+    } catch (err) {
+      console.warn('[push] Delivery failed:', err);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Sends a message to one owner's subscriptions for a topic.
+ *
+ * @param kv - PUSH_KV namespace
+ * @param owner - Owner id
+ * @param topic - Push topic
+ * @param message - Notification content (or a builder per subscription)
+ * @param vapid - VAPID keys
+ * @param endpoint - Restrict delivery to this subscription
+ * @returns Number of subscriptions the push services accepted the message for
+ */
+export async function sendPushToOwner(
+  kv: KVNamespace,
+  owner: string,
+  topic: PushTopic,
+  message: PushMessageSource,
+  vapid: VapidKeys,
+  endpoint?: string
+): Promise<number> {
+  const keys = endpoint
+    ? [await subscriptionKey(owner, endpoint)]
+    : (await listEntries(kv, ownerPrefix(owner))).map((e) => e.name);
+  return sendToEntries(kv, keys, topic, message, vapid);
+}
+
+/**
+ * Sends a message to every stored subscription for a topic.
+ *
+ * @param kv - PUSH_KV namespace
+ * @param topic - Push topic
+ * @param message - Notification content (or a builder per subscription)
+ * @param vapid - VAPID keys
+ * @returns Number of accepted deliveries
+ */
+export async function broadcastPush(
+  kv: KVNamespace,
+  topic: PushTopic,
+  message: PushMessageSource,
+  vapid: VapidKeys
+): Promise<number> {
+  const keys = (await listEntries(kv, PUSH_KEY_PREFIX)).map((e) => e.name);
+  return sendToEntries(kv, keys, topic, message, vapid);
+}
+
+/**
+ * Scheduled check of the upstream database timestamp: when /lastupdatedb changed since the
+ * previous run, `dbupdate` subscribers are notified. The first run only records the value;
+ * an unreachable upstream is skipped.
+ *
+ * @param kv - PUSH_KV namespace
+ * @param config - Resolved worker configuration
+ * @param vapid - VAPID keys
+ * @returns The new timestamp when subscribers were notified, otherwise null
+ */
+export async function notifyDatabaseUpdate(
+  kv: KVNamespace,
+  config: ResolvedConfig,
+  vapid: VapidKeys
+): Promise<string | null> {
+  const probe = await probeUpstream(config);
+  if (!probe.lastUpdate) return null;
+  const previous = await kv.get(LAST_UPDATE_KEY);
+  if (previous === probe.lastUpdate) return null;
+  await kv.put(LAST_UPDATE_KEY, probe.lastUpdate);
+  if (previous === null) return null;
+  const body = probe.lastUpdate;
+  await broadcastPush(
+    kv,
+    'dbupdate',
+    (sub) => ({ title: msg(sub.locale, 'push_db_updated'), body, url: '/', tag: 'dbupdate' }),
+    vapid
+  );
+  return probe.lastUpdate;
+}
@@ -0,0 +1,188 @@
+// Token-bucket rate limiting per API key / client IP and route class.
+// Buckets live in the RATE_LIMITER Durable Object when bound (shared across isolates);
+// otherwise an isolate-local map is used (local dev, or as fail-open fallback).
+
+export const RATE_LIMIT_ROUTE_CLASSES = [
+  'search',
+  'stats',
+  'torrserver',
+  'sync',
+  'default',
+] as const;
+export type RateLimitRouteClass = (typeof RATE_LIMIT_ROUTE_CLASSES)[number];
+
+export interface RateLimitSpec {
+  capacity: number; // burst size (max tokens)
+  refillPerSec: number; // tokens added per second
+}
+
+export interface RateLimitRule {
+  key?: RateLimitSpec; // requests carrying a valid API key
+  ip?: RateLimitSpec; // anonymous requests (per client IP)
+}
+
+export type RateLimitConfig = Partial<Record<RateLimitRouteClass, RateLimitRule>>;
+
+export interface BucketState {
+  tokens: number;
+  updatedAt: number; // epoch ms
+}
+
+export interface TakeResult {
+  allowed: boolean;
+  remaining: number;
+  retryAfterSec: number;
+  state: BucketState;
+}
+
+/**
+ * Parses a "<requests>/<seconds>" limit string (e.g. "30/60" = 30 requests per minute).
+ *
+ * @param raw - Limit string
+ * @returns Token bucket spec, or null if invalid
+ */
+export function parseRateSpec(raw: unknown): RateLimitSpec | null {
+  if (typeof raw !== 'string') return null;
+  const m = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(raw);
+  if (!m) return null;
+  const capacity = parseInt(m[1], 10);
+  const seconds = parseInt(m[2], 10);
+  if (capacity <= 0 || seconds <= 0) return null;
+  return { capacity, refillPerSec: capacity / seconds };
+}
+
+/**
+ * Parses the RATE_LIMITS environment variable.
+ * Format (JSON): `{ "search": { "key": "120/60", "ip": "30/60" }, "torrserver": "20/60" }`.
+ * A plain string applies the same limit to key holders and anonymous clients.
+ * Logs a warning and disables rate limiting when the value is not valid JSON.
+ *
+ * @param raw - Raw RATE_LIMITS value
+ * @returns Parsed configuration, or null when unset/invalid (rate limiting disabled)
+ */
+export function parseRateLimits(raw: string | undefined): RateLimitConfig | null {
+  if (!raw || !raw.trim()) return null;
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.warn('[config] Invalid RATE_LIMITS (expected JSON), rate limiting disabled');
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+  const config: RateLimitConfig = {};
+  for (const cls of RATE_LIMIT_ROUTE_CLASSES) {
+    const entry = (parsed as Record<string, unknown>)[cls];
+    if (entry === undefined) continue;
+    if (typeof entry === 'string') {
+      const spec = parseRateSpec(entry);
+      if (spec) config[cls] = { key: spec, ip: spec };
+      continue;
+    }
+    if (entry && typeof entry === 'object') {
+      const e = entry as Record<string, unknown>;
+      config[cls] = {
+        key: parseRateSpec(e.key) || undefined,
+        ip: parseRateSpec(e.ip) || undefined,
+      };
+    }
+  }
+  return Object.keys(config).length ? config : null;
+}
+
+/**
+ * Classifies a request path into a rate limit route class.
+ *
+ * @param pathname - The URL pathname
+ * @returns Route class used to pick the limit
+ */
+export function classifyRoute(pathname: string): RateLimitRouteClass {
+  if (pathname.startsWith('/api/torrserver/')) return 'torrserver';
+  if (
+    pathname.startsWith('/api/torrents') ||
+    pathname.startsWith('/api/feed') ||
+    pathname.startsWith('/api/torznab')
+  )
+    return 'search';
+  if (pathname.startsWith('/api/stats') || pathname.startsWith('/stats')) return 'stats';
+  if (pathname.startsWith('/sync')) return 'sync';
+  return 'default';
+}
+
+/**
+ * Takes one token from a bucket (pure function; callers persist the returned state).
+ *
+ * @param state - Previous bucket state (undefined = new, full bucket)
+ * @param spec - Bucket capacity and refill rate
+ * @param now - Current time (epoch ms)
+ * @returns Whether the request is allowed, remaining tokens, Retry-After seconds and new state
+ */
+export function takeToken(
+  state: BucketState | undefined,
+  spec: RateLimitSpec,
+  now: number
+): TakeResult {
+  const elapsedSec = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const available = state
+    ? Math.min(spec.capacity, state.tokens + elapsedSec * spec.refillPerSec)
+    : spec.capacity;
+  if (available >= 1) {
+    const tokens = available - 1;
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens),
+      retryAfterSec: 0,
+      state: { tokens, updatedAt: now },
+    };
+  }
+  return {
+    allowed: false,
+    remaining: 0,
+    retryAfterSec: Math.max(1, Math.ceil((1 - available) / spec.refillPerSec)),
+    state: { tokens: available, updatedAt: now },
+  };
+}
+
+// Isolate-local fallback buckets. Bounded so a flood of distinct IPs cannot grow it forever.
+const MAX_LOCAL_BUCKETS = 5000;
+const localBuckets = new Map<string, BucketState>();
+
+function takeLocal(bucketId: string, spec: RateLimitSpec, now: number): TakeResult {
+  const result = takeToken(localBuckets.get(bucketId), spec, now);
+  localBuckets.delete(bucketId); // re-insert to keep Map order ~ LRU
+  localBuckets.set(bucketId, result.state);
+  if (localBuckets.size > MAX_LOCAL_BUCKETS) {
+    const oldest = localBuckets.keys().next().value;
+    if (oldest !== undefined) localBuckets.delete(oldest);
+  }
+  return result;
+}
+
+/**
+ * Consumes a token for the given bucket, using the Durable Object when bound.
+ * Fails open to the isolate-local bucket when the Durable Object call errors.
+ *
+ * @param namespace - RATE_LIMITER Durable Object namespace (optional)
+ * @param bucketId - Bucket identifier (route class + key id or IP)
+ * @param spec - Bucket capacity and refill rate
+ * @returns Take result
+ */
+export async function consumeToken(
+  namespace: DurableObjectNamespace | undefined,
+  bucketId: string,
+  spec: RateLimitSpec
+): Promise<TakeResult> {
+  if (namespace) {
+    try {
+      const stub = namespace.get(namespace.idFromName(bucketId));
+      const resp = await stub.fetch('https://rate-limiter/take', {
+        method: 'POST',
+        body: JSON.stringify(spec),
+      });
+      if (resp.ok) return (await resp.json()) as TakeResult;
+    } catch (err) {
+      console.warn('[rateLimit] Durable Object unavailable, using local bucket:', err);
+    }
+  }
+  return takeLocal(bucketId, spec, Date.now());
+}
@@ -0,0 +1,99 @@
+// Search suggestions (/api/suggest) built from the searches /api/torrents has answered. The
+// popularity table is isolate-local and bounded, like origin health: every isolate learns it
+// independently and a fresh isolate starts empty. Searches are shared: a query counted for
+// SUGGEST_MIN_REQUESTERS different clients is suggested to everyone.
+import { normalizeSearch } from './cachePolicy';
+
+export interface QueryStat {
+  query: string; // display form (last spelling seen, whitespace-collapsed)
+  hits: number;
+  lastAt: number; // epoch ms of the last search
+}
+
+// Distinct requesters of a query, capped at SUGGEST_MIN_REQUESTERS (only the threshold matters).
+interface QueryEntry extends QueryStat {
+  requesters: Set<string>;
+}
+
+export const SUGGEST_MAX_ENTRIES = 500;
+// Queries searched by fewer distinct clients (API keys or IPs) are not suggested, so a query
+// only one client has searched, however often, is not shown to others.
+export const SUGGEST_MIN_REQUESTERS = 2;
+export const SUGGEST_DEFAULT_LIMIT = 10;
+export const SUGGEST_MAX_LIMIT = 25;
+const MAX_QUERY_LENGTH = 100;
+
+const table = new Map<string, QueryEntry>();
+
+// Drops the least recently searched query that is not suggested yet (fewer than
+// SUGGEST_MIN_REQUESTERS); only when every entry is suggested, the least popular one. Hit
+// counts do not decide among pending queries: a new query would always lose to older ones
+// and never stay long enough for a second client to search it.
+function evictOne(): void {
+  let victim: string | undefined;
+  let worst: QueryEntry | undefined;
+  let pendingVictim: string | undefined;
+  let oldestPending: QueryEntry | undefined;
+  for (const [key, stat] of table) {
+    if (stat.requesters.size < SUGGEST_MIN_REQUESTERS) {
+      if (!oldestPending || stat.lastAt < oldestPending.lastAt) {
+        pendingVictim = key;
+        oldestPending = stat;
+      }
+    } else if (
+      !worst ||
+      stat.hits < worst.hits ||
+      (stat.hits === worst.hits && stat.lastAt < worst.lastAt)
+    ) {
+      victim = key;
+      worst = stat;
+    }
+  }
+  const key = pendingVictim ?? victim;
+  if (key !== undefined) table.delete(key);
+}
+
+/**
+ * Counts a successful search. Empty and overlong queries are ignored.
+ *
+ * @param search - Raw `search` parameter
+ * @param requester - Client id (see requesterId())
+ * @param now - Current time (epoch ms)
+ */
+export function recordSearch(search: string, requester: string, now = Date.now()): void {
+  const key = normalizeSearch(search);
+  if (!key || key.length > MAX_QUERY_LENGTH) return;
+  const query = search.trim().replace(/\s+/g, ' ');
+  const stat = table.get(key);
+  if (stat) {
+    stat.hits++;
+    stat.lastAt = now;
+    stat.query = query;
+    if (stat.requesters.size < SUGGEST_MIN_REQUESTERS) stat.requesters.add(requester);
+    return;
+  }
+  if (table.size >= SUGGEST_MAX_ENTRIES) evictOne();
+  table.set(key, { query, hits: 1, lastAt: now, requesters: new Set([requester]) });
+}
+
+/**
+ * Popular queries starting with `prefix` (or containing a word that does), most searched
+ * first. An empty prefix returns the overall most popular queries.
+ *
+ * @param prefix - Text typed so far
+ * @param limit - Maximum number of suggestions
+ * @returns Matching queries
+ */
+export function suggestQueries(prefix: string, limit = SUGGEST_DEFAULT_LIMIT): QueryStat[] {
+  const q = normalizeSearch(prefix);
+  const matches: QueryEntry[] = [];
+  for (const [key, stat] of table) {
+    if (stat.requesters.size < SUGGEST_MIN_REQUESTERS) continue;
+    if (q && !key.startsWith(q) && !key.includes(' ' + q)) continue;
+    matches.push(stat);
+  }
+  return matches
+    .sort((a, b) => b.hits - a.hits || b.lastAt - a.lastAt)
+    .slice(0, limit)
+    .map(({ query, hits, lastAt }) => ({ query, hits, lastAt }));
+}
@@ -0,0 +1,306 @@
+import { cachedFetch } from './fetching';
+import { mapUpstreamPath } from './routing';
+import { USER_AGENT } from './constants';
+import { isAbortError } from './abort';
+import { recordOriginResult } from './origins';
+import { runListQuery, type TorrentListQuery } from './filters';
+import { magnetInfohash, parseMagnet } from './magnet';
+import type { ResolvedConfig } from '../config';
+
+// Shape of a single item returned by the upstream /api/v1.0/torrents endpoint.
+// Only the fields the worker reads are typed; everything else is passed through untouched.
+export interface TorrentItem {
+  title?: string;
+  url?: string;
+  magnet?: string;
+  tracker?: string;
+  size?: number;
+  sizeName?: string;
+  createTime?: string | number;
+  sid?: number;
+  pir?: number;
+  quality?: number;
+  videotype?: string;
+  voices?: string[];
+  seasons?: number[];
+  types?: string[];
+  relased?: number;
+  infohash?: string | null; // added by the worker (see withInfohash)
+  [k: string]: unknown;
+}
+
+// Local /api paths that map to the upstream torrent list (see routing.ts)
+export const TORRENTS_PATHS = ['/api/torrents', '/api/torrents/'] as const;
+
+/**
+ * Checks if a local pathname is the /api/torrents search endpoint.
+ *
+ * @param pathname - The URL pathname to check
+ * @returns True for /api/torrents (with or without trailing slash)
+ */
+export function isTorrentsPath(pathname: string): boolean {
+  return TORRENTS_PATHS.includes(pathname as (typeof TORRENTS_PATHS)[number]);
+}
+
+/**
+ * Checks whether searches should fan out to every configured origin (UPSTREAM_MODE=fanout).
+ *
+ * @param config - Resolved worker configuration
+ * @returns True when fan-out mode is enabled and more than one origin is configured
+ */
+export function isFanOut(config: ResolvedConfig): boolean {
+  return config.upstreamMode === 'fanout' && config.upstreamOrigins.length > 1;
+}
+
+interface FetchTorrentsArgs {
+  ctx: ExecutionContext;
+  config: ResolvedConfig;
+  params: URLSearchParams;
+}
+
+/**
+ * Runs the same upstream query the `upstream` middleware makes for /api/torrents and returns
+ * the parsed item list. Goes through `cachedFetch`, so results share the edge cache entry.
+ * In fan-out mode the merged list of all origins is returned (failed origins are skipped).
+ *
+ * @param args - Fetch arguments
+ * @param args.ctx - Cloudflare Workers ExecutionContext (for cache writes)
+ * @param args.config - Resolved worker configuration (origin + timeout)
+ * @param args.params - Upstream query parameters (search, exact, ...); API key params must be stripped
+ * @returns Array of torrent items (empty when the upstream returns a non-array payload)
+ * @throws Error with message 'upstream_fetch_failed' on non-2xx upstream responses
+ * @throws DOMException with name 'AbortError' if timeout is exceeded
+ */
+export async function fetchTorrents({
+  ctx,
+  config,
+  params,
+}: FetchTorrentsArgs): Promise<TorrentItem[]> {
+  if (isFanOut(config)) return (await fetchTorrentsFanOut({ ctx, config, params })).items;
+  const upstreamUrl = new URL(mapUpstreamPath('/api/torrents'), config.upstreamOrigin);
+  upstreamUrl.search = params.toString();
+  const request = new Request(upstreamUrl.toString(), {
+    method: 'GET',
+    headers: { Accept: 'application/json', 'User-Agent': USER_AGENT },
+  });
+  const resp = await cachedFetch(ctx, upstreamUrl.toString(), request, config.upstreamTimeoutMs, {
+    origins: config.upstreamOrigins,
+    windows: config.cacheWindows,
+  });
+  if (!resp.ok) throw new Error('upstream_fetch_failed');
+  const data = (await resp.json()) as unknown;
+  return Array.isArray(data) ? (data as TorrentItem[]) : [];
+}
+
+// Queries a single origin, bypassing failover (each origin has its own cache entry).
+async function fetchOriginTorrents(
+  { ctx, config, params }: FetchTorrentsArgs,
+  origin: string
+): Promise<TorrentItem[]> {
+  const started = Date.now();
+  try {
+    const items = await fetchTorrents({
+      ctx,
+      config: { ...config, upstreamOrigin: origin, upstreamOrigins: [{ origin, weight: 1 }] },
+      params,
+    });
+    recordOriginResult(origin, true, Date.now() - started);
+    return items;
+  } catch (err) {
+    recordOriginResult(origin, false, Date.now() - started);
+    throw err;
+  }
+}
+
+export interface FanOutResult {
+  items: TorrentItem[];
+  origins: string[]; // origins that answered
+  failed: { origin: string; error: string }[];
+}
+
+/**
+ * Merges per-origin result lists, deduplicating by magnet infohash. Of two entries with the
+ * same infohash the one with more seeders wins (ties keep the earlier origin). Items are
+ * tagged with `sourceOrigin`; items without an infohash are never merged.
+ *
+ * @param lists - Result lists in origin order
+ * @returns Merged items
+ */
+export function mergeTorrentLists(
+  lists: { origin: string; items: TorrentItem[] }[]
+): TorrentItem[] {
+  const merged: TorrentItem[] = [];
+  const byHash = new Map<string, number>();
+  for (const { origin, items } of lists) {
+    for (const item of items) {
+      const tagged: TorrentItem = { ...item, sourceOrigin: origin };
+      const hash = magnetInfohash(item.magnet);
+      const idx = hash ? byHash.get(hash) : undefined;
+      if (idx === undefined) {
+        if (hash) byHash.set(hash, merged.length);
+        merged.push(tagged);
+      } else if ((Number(item.sid) || 0) > (Number(merged[idx].sid) || 0)) {
+        merged[idx] = tagged;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Queries every configured origin in parallel (each with the upstream timeout) and merges
+ * the results. Origins that time out or fail are reported in `failed`.
+ *
+ * @param args - Fetch arguments (see fetchTorrents)
+ * @returns Merged items, answering origins and failures
+ * @throws The first origin's error when every origin failed
+ */
+export async function fetchTorrentsFanOut(args: FetchTorrentsArgs): Promise<FanOutResult> {
+  const origins = args.config.upstreamOrigins.map((o) => o.origin);
+  const settled = await Promise.allSettled(origins.map((o) => fetchOriginTorrents(args, o)));
+  const lists: { origin: string; items: TorrentItem[] }[] = [];
+  const failed: FanOutResult['failed'] = [];
+  settled.forEach((r, i) => {
+    if (r.status === 'fulfilled') lists.push({ origin: origins[i], items: r.value });
+    else
+      failed.push({
+        origin: origins[i],
+        error: isAbortError(r.reason)
+          ? 'upstream_timeout'
+          : r.reason instanceof Error
+            ? r.reason.message
+            : String(r.reason),
+      });
+  });
+  if (!lists.length) throw (settled[0] as PromiseRejectedResult).reason;
+  return { items: mergeTorrentLists(lists), origins: lists.map((l) => l.origin), failed };
+}
+
+/**
+ * Builds the /api/torrents response for a fan-out search. The body stays a plain array;
+ * partial failures are reported via `Warning` and `X-Fanout-Failed` headers (and in the
+ * `warnings` of an `envelope=1` body, see shapeTorrentResponse()).
+ *
+ * @param result - Fan-out result
+ * @returns JSON Response
+ */
+export function fanOutResponse(result: FanOutResult): Response {
+  const headers = new Headers({
+    'Content-Type': 'application/json; charset=utf-8',
+    'X-Upstream-Origin': result.origins.join(', '),
+  });
+  if (result.failed.length) {
+    const failedOrigins = result.failed.map((f) => f.origin).join(', ');
+    headers.set('Warning', `199 - "partial results, failed origins: ${failedOrigins}"`);
+    headers.set('X-Fanout-Failed', failedOrigins);
+  }
+  return new Response(JSON.stringify(result.items), { status: 200, headers });
+}
+
+/**
+ * Looks releases up by infohash. The upstream has no hash index, so the hash itself is
+ * searched first (trackers often list it in the release text); when that finds no release
+ * with the hash, the display name (`dn` of a magnet) is searched instead. Only items whose
+ * magnet has the hash (v1 or v2) are kept.
+ *
+ * @param args - Fetch arguments; `params` carries the upstream query params other than `search`
+ * @param hash - Normalized infohash (see normalizeInfohash())
+ * @param name - Release name to fall back to, e.g. the magnet's `dn`
+ * @returns JSON Response with the matching items
+ * @throws Same errors as fetchTorrents()
+ */
+export async function lookupInfohash(
+  args: FetchTorrentsArgs,
+  hash: string,
+  name?: string
+): Promise<Response> {
+  let items: TorrentItem[] = [];
+  for (const search of name ? [hash, name] : [hash]) {
+    const params = new URLSearchParams(args.params);
+    params.set('search', search);
+    items = (await fetchTorrents({ ...args, params })).filter((item) => {
+      const magnet = parseMagnet(item.magnet);
+      return magnet?.infohash === hash || magnet?.infohashV2 === hash;
+    });
+    if (items.length) break;
+  }
+  return new Response(JSON.stringify(items), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
+
+/**
+ * Converts an item's createTime to epoch milliseconds.
+ *
+ * @param item - Torrent item
+ * @returns Epoch milliseconds, or 0 when the value is missing/unparseable
+ */
+export function itemTimestamp(item: TorrentItem): number {
+  if (item.createTime === undefined || item.createTime === null) return 0;
+  const t = new Date(item.createTime).getTime();
+  return Number.isNaN(t) ? 0 : t;
+}
+
+/**
+ * Adds the magnet's infohash to an item (lower-case hex, v1 or v2 for v2-only magnets;
+ * null when the magnet has none).
+ *
+ * @param item - Torrent item from the upstream
+ * @returns Copy of the item with `infohash`
+ */
+export function withInfohash(item: TorrentItem): TorrentItem {
+  return { ...item, infohash: magnetInfohash(item.magnet) };
+}
+
+/**
+ * Shapes an upstream /api/v1.0/torrents response for /api/torrents: every item gets an
+ * `infohash` field, and with a list query worker-side filtering, grouping, sorting and
+ * pagination are applied. The match count is reported via X-Total-Count, pagination via
+ * X-Result-Offset / X-Result-Limit. With `envelope` the body becomes
+ * `{ items, total, warnings }` for clients that cannot read headers; fan-out partial failures
+ * (X-Fanout-Failed) are listed as a `partial_results` warning. Non-JSON or non-array payloads
+ * are returned unchanged.
+ *
+ * @param resp - Successful upstream (or cached) response
+ * @param query - Parsed list query (see parseListQuery), or null for the full list
+ * @returns New Response with the shaped JSON array (or envelope)
+ */
+export async function shapeTorrentResponse(
+  resp: Response,
+  query: TorrentListQuery | null
+): Promise<Response> {
+  const headers = new Headers(resp.headers);
+  const raw = await resp.text();
+  let data: unknown;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    data = null;
+  }
+  if (!Array.isArray(data)) return new Response(raw, { status: resp.status, headers });
+  const enriched = (data as TorrentItem[]).map(withInfohash);
+  const { items, total } = query
+    ? runListQuery(enriched, query)
+    : { items: enriched, total: enriched.length };
+  const failedOrigins = (headers.get('X-Fanout-Failed') || '').split(', ').filter(Boolean);
+  const body = JSON.stringify(
+    query?.envelope
+      ? {
+          items,
+          total,
+          warnings: failedOrigins.length ? [{ code: 'partial_results', failedOrigins }] : [],
+        }
+      : items
+  );
+  // The body no longer matches the upstream representation.
+  headers.delete('ETag');
+  headers.delete('Content-Length');
+  headers.set('Content-Type', 'application/json; charset=utf-8');
+  headers.set('X-Total-Count', String(total));
+  if (query) {
+    headers.set('X-Result-Offset', String(query.offset));
+    if (query.limit !== undefined) headers.set('X-Result-Limit', String(query.limit));
+  }
+  return new Response(body, { status: resp.status, headers });
+}
@@ -4,10 +4,10 @@ import { isAbortError } from './abort';
 import {
   TORRSERVER_ADD_PATH,
   TORRSERVER_TEST_PATH,
-  MAGNET_PREFIX,
   USER_AGENT,
   TORRSERVER_FORWARD_HEADERS,
 } from './constants';
+import { parseMagnet } from './magnet';
 import type { EnvLike } from './constants';
 import type { Locale } from './i18n';
 
@@ -139,7 +139,8 @@ interface TorrAddArgs {
 
 /**
  * Handles POST requests to add a magnet to TorrServer.
- * Expects JSON body with magnet, url, and optional username/password.
+ * Expects JSON body with magnet, url, and optional username/password; the magnet must
+ * carry a valid infohash (see parseMagnet).
  *
  * @param args - Request handling arguments
  * @param args.request - Incoming Request object
@@ -170,7 +171,8 @@ export async function handleTorrServerAdd({
   const pass = (body && (body.password ?? '')).toString();
   const addPath = '/torrents';
   const debug = !!body.debug;
-  if (!magnet || !magnet.startsWith(MAGNET_PREFIX)) return badRequest(locale, 'invalid_magnet');
+  // A magnet TorrServer can resolve needs a valid v1 or v2 infohash.
+  if (!parseMagnet(magnet)) return badRequest(locale, 'invalid_magnet');
   if (!tsUrlRaw) return badRequest(locale, 'missing_url');
   if ((user && !pass) || (pass && !user)) return badRequest(locale, 'auth_credentials_mismatch');
   let tsUrl: URL;
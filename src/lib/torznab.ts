@@ -0,0 +1,258 @@
+import { KNOWN_TRACKERS, normalizeTrackerName } from './trackers';
+import { itemTimestamp, type TorrentItem } from './torrents';
+import { magnetInfohash } from './magnet';
+import { xmlElement, xmlResponse } from './xml';
+import { localeHeaders, msg, type Locale, type MsgKey } from './i18n';
+
+// Torznab (Newznab-derived) protocol helpers: caps document, result feed and error documents.
+// Spec: https://torznab.github.io/spec-1.3-draft/torznab/
+
+export const TORZNAB_FUNCTIONS = ['caps', 'search', 'tvsearch', 'movie'] as const;
+export type TorznabFunction = (typeof TORZNAB_FUNCTIONS)[number];
+
+export const TORZNAB_DEFAULT_LIMIT = 100;
+export const TORZNAB_MAX_LIMIT = 500;
+
+const TORZNAB_NS = 'http://torznab.com/schemas/2015/feed';
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+// Newznab category ids used by the proxy.
+const CAT = {
+  MOVIES: 2000,
+  MOVIES_SD: 2030,
+  MOVIES_HD: 2040,
+  MOVIES_UHD: 2045,
+  TV: 5000,
+  TV_SD: 5030,
+  TV_HD: 5040,
+  TV_UHD: 5045,
+  TV_ANIME: 5070,
+  TV_DOCUMENTARY: 5080,
+} as const;
+
+const CATEGORY_TREE: { id: number; name: string; subcats: { id: number; name: string }[] }[] = [
+  {
+    id: CAT.MOVIES,
+    name: 'Movies',
+    subcats: [
+      { id: CAT.MOVIES_SD, name: 'Movies/SD' },
+      { id: CAT.MOVIES_HD, name: 'Movies/HD' },
+      { id: CAT.MOVIES_UHD, name: 'Movies/UHD' },
+    ],
+  },
+  {
+    id: CAT.TV,
+    name: 'TV',
+    subcats: [
+      { id: CAT.TV_SD, name: 'TV/SD' },
+      { id: CAT.TV_HD, name: 'TV/HD' },
+      { id: CAT.TV_UHD, name: 'TV/UHD' },
+      { id: CAT.TV_ANIME, name: 'TV/Anime' },
+      { id: CAT.TV_DOCUMENTARY, name: 'TV/Documentary' },
+    ],
+  },
+];
+
+// jacred `types` values -> parent Newznab category (+ optional fixed subcategory)
+const TYPE_CATEGORIES: Record<string, { parent: number; sub?: number }> = {
+  movie: { parent: CAT.MOVIES },
+  multfilm: { parent: CAT.MOVIES },
+  documovie: { parent: CAT.MOVIES },
+  serial: { parent: CAT.TV },
+  multserial: { parent: CAT.TV },
+  tvshow: { parent: CAT.TV },
+  anime: { parent: CAT.TV, sub: CAT.TV_ANIME },
+  docuserial: { parent: CAT.TV, sub: CAT.TV_DOCUMENTARY },
+};
+
+// Torznab error codes (subset of the Newznab error table)
+export const TORZNAB_ERROR = {
+  INCORRECT_CREDENTIALS: 100,
+  INSUFFICIENT_PRIVILEGES: 102,
+  MISSING_PARAMETER: 200,
+  INCORRECT_PARAMETER: 201,
+  NO_SUCH_FUNCTION: 202,
+  UNKNOWN: 900,
+} as const;
+
+/**
+ * Maps a torrent item to the Newznab categories it belongs to (parent + resolution subcategory).
+ * Items without a known type default to Movies.
+ *
+ * @param item - Torrent item from the upstream
+ * @returns Distinct category ids (parents first)
+ */
+export function itemCategories(item: TorrentItem): number[] {
+  const parents = new Set<number>();
+  const subs = new Set<number>();
+  for (const t of item.types || []) {
+    const mapped = TYPE_CATEGORIES[String(t).toLowerCase()];
+    if (!mapped) continue;
+    parents.add(mapped.parent);
+    if (mapped.sub) subs.add(mapped.sub);
+  }
+  if (!parents.size) parents.add(CAT.MOVIES);
+  const quality = Number(item.quality) || 0;
+  for (const parent of parents) {
+    const isTv = parent === CAT.TV;
+    if (quality >= 2160) subs.add(isTv ? CAT.TV_UHD : CAT.MOVIES_UHD);
+    else if (quality >= 720) subs.add(isTv ? CAT.TV_HD : CAT.MOVIES_HD);
+    else if (quality > 0) subs.add(isTv ? CAT.TV_SD : CAT.MOVIES_SD);
+  }
+  return [...parents, ...subs];
+}
+
+/**
+ * Checks whether an item matches the requested category filter.
+ * A category matches itself and, for parent ids (multiples of 1000), all of its subcategories.
+ *
+ * @param categories - Categories of the item (see itemCategories)
+ * @param wanted - Requested category ids (empty = no filtering)
+ * @returns True if the item should be kept
+ */
+export function matchesCategories(categories: number[], wanted: number[]): boolean {
+  if (!wanted.length) return true;
+  return wanted.some((w) =>
+    categories.some((c) => c === w || (w % 1000 === 0 && Math.floor(c / 1000) * 1000 === w))
+  );
+}
+
+/**
+ * Builds the Torznab capabilities document. Known trackers are exposed as tags so
+ * indexer managers (Prowlarr etc.) can show which sources the proxy aggregates.
+ *
+ * @param title - Server title shown by clients
+ * @returns Serialized <caps> element
+ */
+export function buildCaps(title: string): string {
+  const categories = CATEGORY_TREE.map((c) =>
+    xmlElement(
+      'category',
+      { id: c.id, name: c.name },
+      { children: c.subcats.map((s) => xmlElement('subcat', { id: s.id, name: s.name })).join('') }
+    )
+  ).join('');
+  const tags = KNOWN_TRACKERS.map((t) =>
+    xmlElement('tag', { name: t.id, description: t.title })
+  ).join('');
+  const children = [
+    xmlElement('server', { version: '1.0', title }),
+    xmlElement('limits', { max: TORZNAB_MAX_LIMIT, default: TORZNAB_DEFAULT_LIMIT }),
+    xmlElement(
+      'searching',
+      {},
+      {
+        children: [
+          // `q` is required: RSS polls (no `q`) get an empty feed, see the torznab middleware.
+          xmlElement('search', { available: 'yes', supportedParams: 'q' }),
+          // The upstream has no IMDb index, so `imdbid` is not advertised.
+          xmlElement('tv-search', { available: 'yes', supportedParams: 'q,season' }),
+          xmlElement('movie-search', { available: 'yes', supportedParams: 'q' }),
+        ].join(''),
+      }
+    ),
+    xmlElement('categories', {}, { children: categories }),
+    xmlElement('tags', {}, { children: tags }),
+  ];
+  return xmlElement('caps', {}, { children: children.join('') });
+}
+
+function torznabAttr(name: string, value: string | number | undefined): string {
+  if (value === undefined || value === '') return '';
+  return xmlElement('torznab:attr', { name, value });
+}
+
+/**
+ * Converts a single upstream item into a Torznab <item>.
+ *
+ * @param item - Torrent item from the upstream
+ * @returns Serialized <item> element, or '' when the item has neither magnet nor URL
+ */
+export function buildFeedItem(item: TorrentItem): string {
+  const magnet = (item.magnet || '').trim();
+  const link = magnet || (item.url || '').trim();
+  if (!link) return '';
+  const size = Math.max(0, Math.round(Number(item.size) || 0));
+  const seeders = Number(item.sid) || 0;
+  const leechers = Number(item.pir) || 0;
+  const ts = itemTimestamp(item);
+  const categories = itemCategories(item);
+  const tracker = normalizeTrackerName(item.tracker);
+  const infohash = magnetInfohash(magnet);
+  const parts = [
+    xmlElement('title', {}, { text: item.title || 'Untitled' }),
+    xmlElement('guid', { isPermaLink: 'false' }, { text: link }),
+    xmlElement('link', {}, { text: link }),
+    item.url ? xmlElement('comments', {}, { text: item.url }) : '',
+    ts ? xmlElement('pubDate', {}, { text: new Date(ts).toUTCString() }) : '',
+    xmlElement('size', {}, { text: size }),
+    xmlElement('jackettindexer', { id: tracker }, { text: item.tracker || tracker }),
+    ...categories.map((c) => xmlElement('category', {}, { text: c })),
+    xmlElement('enclosure', { url: link, length: size, type: 'application/x-bittorrent' }),
+    ...categories.map((c) => torznabAttr('category', c)),
+    torznabAttr('seeders', seeders),
+    torznabAttr('peers', seeders + leechers),
+    torznabAttr('magneturl', magnet || undefined),
+    torznabAttr('infohash', infohash || undefined),
+    torznabAttr('year', item.relased || undefined),
+    torznabAttr('downloadvolumefactor', 0),
+    torznabAttr('uploadvolumefactor', 1),
+  ];
+  return xmlElement('item', {}, { children: parts.join('') });
+}
+
+/**
+ * Builds a Torznab RSS result document.
+ *
+ * @param options - Feed options
+ * @param options.title - Channel title
+ * @param options.selfUrl - Absolute URL of the request (for atom:link)
+ * @param options.items - Items to include (already filtered/paginated)
+ * @param options.offset - Pagination offset echoed back to the client
+ * @param options.total - Total number of matches before pagination
+ * @returns Serialized <rss> element
+ */
+export function buildResultsFeed({
+  title,
+  selfUrl,
+  items,
+  offset,
+  total,
+}: {
+  title: string;
+  selfUrl: string;
+  items: TorrentItem[];
+  offset: number;
+  total: number;
+}): string {
+  const channel = [
+    xmlElement('atom:link', { href: selfUrl, rel: 'self', type: 'application/rss+xml' }),
+    xmlElement('title', {}, { text: title }),
+    xmlElement('description', {}, { text: title }),
+    xmlElement('torznab:response', { offset, total }),
+    ...items.map(buildFeedItem),
+  ];
+  return xmlElement(
+    'rss',
+    { version: '2.0', 'xmlns:atom': ATOM_NS, 'xmlns:torznab': TORZNAB_NS },
+    { children: xmlElement('channel', {}, { children: channel.join('') }) }
+  );
+}
+
+/**
+ * Creates a Torznab error Response (<error code=".." description=".."/>).
+ *
+ * @param locale - Locale for the description text
+ * @param code - Torznab error code (see TORZNAB_ERROR)
+ * @param key - i18n message key used as description
+ * @param status - HTTP status code
+ * @returns XML Response
+ */
+export function torznabError(locale: Locale, code: number, key: MsgKey, status: number): Response {
+  return xmlResponse(
+    xmlElement('error', { code, description: msg(locale, key) }),
+    status,
+    undefined,
+    localeHeaders(locale)
+  );
+}
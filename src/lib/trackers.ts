@@ -0,0 +1,36 @@
+// Trackers known to the proxy. Mirrors TRACKER_META in public/js/index.js (keep both in sync);
+// the worker only needs identifiers and human-readable titles for capability listings.
+export interface TrackerInfo {
+  id: string;
+  title: string;
+}
+
+export const KNOWN_TRACKERS: readonly TrackerInfo[] = [
+  { id: 'rutor', title: 'Rutor' },
+  { id: 'selezen', title: 'Selezen' },
+  { id: 'bitru', title: 'Bitru' },
+  { id: 'rutracker', title: 'RuTracker' },
+  { id: 'lostfilm', title: 'LostFilm' },
+  { id: 'kinozal', title: 'Kinozal' },
+  { id: 'nnmclub', title: 'NNM Club' },
+  { id: 'torrentby', title: 'Torrent.by' },
+  { id: 'anilibria', title: 'AniLibria' },
+  { id: 'anidub', title: 'AniDub' },
+  { id: 'megapeer', title: 'MegaPeer' },
+  { id: 'underverse', title: 'Underverse' },
+  { id: 'toloka', title: 'Toloka' },
+  { id: 'baibako', title: 'Baibako' },
+  { id: 'hdrezka', title: 'HDRezka' },
+];
+
+/**
+ * Normalizes a tracker identifier the same way the search page does
+ * (strips everything except latin letters, digits, '_' and '-').
+ *
+ * @param raw - Tracker identifier as returned by the upstream
+ * @returns Sanitized identifier, or 'unknown' when nothing is left
+ */
+export function normalizeTrackerName(raw: unknown): string {
+  const cleaned = (typeof raw === 'string' ? raw.trim() : '').replace(/[^a-zA-Z0-9_-]/g, '');
+  return cleaned || 'unknown';
+}
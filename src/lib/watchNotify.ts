@@ -0,0 +1,268 @@
+// Watchlist notifications: delivers "new releases for a followed query" events to the
+// configured sinks. `console` is the local stand-in (Workers logs / `wrangler dev` output);
+// `webhook` POSTs the JSON event, `telegram` sends a Bot API message and `webpush` notifies
+// the owner's browsers subscribed to the `watch` push topic.
+import { magnetInfohash } from './magnet';
+import type { TorrentItem } from './torrents';
+import { sendPushToOwner, type PushMessage } from './push';
+import { parseVapidKeys, type VapidKeys } from './webPush';
+
+export const WATCH_SINKS = ['console', 'webhook', 'telegram', 'webpush'] as const;
+export type WatchSink = (typeof WATCH_SINKS)[number];
+
+export interface WatchNotifyConfig {
+  sinks: WatchSink[]; // empty = notifications disabled (checks still run)
+  webhookUrl?: string; // 'webhook' sink target
+  telegramChatId?: string; // 'telegram' sink chat (bot token comes from WATCH_TELEGRAM_BOT_TOKEN)
+}
+
+// Credentials and bindings the sinks need at delivery time (see watchNotifySecrets()).
+export interface WatchNotifySecrets {
+  webhookToken?: string; // WATCH_WEBHOOK_TOKEN
+  telegramBotToken?: string; // WATCH_TELEGRAM_BOT_TOKEN
+  push?: { kv: KVNamespace; vapid: VapidKeys }; // PUSH_KV + VAPID keys
+}
+
+export interface WatchNotificationItem {
+  infohash: string;
+  title: string;
+  tracker?: string;
+  size?: string;
+  magnet?: string;
+  url?: string;
+}
+
+export interface WatchNotification {
+  type: 'watch.new_items';
+  owner: string; // hashed API key id (see hashKeyId()) or 'public'
+  ownerLabel?: string; // API key label, when known
+  watchId: string;
+  query: string;
+  filters: Record<string, string>;
+  checkedAt: string; // ISO timestamp
+  items: WatchNotificationItem[];
+}
+
+// Telegram messages are capped at 4096 characters; list at most this many releases.
+const TELEGRAM_MAX_ITEMS = 10;
+const TELEGRAM_API = 'https://api.telegram.org';
+// Release titles listed in a push notification body.
+const PUSH_MAX_ITEMS = 3;
+const PUSH_MAX_TITLE_LENGTH = 120;
+
+/**
+ * Parses notification settings: WATCH_NOTIFY (comma list of console|webhook|telegram|webpush,
+ * default console), WATCH_WEBHOOK_URL (required for webhook), WATCH_TELEGRAM_CHAT_ID plus
+ * the WATCH_TELEGRAM_BOT_TOKEN secret (required for telegram) and PUSH_KV plus the VAPID keys
+ * (required for webpush). Unknown or unconfigured sinks are logged and dropped;
+ * WATCH_NOTIFY=none disables notifications.
+ *
+ * @param env - Raw environment values
+ * @param env.WATCH_NOTIFY - Sink list
+ * @param env.WATCH_WEBHOOK_URL - Webhook URL
+ * @param env.WATCH_TELEGRAM_CHAT_ID - Telegram chat id
+ * @param env.WATCH_TELEGRAM_BOT_TOKEN - Telegram bot token (presence only)
+ * @param env.PUSH_KV - Push subscription namespace (presence only)
+ * @param env.VAPID_PUBLIC_KEY - VAPID public key (presence only)
+ * @param env.VAPID_PRIVATE_KEY - VAPID private key (presence only)
+ * @returns Notification configuration
+ */
+export function parseWatchNotifyConfig(env: {
+  WATCH_NOTIFY?: string;
+  WATCH_WEBHOOK_URL?: string;
+  WATCH_TELEGRAM_CHAT_ID?: string;
+  WATCH_TELEGRAM_BOT_TOKEN?: string;
+  PUSH_KV?: unknown;
+  VAPID_PUBLIC_KEY?: string;
+  VAPID_PRIVATE_KEY?: string;
+}): WatchNotifyConfig {
+  const raw = (env.WATCH_NOTIFY ?? 'console').trim().toLowerCase();
+  const webhookUrl = (env.WATCH_WEBHOOK_URL || '').trim() || undefined;
+  const telegramChatId = (env.WATCH_TELEGRAM_CHAT_ID || '').trim() || undefined;
+  const sinks: WatchSink[] = [];
+  if (raw === 'none') return { sinks };
+  for (const name of raw.split(',').map((s) => s.trim())) {
+    if (!name) continue;
+    if (!WATCH_SINKS.includes(name as WatchSink)) {
+      console.warn(`[config] Unknown WATCH_NOTIFY sink "${name}", ignored`);
+      continue;
+    }
+    if (name === 'webhook' && !webhookUrl) {
+      console.warn('[config] WATCH_NOTIFY=webhook requires WATCH_WEBHOOK_URL, sink disabled');
+      continue;
+    }
+    if (name === 'telegram' && (!telegramChatId || !env.WATCH_TELEGRAM_BOT_TOKEN)) {
+      console.warn(
+        '[config] WATCH_NOTIFY=telegram requires WATCH_TELEGRAM_BOT_TOKEN and WATCH_TELEGRAM_CHAT_ID, sink disabled'
+      );
+      continue;
+    }
+    if (name === 'webpush' && (!env.PUSH_KV || !env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY)) {
+      console.warn(
+        '[config] WATCH_NOTIFY=webpush requires PUSH_KV, VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, sink disabled'
+      );
+      continue;
+    }
+    if (!sinks.includes(name as WatchSink)) sinks.push(name as WatchSink);
+  }
+  return { sinks, webhookUrl, telegramChatId };
+}
+
+/**
+ * Collects the sink credentials from the environment.
+ *
+ * @param env - Environment holding the secrets and bindings
+ * @param env.WATCH_WEBHOOK_TOKEN - Webhook bearer token
+ * @param env.WATCH_TELEGRAM_BOT_TOKEN - Telegram bot token
+ * @param env.PUSH_KV - Push subscription namespace
+ * @param env.VAPID_PUBLIC_KEY - VAPID public key
+ * @param env.VAPID_PRIVATE_KEY - VAPID private key
+ * @param env.VAPID_SUBJECT - VAPID contact URI
+ * @returns Secrets for sendWatchNotification()
+ */
+export function watchNotifySecrets(env: {
+  WATCH_WEBHOOK_TOKEN?: string;
+  WATCH_TELEGRAM_BOT_TOKEN?: string;
+  PUSH_KV?: KVNamespace;
+  VAPID_PUBLIC_KEY?: string;
+  VAPID_PRIVATE_KEY?: string;
+  VAPID_SUBJECT?: string;
+}): WatchNotifySecrets {
+  const vapid = env.PUSH_KV ? parseVapidKeys(env) : null;
+  return {
+    webhookToken: env.WATCH_WEBHOOK_TOKEN,
+    telegramBotToken: env.WATCH_TELEGRAM_BOT_TOKEN,
+    push: env.PUSH_KV && vapid ? { kv: env.PUSH_KV, vapid } : undefined,
+  };
+}
+
+/**
+ * Reduces a torrent item to the fields sent in notifications.
+ *
+ * @param item - Torrent item from the upstream
+ * @returns Notification item (infohash is '' when the magnet has none)
+ */
+export function notificationItem(item: TorrentItem): WatchNotificationItem {
+  return {
+    infohash: magnetInfohash(item.magnet) || '',
+    title: item.title || '',
+    tracker: item.tracker,
+    size: item.sizeName,
+    magnet: item.magnet,
+    url: item.url,
+  };
+}
+
+const TELEGRAM_HTML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+};
+
+// Bot API parse_mode=HTML supports only these four entities (no `&apos;`).
+function escapeTelegramHtml(value: string | undefined): string {
+  return (value || '').replace(/[&<>"]/g, (ch) => TELEGRAM_HTML_ESCAPES[ch]);
+}
+
+// HTML message for the Bot API (parse_mode=HTML).
+function telegramText(n: WatchNotification): string {
+  const lines = [`<b>${escapeTelegramHtml(n.query)}</b> (+${n.items.length})`];
+  for (const item of n.items.slice(0, TELEGRAM_MAX_ITEMS)) {
+    const meta = [item.tracker, item.size].filter(Boolean).join(', ');
+    const title = item.url
+      ? `<a href="${escapeTelegramHtml(item.url)}">${escapeTelegramHtml(item.title)}</a>`
+      : escapeTelegramHtml(item.title);
+    lines.push(`• ${title}${meta ? ` (${escapeTelegramHtml(meta)})` : ''}`);
+  }
+  if (n.items.length > TELEGRAM_MAX_ITEMS) lines.push(`… +${n.items.length - TELEGRAM_MAX_ITEMS}`);
+  return lines.join('\n');
+}
+
+// Notification shown by the service worker; clicking it reopens the search
+// (page URL parameters use the worker's filter names).
+function pushMessage(n: WatchNotification): PushMessage {
+  const params = new URLSearchParams({ q: n.query, ...n.filters });
+  const lines = n.items
+    .slice(0, PUSH_MAX_ITEMS)
+    .map((item) => item.title.slice(0, PUSH_MAX_TITLE_LENGTH));
+  if (n.items.length > PUSH_MAX_ITEMS) lines.push(`… +${n.items.length - PUSH_MAX_ITEMS}`);
+  return {
+    title: `${n.query.slice(0, PUSH_MAX_TITLE_LENGTH)} (+${n.items.length})`,
+    body: lines.join('\n'),
+    url: `/?${params}`,
+    tag: `watch-${n.watchId}`,
+  };
+}
+
+async function postJson(
+  url: string,
+  body: unknown,
+  headers: Record<string, string> = {}
+): Promise<void> {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  await resp.body?.cancel();
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+}
+
+/**
+ * Delivers a notification to every configured sink. Sink failures are logged, never thrown,
+ * so one broken sink does not block the others or the watchlist update.
+ *
+ * @param config - Notification configuration
+ * @param notification - Event to deliver
+ * @param secrets - Sink credentials (see watchNotifySecrets())
+ * @returns Sinks that accepted the notification (`webpush` only when a browser received it)
+ */
+export async function sendWatchNotification(
+  config: WatchNotifyConfig,
+  notification: WatchNotification,
+  secrets: WatchNotifySecrets = {}
+): Promise<WatchSink[]> {
+  const delivered: WatchSink[] = [];
+  for (const sink of config.sinks) {
+    try {
+      switch (sink) {
+        case 'console':
+          console.log(JSON.stringify(notification));
+          break;
+        case 'webhook':
+          await postJson(
+            config.webhookUrl as string,
+            notification,
+            secrets.webhookToken ? { Authorization: `Bearer ${secrets.webhookToken}` } : {}
+          );
+          break;
+        case 'telegram':
+          await postJson(`${TELEGRAM_API}/bot${secrets.telegramBotToken}/sendMessage`, {
+            chat_id: config.telegramChatId,
+            text: telegramText(notification),
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+          });
+          break;
+        case 'webpush': {
+          if (!secrets.push) throw new Error('PUSH_KV or VAPID keys unavailable');
+          const { kv, vapid } = secrets.push;
+          const sent = await sendPushToOwner(
+            kv,
+            notification.owner,
+            'watch',
+            pushMessage(notification),
+            vapid
+          );
+          if (!sent) continue;
+          break;
+        }
+      }
+      delivered.push(sink);
+    } catch (err) {
+      console.warn(`[watch] ${sink} notification failed:`, err);
+    }
+  }
+  return delivered;
+}
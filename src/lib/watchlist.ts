@@ -0,0 +1,314 @@
+// Followed searches ("watchlist"): stored per API key in the WATCHLIST_KV namespace and
+// re-run by the scheduled handler. Each check diffs the results by magnet infohash against
+// the hashes already seen; the first check only seeds that set, so following a query never
+// reports its existing releases as new.
+import { hashKeyId, type ApiKeyInfo } from './apiKey';
+import { applyFilters, FILTER_PARAMS, parseFilterParams } from './filters';
+import { fetchTorrents, type TorrentItem } from './torrents';
+import { magnetInfohash } from './magnet';
+import { isAbortError } from './abort';
+import {
+  notificationItem,
+  sendWatchNotification,
+  watchNotifySecrets,
+  type WatchNotifyConfig,
+  type WatchSink,
+} from './watchNotify';
+import { pinUpstreamOrigin, type ResolvedConfig } from '../config';
+
+export interface WatchEntry {
+  id: string;
+  query: string;
+  exact: boolean;
+  filters: Record<string, string>; // subset of FILTER_PARAMS (server names, e.g. videotype)
+  createdAt: string; // ISO timestamps
+  lastCheckedAt?: string;
+  lastNewAt?: string; // last check that found new releases
+  lastNewCount?: number;
+  lastError?: string; // 'upstream_timeout' | 'upstream_fetch_failed' of the last check
+  seeded?: boolean; // a check has succeeded, so `seen` holds the baseline
+  seen: string[]; // infohashes already reported (current results first)
+}
+
+export interface WatchList {
+  owner: string; // hashed API key id or 'public'
+  label?: string; // API key label at the time of the last change
+  upstreamOrigin?: string; // the key's pinned upstream origin, for scheduled checks
+  entries: WatchEntry[];
+}
+
+export interface WatchInput {
+  query: string;
+  exact: boolean;
+  filters: Record<string, string>;
+}
+
+export interface WatchCheckResult {
+  entry: WatchEntry;
+  newItems: TorrentItem[];
+  notified: WatchSink[];
+}
+
+export const WATCH_KEY_PREFIX = 'watch:';
+export const WATCH_MAX_ENTRIES = 20;
+// Checks per scheduled run (each is one upstream subrequest plus notifications).
+export const WATCH_CRON_BATCH = 25;
+const WATCH_SEEN_LIMIT = 1000;
+const MAX_QUERY_LENGTH = 200;
+const MAX_FILTER_LENGTH = 100;
+
+/**
+ * Owner of a request's watchlist and push subscriptions: the hashed API key id, or 'public'
+ * when keys are not enforced (the watchlist endpoint then refuses requests, push
+ * subscriptions are shared).
+ *
+ * @param info - Resolved key info
+ * @returns Owner id
+ */
+export async function watchOwner(info: ApiKeyInfo): Promise<string> {
+  return info.keyEnforced && info.suppliedKey ? hashKeyId(info.suppliedKey) : 'public';
+}
+
+/**
+ * Loads an owner's watchlist (an empty list when none is stored).
+ *
+ * @param kv - WATCHLIST_KV namespace
+ * @param owner - Owner id (see watchOwner())
+ * @returns Stored watchlist
+ */
+export async function loadWatchList(kv: KVNamespace, owner: string): Promise<WatchList> {
+  const stored = await kv.get<WatchList>(WATCH_KEY_PREFIX + owner, { type: 'json' });
+  return stored && Array.isArray(stored.entries) ? stored : { owner, entries: [] };
+}
+
+/**
+ * Stores a watchlist; an empty list deletes the key so the cron does not visit it.
+ *
+ * @param kv - WATCHLIST_KV namespace
+ * @param list - Watchlist to store
+ */
+export async function saveWatchList(kv: KVNamespace, list: WatchList): Promise<void> {
+  const key = WATCH_KEY_PREFIX + list.owner;
+  if (!list.entries.length) await kv.delete(key);
+  else await kv.put(key, JSON.stringify(list));
+}
+
+/**
+ * Validates a follow request body: `query` (required), `exact` and `filters` (FILTER_PARAMS
+ * names; empty values are dropped, unknown names rejected).
+ *
+ * @param body - Parsed JSON body
+ * @returns Normalized input, or null if invalid
+ */
+export function parseWatchInput(body: unknown): WatchInput | null {
+  if (!body || typeof body !== 'object') return null;
+  const b = body as Record<string, unknown>;
+  const query = typeof b.query === 'string' ? b.query.trim().replace(/\s+/g, ' ') : '';
+  if (!query || query.length > MAX_QUERY_LENGTH) return null;
+  const filters: Record<string, string> = {};
+  if (b.filters !== undefined && b.filters !== null) {
+    if (typeof b.filters !== 'object') return null;
+    for (const [name, raw] of Object.entries(b.filters as Record<string, unknown>)) {
+      if (!(FILTER_PARAMS as readonly string[]).includes(name)) return null;
+      if (raw === undefined || raw === null) continue;
+      const value = String(raw).trim();
+      if (value.length > MAX_FILTER_LENGTH) return null;
+      if (value) filters[name] = value;
+    }
+  }
+  return { query, exact: b.exact === true, filters };
+}
+
+/**
+ * Finds an entry following the same query, exact flag and filters.
+ *
+ * @param list - Watchlist
+ * @param input - Follow request
+ * @returns Existing entry, if any
+ */
+export function findWatchEntry(list: WatchList, input: WatchInput): WatchEntry | undefined {
+  const filterKey = (f: Record<string, string>) =>
+    JSON.stringify(
+      Object.keys(f)
+        .sort()
+        .map((k) => [k, f[k]])
+    );
+  return list.entries.find(
+    (e) =>
+      e.query.toLowerCase() === input.query.toLowerCase() &&
+      e.exact === input.exact &&
+      filterKey(e.filters) === filterKey(input.filters)
+  );
+}
+
+/**
+ * Creates an unseeded entry (its first successful check records the baseline).
+ *
+ * @param input - Follow request
+ * @param now - Current time (epoch ms)
+ * @returns New entry
+ */
+export function newWatchEntry(input: WatchInput, now = Date.now()): WatchEntry {
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(6)), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join('');
+  return { id, ...input, createdAt: new Date(now).toISOString(), seen: [] };
+}
+
+/**
+ * Re-runs an entry's search and updates it in place: `seen` becomes the current infohashes
+ * followed by the older ones (capped), `lastError` records a failed fetch. Items without an
+ * infohash are ignored.
+ *
+ * @param entry - Entry to check (mutated)
+ * @param args - Fetch arguments
+ * @param args.ctx - ExecutionContext (for cache writes)
+ * @param args.config - Resolved worker configuration
+ * @param args.now - Current time (epoch ms)
+ * @returns New items (always empty on the seeding check or when the fetch failed)
+ */
+export async function checkWatchEntry(
+  entry: WatchEntry,
+  { ctx, config, now = Date.now() }: { ctx: ExecutionContext; config: ResolvedConfig; now?: number }
+): Promise<TorrentItem[]> {
+  entry.lastCheckedAt = new Date(now).toISOString();
+  const params = new URLSearchParams({ search: entry.query });
+  if (entry.exact) params.set('exact', 'true');
+  let items: TorrentItem[];
+  try {
+    items = await fetchTorrents({ ctx, config, params });
+  } catch (err) {
+    entry.lastError = isAbortError(err) ? 'upstream_timeout' : 'upstream_fetch_failed';
+    return [];
+  }
+  delete entry.lastError;
+  const seeding = !entry.seeded;
+  entry.seeded = true;
+  const matched = applyFilters(items, parseFilterParams(new URLSearchParams(entry.filters)));
+  const seen = new Set(entry.seen);
+  const current = new Set<string>();
+  const newItems: TorrentItem[] = [];
+  for (const item of matched) {
+    const hash = magnetInfohash(item.magnet);
+    if (!hash || current.has(hash)) continue;
+    current.add(hash);
+    if (!seeding && !seen.has(hash)) newItems.push(item);
+  }
+  const older = entry.seen.filter((h) => !current.has(h));
+  entry.seen = [...current, ...older].slice(0, Math.max(WATCH_SEEN_LIMIT, current.size));
+  if (newItems.length) {
+    entry.lastNewAt = entry.lastCheckedAt;
+    entry.lastNewCount = newItems.length;
+  }
+  return newItems;
+}
+
+/**
+ * Checks an entry and notifies the configured sinks about new releases.
+ *
+ * @param list - Watchlist the entry belongs to (for owner metadata)
+ * @param entry - Entry to check (mutated, caller saves the list)
+ * @param args - Check arguments
+ * @param args.ctx - ExecutionContext
+ * @param args.config - Resolved worker configuration
+ * @param args.notify - Notification configuration
+ * @param args.env - Environment holding the sink secrets and bindings
+ * @returns New items and the sinks that accepted the notification
+ */
+export async function runWatchCheck(
+  list: WatchList,
+  entry: WatchEntry,
+  {
+    ctx,
+    config,
+    notify,
+    env,
+  }: {
+    ctx: ExecutionContext;
+    config: ResolvedConfig;
+    notify: WatchNotifyConfig;
+    env: Parameters<typeof watchNotifySecrets>[0];
+  }
+): Promise<WatchCheckResult> {
+  const newItems = await checkWatchEntry(entry, { ctx, config });
+  if (!newItems.length) return { entry, newItems, notified: [] };
+  const notified = await sendWatchNotification(
+    notify,
+    {
+      type: 'watch.new_items',
+      owner: list.owner,
+      ownerLabel: list.label,
+      watchId: entry.id,
+      query: entry.query,
+      filters: entry.filters,
+      checkedAt: entry.lastCheckedAt as string,
+      items: newItems.map(notificationItem),
+    },
+    watchNotifySecrets(env)
+  );
+  return { entry, newItems, notified };
+}
+
+/**
+ * Entry as returned by the API: the seen set is reduced to its size.
+ *
+ * @param entry - Stored entry
+ * @returns Public representation
+ */
+export function publicWatchEntry(entry: WatchEntry): Record<string, unknown> {
+  const { seen, ...rest } = entry;
+  return { ...rest, seenCount: seen.length };
+}
+
+/**
+ * Scheduled run: loads every stored watchlist and checks the WATCH_CRON_BATCH entries that
+ * were checked least recently (unchecked first), so large watchlists are covered over
+ * several runs. Lists of keys with a pinned upstream origin are checked against that origin.
+ * Lists are saved back only when one of their entries was checked.
+ *
+ * @param kv - WATCHLIST_KV namespace
+ * @param args - Check arguments (see runWatchCheck())
+ * @param args.ctx - ExecutionContext
+ * @param args.config - Resolved worker configuration
+ * @param args.notify - Notification configuration
+ * @param args.env - Environment holding the sink secrets and bindings
+ * @returns Number of entries checked and of new items found
+ */
+export async function runScheduledWatchChecks(
+  kv: KVNamespace,
+  args: Parameters<typeof runWatchCheck>[2]
+): Promise<{ checked: number; newItems: number }> {
+  const lists: WatchList[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await kv.list({ prefix: WATCH_KEY_PREFIX, cursor });
+    for (const { name } of page.keys) {
+      const list = await loadWatchList(kv, name.slice(WATCH_KEY_PREFIX.length));
+      // A shared 'public' list may remain from before the watchlist required keys.
+      if (list.entries.length && list.owner !== 'public') lists.push(list);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  const due = lists
+    .flatMap((list) => list.entries.map((entry) => ({ list, entry })))
+    .sort((a, b) => (a.entry.lastCheckedAt || '').localeCompare(b.entry.lastCheckedAt || ''))
+    .slice(0, WATCH_CRON_BATCH);
+  const checked = new Map<string, WatchEntry[]>();
+  let newItems = 0;
+  for (const { list, entry } of due) {
+    const config = list.upstreamOrigin
+      ? pinUpstreamOrigin(args.config, list.upstreamOrigin)
+      : args.config;
+    const result = await runWatchCheck(list, entry, { ...args, config });
+    newItems += result.newItems.length;
+    checked.set(list.owner, [...(checked.get(list.owner) || []), entry]);
+  }
+  // Re-read before writing so entries added or removed during the run are kept.
+  for (const [owner, entries] of checked) {
+    const fresh = await loadWatchList(kv, owner);
+    fresh.entries = fresh.entries.map((e) => entries.find((c) => c.id === e.id) || e);
+    await saveWatchList(kv, fresh);
+  }
+  return { checked: due.length, newItems };
+}
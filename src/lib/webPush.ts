@@ -0,0 +1,266 @@
+// Web Push sender built on WebCrypto only: VAPID authentication (RFC 8292, ES256 JWT) and
+// aes128gcm payload encryption (RFC 8291 / RFC 8188). No external push service library.
+
+// Byte arrays backed by a plain ArrayBuffer, as WebCrypto expects.
+type Bytes = Uint8Array<ArrayBuffer>;
+
+export interface PushSubscriptionKeys {
+  p256dh: string; // base64url, uncompressed P-256 point of the browser (65 bytes)
+  auth: string; // base64url authentication secret (16 bytes)
+}
+
+export interface WebPushSubscription {
+  endpoint: string; // push service URL (https)
+  keys: PushSubscriptionKeys;
+}
+
+export interface VapidKeys {
+  publicKey: string; // base64url, uncompressed P-256 point (65 bytes)
+  privateKey: string; // base64url, P-256 private scalar (32 bytes)
+  subject?: string; // 'mailto:' or 'https:' contact sent as the JWT `sub` claim
+}
+
+export interface WebPushResult {
+  ok: boolean;
+  status: number;
+  gone: boolean; // 404/410: the subscription expired and should be deleted
+}
+
+// Seconds a push service keeps an undelivered message.
+export const DEFAULT_PUSH_TTL_SEC = 24 * 60 * 60;
+// Record size announced in the aes128gcm header; payloads always fit a single record.
+const RECORD_SIZE = 4096;
+// Push services accept 4096 bytes of encrypted body: 86 header + 16 tag + 1 delimiter.
+export const MAX_PUSH_PAYLOAD_BYTES = RECORD_SIZE - 86 - 16 - 1;
+const JWT_TTL_SEC = 12 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+/**
+ * Encodes bytes as unpadded base64url.
+ *
+ * @param bytes - Bytes to encode
+ * @returns base64url string
+ */
+export function toBase64Url(bytes: Bytes): string {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url (padded or not, standard alphabet tolerated).
+ *
+ * @param value - base64url string
+ * @returns Decoded bytes, or null when the input is not valid base64
+ */
+export function fromBase64Url(value: string): Bytes | null {
+  try {
+    const b64 = value.trim().replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+function concat(...parts: Bytes[]): Bytes {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+// Uncompressed P-256 point (0x04 || x || y) -> JWK coordinates.
+function pointToJwk(point: Bytes): { kty: string; crv: string; x: string; y: string } {
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(point.slice(1, 33)),
+    y: toBase64Url(point.slice(33, 65)),
+  };
+}
+
+/**
+ * Checks that a value decodes to an uncompressed P-256 public key.
+ *
+ * @param value - base64url string
+ * @returns True for 65 bytes starting with 0x04
+ */
+export function isP256PublicKey(value: string): boolean {
+  const bytes = fromBase64Url(value);
+  return !!bytes && bytes.length === 65 && bytes[0] === 4;
+}
+
+/**
+ * Reads VAPID keys from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, as printed by
+ * `npm run vapid:keys`) and the optional VAPID_SUBJECT. Invalid keys are logged.
+ *
+ * @param env - Raw environment values
+ * @param env.VAPID_PUBLIC_KEY - Public key
+ * @param env.VAPID_PRIVATE_KEY - Private key
+ * @param env.VAPID_SUBJECT - Contact URI
+ * @returns VAPID keys, or null when push is not configured
+ */
+export function parseVapidKeys(env: {
+  VAPID_PUBLIC_KEY?: string;
+  VAPID_PRIVATE_KEY?: string;
+  VAPID_SUBJECT?: string;
+}): VapidKeys | null {
+  const publicKey = (env.VAPID_PUBLIC_KEY || '').trim();
+  const privateKey = (env.VAPID_PRIVATE_KEY || '').trim();
+  if (!publicKey && !privateKey) return null;
+  if (!isP256PublicKey(publicKey) || fromBase64Url(privateKey)?.length !== 32) {
+    console.warn('[config] Invalid VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, Web Push disabled');
+    return null;
+  }
+  const subject = (env.VAPID_SUBJECT || '').trim() || undefined;
+  return { publicKey, privateKey, subject };
+}
+
+/**
+ * Builds the VAPID Authorization header value for a push endpoint (RFC 8292).
+ *
+ * @param endpoint - Subscription endpoint (the JWT audience is its origin)
+ * @param vapid - VAPID keys
+ * @param now - Current time (epoch ms)
+ * @returns `vapid t=<jwt>, k=<public key>`
+ */
+export async function vapidAuthorization(
+  endpoint: string,
+  vapid: VapidKeys,
+  now = Date.now()
+): Promise<string> {
+  const publicKey = fromBase64Url(vapid.publicKey) as Bytes;
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    { ...pointToJwk(publicKey), d: vapid.privateKey.replace(/=+$/, '') },
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign']
+  );
+  const claims: Record<string, string | number> = {
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + JWT_TTL_SEC,
+  };
+  if (vapid.subject) claims.sub = vapid.subject;
+  const unsigned =
+    toBase64Url(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }))) +
+    '.' +
+    toBase64Url(encoder.encode(JSON.stringify(claims)));
+  // WebCrypto returns the raw r || s signature JWS expects.
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    key,
+    encoder.encode(unsigned)
+  );
+  return `vapid t=${unsigned}.${toBase64Url(new Uint8Array(signature))}, k=${vapid.publicKey}`;
+}
+
+async function hkdf(salt: Bytes, ikm: Bytes, info: Bytes, length: number): Promise<Bytes> {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Encrypts a payload for a subscription (RFC 8291, aes128gcm content coding, one record).
+ *
+ * @param keys - Subscription keys (p256dh + auth)
+ * @param payload - Plaintext (at most MAX_PUSH_PAYLOAD_BYTES)
+ * @returns Request body: salt || record size || key id length || sender public key || ciphertext
+ * @throws Error when the subscription keys are malformed or the payload is too large
+ */
+export async function encryptPushPayload(
+  keys: PushSubscriptionKeys,
+  payload: Bytes
+): Promise<Bytes> {
+  const uaPublic = fromBase64Url(keys.p256dh);
+  const authSecret = fromBase64Url(keys.auth);
+  if (!uaPublic || uaPublic.length !== 65 || !authSecret || authSecret.length < 16)
+    throw new Error('invalid_subscription_keys');
+  if (payload.length > MAX_PUSH_PAYLOAD_BYTES) throw new Error('push_payload_too_large');
+
+  const uaKey = await crypto.subtle.importKey(
+    'raw',
+    uaPublic,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  const local = (await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, [
+    'deriveBits',
+  ])) as CryptoKeyPair;
+  const asPublic = new Uint8Array(
+    (await crypto.subtle.exportKey('raw', local.publicKey)) as ArrayBuffer
+  );
+  const ecdhSecret = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: uaKey } as SubtleCryptoDeriveKeyAlgorithm,
+      local.privateKey,
+      256
+    )
+  );
+
+  const keyInfo = concat(encoder.encode('WebPush: info\0'), uaPublic, asPublic);
+  const ikm = await hkdf(authSecret, ecdhSecret, keyInfo, 32);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(salt, ikm, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, encoder.encode('Content-Encoding: nonce\0'), 12);
+
+  const aesKey = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt']);
+  // 0x02 marks the last (only) record; no padding.
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: nonce },
+      aesKey,
+      concat(payload, new Uint8Array([2]))
+    )
+  );
+  const header = new Uint8Array(21);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+  header[20] = asPublic.length;
+  return concat(header, asPublic, ciphertext);
+}
+
+/**
+ * Sends one encrypted push message.
+ *
+ * @param subscription - Browser push subscription
+ * @param payload - Message (JSON-encoded when not a string)
+ * @param vapid - VAPID keys
+ * @param options - Delivery options
+ * @param options.ttl - Seconds the push service keeps the message (default 24 h)
+ * @param options.urgency - 'very-low' | 'low' | 'normal' | 'high'
+ * @param options.topic - Replaces an undelivered message with the same topic
+ * @returns Push service status; `gone` marks expired subscriptions
+ * @throws Error on malformed subscriptions, oversized payloads or network failures
+ */
+export async function sendWebPush(
+  subscription: WebPushSubscription,
+  payload: unknown,
+  vapid: VapidKeys,
+  options: { ttl?: number; urgency?: string; topic?: string } = {}
+): Promise<WebPushResult> {
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  const body = await encryptPushPayload(subscription.keys, encoder.encode(text));
+  const headers: Record<string, string> = {
+    Authorization: await vapidAuthorization(subscription.endpoint, vapid),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    TTL: String(options.ttl ?? DEFAULT_PUSH_TTL_SEC),
+  };
+  if (options.urgency) headers.Urgency = options.urgency;
+  if (options.topic) headers.Topic = options.topic;
+  const resp = await fetch(subscription.endpoint, { method: 'POST', headers, body });
+  await resp.body?.cancel();
+  return { ok: resp.ok, status: resp.status, gone: resp.status === 404 || resp.status === 410 };
+}
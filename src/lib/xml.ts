@@ -0,0 +1,84 @@
+import { CORS_HEADERS } from './constants';
+
+const XML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+export const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// XML 1.0 allows tab, line feed and carriage return, but no other C0 control characters.
+function isXmlChar(code: number): boolean {
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Escapes a value for use in XML text nodes and double-quoted attributes.
+ * Control characters that are not allowed in XML 1.0 are dropped.
+ *
+ * @param value - Value to escape (non-strings are stringified, nullish becomes '')
+ * @returns Escaped string
+ */
+export function escapeXml(value: unknown): string {
+  const str = value === null || value === undefined ? '' : String(value);
+  let allowed = '';
+  for (const ch of str) if (isXmlChar(ch.charCodeAt(0))) allowed += ch;
+  return allowed.replace(/[&<>"']/g, (ch) => XML_ESCAPES[ch]);
+}
+
+/**
+ * Builds a single XML element. Attribute values and text content are escaped;
+ * `children` is inserted verbatim (callers pass already built elements).
+ *
+ * @param name - Element name (may include a namespace prefix)
+ * @param attrs - Attributes; undefined values are skipped
+ * @param content - Either escaped text (`{ text }`) or raw child markup (`{ children }`)
+ * @returns Serialized element
+ * @example
+ * ```ts
+ * xmlElement('category', { id: 2000, name: 'Movies' }); // '<category id="2000" name="Movies"/>'
+ * xmlElement('title', {}, { text: 'A & B' });            // '<title>A &amp; B</title>'
+ * ```
+ */
+export function xmlElement(
+  name: string,
+  attrs: Record<string, string | number | undefined> = {},
+  content?: { text?: unknown; children?: string }
+): string {
+  const attrStr = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join('');
+  if (!content) return `<${name}${attrStr}/>`;
+  const inner = content.children !== undefined ? content.children : escapeXml(content.text);
+  return `<${name}${attrStr}>${inner}</${name}>`;
+}
+
+/**
+ * Creates an XML Response with standard headers (mirrors `json()` in errors.ts).
+ *
+ * @param body - Serialized XML document (without declaration)
+ * @param status - HTTP status code (default: 200)
+ * @param contentType - MIME type (default: application/xml)
+ * @param extraHeaders - Additional headers to include
+ * @returns XML Response
+ */
+export function xmlResponse(
+  body: string,
+  status = 200,
+  contentType = 'application/xml',
+  extraHeaders: Record<string, string> = {}
+): Response {
+  return new Response(XML_DECLARATION + '\n' + body, {
+    status,
+    headers: {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Cache-Control': 'no-store',
+      ...CORS_HEADERS,
+      ...extraHeaders,
+    },
+  });
+}
@@ -0,0 +1,69 @@
+import { hasScope, stripApiKeyFromParams } from '../lib/apiKey';
+import { badRequest, json, methodNotAllowed, scopeForbidden } from '../lib/errors';
+import { purgeCacheEntries } from '../lib/fetching';
+import { isDirectPath, LOCAL_PREFIX } from '../lib/constants';
+import { mapUpstreamPath } from '../lib/routing';
+import { stripListParams } from '../lib/filters';
+import { isTorrentsPath } from '../lib/torrents';
+import { LOCALE_QUERY_PARAM } from '../lib/i18n';
+import type { Middleware } from './types';
+
+const PURGE_PATH = '/api/admin/cache/purge';
+
+interface PurgeRequestBody {
+  path?: unknown; // local path incl. query, e.g. "/api/stats/torrents" or "/stats/torrents"
+  search?: unknown; // search term: evicts /api/torrents?search=<term> (with and without exact)
+}
+
+// Maps a local path (with query) to the upstream path + query used for its cache key. Params
+// the upstream middleware does not forward are dropped here too; purgeCacheEntries() then
+// normalizes the query like a fetch does (normalizeKeyParams()).
+function upstreamPathFor(localPath: string): string | null {
+  let u: URL;
+  try {
+    u = new URL(localPath, 'https://local');
+  } catch {
+    return null;
+  }
+  const isApi = u.pathname === LOCAL_PREFIX || u.pathname.startsWith(LOCAL_PREFIX + '/');
+  if (!isApi && !isDirectPath(u.pathname)) return null;
+  stripApiKeyFromParams(u.searchParams);
+  u.searchParams.delete(LOCALE_QUERY_PARAM);
+  if (isApi && isTorrentsPath(u.pathname)) stripListParams(u.searchParams);
+  return (isApi ? mapUpstreamPath(u.pathname) : u.pathname) + u.search;
+}
+
+// POST /api/admin/cache/purge: evicts edge cache entries by path or search term (admin scope).
+export const cachePurge: Middleware = async (ctx) => {
+  if (ctx.pathname !== PURGE_PATH) return;
+  const { apiKey, locale, request, config } = ctx;
+  if (request.method !== 'POST') return methodNotAllowed(locale);
+  if (!hasScope(apiKey, 'admin')) return scopeForbidden(locale, apiKey, 'admin');
+
+  let body: PurgeRequestBody;
+  try {
+    body = (await request.json()) as PurgeRequestBody;
+  } catch {
+    return badRequest(locale, 'expect_json_body');
+  }
+  const paths: string[] = [];
+  if (typeof body.path === 'string' && body.path.startsWith('/')) {
+    const mapped = upstreamPathFor(body.path);
+    if (!mapped) return badRequest(locale, 'invalid_url');
+    paths.push(mapped);
+  }
+  const search = typeof body.search === 'string' ? body.search.trim() : '';
+  if (search) {
+    const base = mapUpstreamPath('/api/torrents') + '?search=' + encodeURIComponent(search);
+    paths.push(base, base + '&exact=true');
+  }
+  if (!paths.length) return badRequest(locale, 'missing_parameter');
+
+  // Fan-out mode caches per origin, so evict the entry of every configured origin.
+  const urls = config.upstreamOrigins.flatMap((o) =>
+    paths.map((p) => new URL(p, o.origin).toString())
+  );
+  const { purged, missed } = await purgeCacheEntries(urls);
+  // `ok` is false when no entry existed (not cached, already expired or a wrong path).
+  return json({ ok: purged.length > 0, purged: purged.length, keys: purged, missed });
+};
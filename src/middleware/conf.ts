@@ -1,37 +1,53 @@
+import { hasScope, requiredScope } from '../lib/apiKey';
 import { errorResponse, json } from '../lib/errors';
 import { cachedFetch } from '../lib/fetching';
 import { mapUpstreamPath } from '../lib/routing';
 import type { Middleware } from './types';
 
-// /api/conf endpoint merges upstream conf with local flags.
+// /api/conf endpoint merges upstream conf with local flags. The key fields answer every
+// caller (the pages validate keys of any scope here); the upstream conf is only fetched for
+// keys holding the route's scope ('search').
 export const confEndpoint: Middleware = async (ctx) => {
   if (!ctx.isApi || !/\/conf\/?$/.test(ctx.pathname)) return;
   const { apiKey, request, config, url, locale } = ctx;
   if (apiKey.keyEnforced && apiKey.suppliedKey && !apiKey.keyValid)
-    return errorResponse(locale, 'forbidden', 'forbidden', 403, { requireApiKey: true });
+    return errorResponse(
+      locale,
+      'forbidden',
+      apiKey.expired ? 'api_key_expired' : 'forbidden',
+      403,
+      { requireApiKey: true }
+    );
   const confUrl = new URL(mapUpstreamPath('/api/conf'), config.upstreamOrigin);
   let baseConf: Record<string, unknown> = {};
-  try {
-    const upstreamConfResp = await cachedFetch(
-      ctx.ctx,
-      confUrl.toString(),
-      request,
-      config.upstreamTimeoutMs
-    );
-    if (upstreamConfResp.ok) {
-      try {
-        baseConf = await upstreamConfResp.json();
-      } catch {
-        /* swallow */
+  if (hasScope(apiKey, requiredScope(ctx.pathname))) {
+    try {
+      const upstreamConfResp = await cachedFetch(
+        ctx.ctx,
+        confUrl.toString(),
+        request,
+        config.upstreamTimeoutMs,
+        { origins: config.upstreamOrigins, windows: config.cacheWindows }
+      );
+      if (upstreamConfResp.ok) {
+        try {
+          baseConf = await upstreamConfResp.json();
+        } catch {
+          /* swallow */
+        }
       }
+    } catch {
+      /* swallow network error (return partial conf) */
     }
-  } catch {
-    /* swallow network error (return partial conf) */
   }
   return json({
     ...baseConf,
     requireApiKey: apiKey.keyEnforced,
     apikey: apiKey.keyEnforced ? (apiKey.suppliedKey ? apiKey.keyValid : undefined) : true,
+    // Scopes available to the supplied key (all scopes when keys are not enforced)
+    scopes: apiKey.keyValid ? apiKey.scopes : [],
+    apikeyLabel: apiKey.keyValid ? apiKey.label : undefined,
+    apikeyExpires: apiKey.keyValid ? apiKey.expires : undefined,
     path: url.pathname,
   });
 };
@@ -0,0 +1,35 @@
+import { fetchTorrents } from '../lib/torrents';
+import { timedUpstream } from '../lib/logging';
+import { applyFilters, parseFilterParams } from '../lib/filters';
+import { computeFacets } from '../lib/facets';
+import { badRequest, json, scopeForbidden, upstreamFailure } from '../lib/errors';
+import { hasScope } from '../lib/apiKey';
+import { DEFAULT_CACHE_CONTROL_OK } from '../lib/constants';
+import type { Middleware } from './types';
+
+const FACETS_PATHS = ['/api/torrents/facets', '/api/torrents/facets/'] as const;
+
+// /api/torrents/facets: distinct filter values + counts computed from the cached upstream list.
+// Optional filter params narrow the set the counts are computed over.
+export const facets: Middleware = async (ctx) => {
+  if (!FACETS_PATHS.includes(ctx.pathname as (typeof FACETS_PATHS)[number])) return;
+  const { apiKey, locale, url } = ctx;
+  if (!hasScope(apiKey, 'search')) return scopeForbidden(locale, apiKey, 'search');
+  const search = (url.searchParams.get('search') || '').trim();
+  if (!search) return badRequest(locale, 'missing_parameter');
+
+  const upstreamParams = new URLSearchParams({ search });
+  if (url.searchParams.get('exact') === 'true') upstreamParams.set('exact', 'true');
+  let items;
+  try {
+    items = await timedUpstream(ctx.state, () =>
+      fetchTorrents({ ctx: ctx.ctx, config: ctx.config, params: upstreamParams })
+    );
+  } catch (err) {
+    return upstreamFailure(locale, err, ctx.config.upstreamTimeoutMs);
+  }
+  const filtered = applyFilters(items, parseFilterParams(url.searchParams));
+  return json({ search, ...computeFacets(filtered) }, 200, {
+    'Cache-Control': DEFAULT_CACHE_CONTROL_OK,
+  });
+};
@@ -0,0 +1,62 @@
+import { fetchTorrents, itemTimestamp } from '../lib/torrents';
+import { timedUpstream } from '../lib/logging';
+import { applyFilters, parseFilterParams } from '../lib/filters';
+import { buildAtom, buildRss, type FeedFormat } from '../lib/feed';
+import { xmlResponse } from '../lib/xml';
+import { badRequest, scopeForbidden, upstreamFailure } from '../lib/errors';
+import { DEFAULT_CACHE_CONTROL_OK } from '../lib/constants';
+import { hasScope, stripApiKeyParams } from '../lib/apiKey';
+import type { Middleware } from './types';
+
+const FEED_PATHS: Record<string, FeedFormat | null> = {
+  '/api/feed': null, // format chosen via ?format=rss|atom
+  '/api/feed.rss': 'rss',
+  '/api/feed.atom': 'atom',
+};
+const FEED_DEFAULT_LIMIT = 50;
+const FEED_MAX_LIMIT = 200;
+
+// RSS/Atom feed for saved searches: same upstream query as /api/torrents, filtered on the server.
+export const feed: Middleware = async (ctx) => {
+  if (!Object.prototype.hasOwnProperty.call(FEED_PATHS, ctx.pathname)) return;
+  const { apiKey, locale, url } = ctx;
+  if (!hasScope(apiKey, 'search')) return scopeForbidden(locale, apiKey, 'search');
+  const params = url.searchParams;
+  const format: FeedFormat =
+    FEED_PATHS[ctx.pathname] || (params.get('format') === 'atom' ? 'atom' : 'rss');
+  const search = (params.get('search') || '').trim();
+  if (!search) return badRequest(locale, 'missing_parameter');
+  const limitRaw = parseInt(params.get('limit') || '', 10);
+  const limit =
+    Number.isNaN(limitRaw) || limitRaw <= 0
+      ? FEED_DEFAULT_LIMIT
+      : Math.min(limitRaw, FEED_MAX_LIMIT);
+
+  // Mirror the search page query so the feed shares the /api/torrents edge cache entry.
+  const upstreamParams = new URLSearchParams({ search });
+  if (params.get('exact') === 'true') upstreamParams.set('exact', 'true');
+  let items;
+  try {
+    items = await timedUpstream(ctx.state, () =>
+      fetchTorrents({ ctx: ctx.ctx, config: ctx.config, params: upstreamParams })
+    );
+  } catch (err) {
+    return upstreamFailure(locale, err, ctx.config.upstreamTimeoutMs);
+  }
+
+  const selected = applyFilters(items, parseFilterParams(params))
+    .sort((a, b) => itemTimestamp(b) - itemTimestamp(a))
+    .slice(0, limit);
+  const selfUrl = new URL(url.toString());
+  stripApiKeyParams(selfUrl);
+  const meta = {
+    title: `jacred: ${search}`,
+    description: `Torrent search results for "${search}"`,
+    selfUrl: selfUrl.toString(),
+    siteUrl: new URL('/', url.origin).toString(),
+  };
+  const headers = { 'Cache-Control': DEFAULT_CACHE_CONTROL_OK };
+  return format === 'atom'
+    ? xmlResponse(buildAtom(meta, selected), 200, 'application/atom+xml', headers)
+    : xmlResponse(buildRss(meta, selected), 200, 'application/rss+xml', headers);
+};
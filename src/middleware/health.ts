@@ -0,0 +1,56 @@
+import { json } from '../lib/errors';
+import { ensureManifest, manifestSize } from '../lib/manifest';
+import {
+  BUILD_ID,
+  WORKER_VERSION,
+  healthProbes,
+  originScores,
+  parseLastUpdate,
+  redactConfig,
+} from '../lib/health';
+import type { Middleware } from './types';
+
+// /health: answered by the worker itself (API key exempt). `?deep=1` probes every configured
+// origin instead of one failover request. 503 when no origin is reachable. Probe results are
+// reused for HEALTH_PROBE_CACHE_MS.
+export const health: Middleware = async (ctx) => {
+  if (ctx.pathname !== '/health' && ctx.pathname !== '/health/') return;
+  const { config, env, url } = ctx;
+  const deep = /^(1|true|yes)$/i.test(url.searchParams.get('deep') || '');
+
+  const [, probes] = await Promise.all([ensureManifest(env), healthProbes(config, deep)]);
+  const reachable = probes.filter((p) => p.reachable);
+  const primary = reachable[0] || probes[0];
+  const lastUpdateRaw = reachable.find((p) => p.lastUpdate)?.lastUpdate;
+  const lastUpdateAt = lastUpdateRaw ? parseLastUpdate(lastUpdateRaw) : null;
+  const status = !reachable.length ? 'down' : reachable.length < probes.length ? 'degraded' : 'ok';
+
+  return json(
+    {
+      status,
+      version: WORKER_VERSION,
+      build: BUILD_ID,
+      time: new Date().toISOString(),
+      manifest: { loaded: manifestSize() > 0, size: manifestSize() },
+      upstream: {
+        reachable: reachable.length > 0,
+        origin: primary.origin,
+        status: primary.status,
+        latencyMs: primary.latencyMs,
+        error: primary.error,
+      },
+      lastUpdate: lastUpdateRaw
+        ? {
+            raw: lastUpdateRaw,
+            ageSec:
+              lastUpdateAt === null
+                ? null
+                : Math.max(0, Math.round((Date.now() - lastUpdateAt) / 1000)),
+          }
+        : null,
+      origins: deep ? probes : originScores(config),
+      config: redactConfig(config),
+    },
+    status === 'down' ? 503 : 200
+  );
+};
@@ -0,0 +1,32 @@
+import { json, methodNotAllowed } from '../lib/errors';
+import { isLocale, localeName, SUPPORTED_LOCALES } from '../lib/i18n';
+import { getClientMessages } from '../lib/clientMessages';
+import type { Middleware } from './types';
+
+// Browser caches are fine: packs only change on deploy.
+const I18N_MAX_AGE_SEC = 300;
+
+// GET /api/i18n/:locale: browser UI message pack (API key exempt, the page needs it before the
+// key prompt). `auto`, an empty or an unsupported locale uses the negotiated request locale
+// (`lang` param, Accept-Language, ERROR_LOCALE).
+export const i18nEndpoint: Middleware = (ctx) => {
+  const m = /^\/api\/i18n(?:\/([^/]*))?\/?$/.exec(ctx.pathname);
+  if (!m) return;
+  const { request } = ctx;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return methodNotAllowed(ctx.locale);
+  const requested = (m[1] || '').toLowerCase();
+  const locale = isLocale(requested) ? requested : ctx.locale;
+  return json(
+    {
+      locale,
+      locales: SUPPORTED_LOCALES.map((code) => ({ code, name: localeName(code) })),
+      messages: getClientMessages(locale),
+    },
+    200,
+    {
+      'Cache-Control': `public, max-age=${I18N_MAX_AGE_SEC}`,
+      'Content-Language': locale,
+      Vary: 'Accept-Language',
+    }
+  );
+};
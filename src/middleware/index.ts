@@ -1,7 +1,19 @@
 export * from './types';
+export { withLogging } from './logging';
+export { metricsEndpoint, withMetrics, HANDLED_BY_STATE } from './metrics';
 export { statsAsset } from './statsAsset';
 export { staticAsset } from './staticAsset';
 export { methodAndCors } from './methodAndCors';
+export { health } from './health';
+export { i18nEndpoint } from './i18n';
+export { rateLimit } from './rateLimit';
 export { torrserver } from './torrserver';
 export { confEndpoint } from './conf';
+export { cachePurge } from './cachePurge';
+export { torznab } from './torznab';
+export { feed } from './feed';
+export { facets } from './facets';
+export { suggest } from './suggest';
+export { watchlist } from './watchlist';
+export { push } from './push';
 export { upstream } from './upstream';
@@ -0,0 +1,75 @@
+import { classifyRoute } from '../lib/rateLimit';
+import { hashKeyId } from '../lib/apiKey';
+import { FILTER_PARAMS } from '../lib/filters';
+import { ctxWaitUntilSafe } from '../lib/fetching';
+import { LOG_STATE, shouldSample, writeLogRecord, type RequestLogRecord } from '../lib/logging';
+import type { RequestContext } from './types';
+
+// Assembles the record from the context, the response headers and the state set by middlewares.
+async function buildRecord(
+  ctx: RequestContext,
+  status: number,
+  headers: Headers | null
+): Promise<RequestLogRecord> {
+  const { apiKey, state } = ctx;
+  const filters: Record<string, string> = {};
+  for (const name of FILTER_PARAMS) {
+    const value = (ctx.url.searchParams.get(name) || '').trim();
+    if (value) filters[name] = value;
+  }
+  return {
+    ts: new Date(ctx.start).toISOString(),
+    method: ctx.request.method,
+    path: ctx.pathname,
+    routeClass: classifyRoute(ctx.pathname),
+    status,
+    cacheStatus: headers?.get('CF-Cache-Status') || null,
+    durationMs: Date.now() - ctx.start,
+    upstreamMs:
+      typeof state[LOG_STATE.upstreamMs] === 'number'
+        ? (state[LOG_STATE.upstreamMs] as number)
+        : null,
+    upstreamOrigin: headers?.get('X-Upstream-Origin') || null,
+    upstreamError: (state[LOG_STATE.upstreamError] as string | undefined) || null,
+    torrserver: (state[LOG_STATE.torrserver] as string | undefined) || null,
+    keyId: apiKey.keyValid && apiKey.suppliedKey ? await hashKeyId(apiKey.suppliedKey) : null,
+    locale: ctx.locale,
+    filters,
+  };
+}
+
+/**
+ * Wraps the middleware pipeline and emits one structured record per sampled request to the
+ * configured sink (LOG_SINK). The record is written in `ctx.waitUntil`, after the response.
+ * Thrown errors are logged with status 500 and rethrown.
+ *
+ * @param ctx - Request context
+ * @param next - Runs the pipeline
+ * @returns The pipeline's response
+ */
+export async function withLogging(
+  ctx: RequestContext,
+  next: () => Promise<Response>
+): Promise<Response> {
+  const logging = ctx.config.logging;
+  if (logging.sink === 'none' || !shouldSample(logging.sampleRate)) return next();
+  const emit = (status: number, headers: Headers | null) =>
+    ctxWaitUntilSafe(
+      ctx.ctx,
+      buildRecord(ctx, status, headers).then((record) =>
+        writeLogRecord(logging, record, {
+          analytics: ctx.env.ANALYTICS,
+          endpointToken: ctx.env.LOG_ENDPOINT_TOKEN,
+        })
+      )
+    );
+  let resp: Response;
+  try {
+    resp = await next();
+  } catch (err) {
+    emit(500, null);
+    throw err;
+  }
+  emit(resp.status, resp.headers);
+  return resp;
+}
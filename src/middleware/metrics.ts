@@ -0,0 +1,82 @@
+import { hasScope } from '../lib/apiKey';
+import { methodNotAllowed, scopeForbidden } from '../lib/errors';
+import { ctxWaitUntilSafe } from '../lib/fetching';
+import {
+  fetchAggregatedMetrics,
+  flushMetrics,
+  incCounter,
+  localMetrics,
+  observeHistogram,
+  renderPrometheus,
+  type MetricsSnapshot,
+} from '../lib/metrics';
+import type { Middleware, RequestContext } from './types';
+
+const METRICS_PATH = '/api/metrics';
+
+// Key of RequestContext.state naming the middleware that produced the response.
+export const HANDLED_BY_STATE = 'handledBy';
+
+// GET /api/metrics: Prometheus text exposition (metrics or admin scope). Totals come from the
+// METRICS Durable Object when bound, otherwise from this isolate only.
+export const metricsEndpoint: Middleware = async (ctx) => {
+  if (ctx.pathname !== METRICS_PATH) return;
+  const { apiKey, locale, request, env } = ctx;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return methodNotAllowed(locale);
+  if (!hasScope(apiKey, 'metrics') && !hasScope(apiKey, 'admin'))
+    return scopeForbidden(locale, apiKey, 'metrics');
+
+  let snapshot: MetricsSnapshot = localMetrics();
+  let scope = 'isolate';
+  if (env.METRICS) {
+    try {
+      await flushMetrics(env.METRICS, true);
+      snapshot = await fetchAggregatedMetrics(env.METRICS);
+      scope = 'global';
+    } catch (err) {
+      console.warn('[metrics] Durable Object unavailable, serving isolate metrics:', err);
+    }
+  }
+  return new Response(request.method === 'HEAD' ? null : renderPrometheus(snapshot), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Metrics-Scope': scope,
+    },
+  });
+};
+
+/**
+ * Wraps the middleware pipeline and counts every request by the middleware that answered
+ * (see HANDLED_BY_STATE) and status. Pending deltas are flushed to the METRICS Durable Object
+ * in `ctx.waitUntil` (at most once per flush interval).
+ *
+ * @param ctx - Request context
+ * @param next - Runs the pipeline
+ * @returns The pipeline's response
+ */
+export async function withMetrics(
+  ctx: RequestContext,
+  next: () => Promise<Response>
+): Promise<Response> {
+  const record = (status: number) => {
+    const middleware = (ctx.state[HANDLED_BY_STATE] as string | undefined) || 'none';
+    incCounter('jacred_requests_total', { middleware, status: String(status) });
+    observeHistogram(
+      'jacred_request_duration_seconds',
+      { middleware },
+      (Date.now() - ctx.start) / 1000
+    );
+    if (ctx.env.METRICS) ctxWaitUntilSafe(ctx.ctx, flushMetrics(ctx.env.METRICS));
+  };
+  let resp: Response;
+  try {
+    resp = await next();
+  } catch (err) {
+    record(500);
+    throw err;
+  }
+  record(resp.status);
+  return resp;
+}
@@ -0,0 +1,87 @@
+import {
+  badRequest,
+  errorResponse,
+  json,
+  methodNotAllowed,
+  notFound,
+  scopeForbidden,
+} from '../lib/errors';
+import { hasScope } from '../lib/apiKey';
+import {
+  deletePushSubscription,
+  findPushSubscription,
+  parsePushSubscription,
+  savePushSubscription,
+  sendPushToOwner,
+  PUSH_TOPICS,
+} from '../lib/push';
+import { parseVapidKeys } from '../lib/webPush';
+import { watchOwner } from '../lib/watchlist';
+import type { Middleware } from './types';
+
+const PUSH_PATH = '/api/push/';
+const MAX_TEST_TEXT_LENGTH = 200;
+
+// /api/push: Web Push subscriptions of the calling API key (search scope, PUSH_KV + VAPID).
+//   GET  /key                          VAPID public key for PushManager.subscribe() + topics
+//   POST /subscribe {endpoint,keys,topics}  store (or update) a browser subscription
+//   POST /unsubscribe {endpoint}       remove it
+//   POST /test {endpoint,title,body}   send a notification to that subscription's owner
+export const push: Middleware = async (ctx) => {
+  const { pathname } = ctx;
+  if (!pathname.startsWith(PUSH_PATH)) return;
+  const { apiKey, locale, request, env } = ctx;
+  if (!hasScope(apiKey, 'search')) return scopeForbidden(locale, apiKey, 'search');
+  const kv = env.PUSH_KV;
+  const vapid = kv ? parseVapidKeys(env) : null;
+  if (!kv || !vapid) return errorResponse(locale, 'push_unavailable', 'push_unavailable', 503);
+  const action = pathname.slice(PUSH_PATH.length).replace(/\/$/, '');
+
+  if (action === 'key') {
+    if (request.method !== 'GET' && request.method !== 'HEAD') return methodNotAllowed(locale);
+    // `watch` needs the watchlist and its webpush sink; `dbupdate` the scheduled handler.
+    const watch = !!env.WATCHLIST_KV && ctx.config.watchNotify.sinks.includes('webpush');
+    return json({
+      publicKey: vapid.publicKey,
+      topics: PUSH_TOPICS.filter((t) => t !== 'watch' || watch),
+    });
+  }
+  if (action !== 'subscribe' && action !== 'unsubscribe' && action !== 'test')
+    return notFound(locale);
+  if (request.method !== 'POST') return methodNotAllowed(locale);
+  let body: Record<string, unknown>;
+  try {
+    body = (await request.json()) as Record<string, unknown>;
+  } catch {
+    return badRequest(locale, 'expect_json_body');
+  }
+  if (!body || typeof body !== 'object') return badRequest(locale, 'expect_json_body');
+  const owner = await watchOwner(apiKey);
+
+  if (action === 'subscribe') {
+    const subscription = parsePushSubscription(body, locale);
+    if (!subscription) return badRequest(locale, 'invalid_subscription');
+    const { entry, count } = await savePushSubscription(kv, owner, subscription);
+    return json({ ok: true, topics: entry.topics, count }, 201);
+  }
+
+  if (typeof body.endpoint !== 'string') return badRequest(locale, 'missing_parameter');
+  const endpoint = body.endpoint;
+  if (action === 'unsubscribe') {
+    const removed = await deletePushSubscription(kv, owner, endpoint);
+    return json({ ok: true, removed });
+  }
+  const stored = await findPushSubscription(kv, owner, endpoint);
+  if (!stored) return notFound(locale);
+  const text = (v: unknown) => (typeof v === 'string' ? v.slice(0, MAX_TEST_TEXT_LENGTH) : '');
+  // Only the given subscription: the owner's other browsers should not get test messages.
+  const sent = await sendPushToOwner(
+    kv,
+    owner,
+    stored.topics[0],
+    { title: text(body.title) || 'Jacred', body: text(body.body), url: '/', tag: 'test' },
+    vapid,
+    endpoint
+  );
+  return json({ ok: sent > 0, sent });
+};
@@ -0,0 +1,38 @@
+import { classifyRoute, consumeToken } from '../lib/rateLimit';
+import { requesterId } from '../lib/apiKey';
+import { DIRECT_API_KEY_EXEMPT_PREFIXES } from '../lib/constants';
+import { errorResponse } from '../lib/errors';
+import type { Middleware } from './types';
+
+// Token-bucket limiting for /api and direct paths (RATE_LIMITS). Requests with a valid API key
+// are bucketed per key, everything else per client IP; each route class has its own bucket.
+export const rateLimit: Middleware = async (ctx) => {
+  const limits = ctx.config.rateLimits;
+  if (!limits || !(ctx.isApi || ctx.direct)) return;
+  if (DIRECT_API_KEY_EXEMPT_PREFIXES.some((p) => ctx.pathname.startsWith(p))) return;
+
+  const routeClass = classifyRoute(ctx.pathname);
+  const rule = limits[routeClass] || limits.default;
+  if (!rule) return;
+  const { apiKey } = ctx;
+  const byKey = apiKey.keyEnforced && apiKey.keyValid && apiKey.suppliedKey !== null;
+  const spec = byKey ? rule.key : rule.ip;
+  if (!spec) return;
+
+  const subject = await requesterId(apiKey, ctx.request.headers);
+  const result = await consumeToken(ctx.env.RATE_LIMITER, `${routeClass}:${subject}`, spec);
+  ctx.state.rateLimitRemaining = result.remaining;
+  if (result.allowed) return;
+  return errorResponse(
+    ctx.locale,
+    'rate_limited',
+    'rate_limited',
+    429,
+    { retryAfter: result.retryAfterSec },
+    {
+      'Retry-After': String(result.retryAfterSec),
+      'X-RateLimit-Limit': String(spec.capacity),
+      'X-RateLimit-Remaining': '0',
+    }
+  );
+};
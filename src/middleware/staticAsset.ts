@@ -3,7 +3,14 @@ import { resolveHashedPath } from '../lib/manifest';
 import type { Middleware } from './types';
 
 // Paths that should be served as static assets
-const STATIC_ASSET_PATHS = ['/', '/index.html', '/favicon.ico', '/manifest.json'] as const;
+const STATIC_ASSET_PATHS = [
+  '/',
+  '/index.html',
+  '/favicon.ico',
+  '/manifest.json',
+  '/sw.js',
+  '/asset-manifest.json',
+] as const;
 const STATIC_ASSET_PREFIXES = ['/assets/', '/css/', '/js/', '/img/'] as const;
 
 // Generic static asset handler (runs only for non-API, non-direct paths)
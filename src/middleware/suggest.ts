@@ -0,0 +1,21 @@
+import { json, methodNotAllowed, scopeForbidden } from '../lib/errors';
+import { hasScope } from '../lib/apiKey';
+import { SUGGEST_DEFAULT_LIMIT, SUGGEST_MAX_LIMIT, suggestQueries } from '../lib/suggest';
+import type { Middleware } from './types';
+
+const SUGGEST_PATHS = ['/api/suggest', '/api/suggest/'] as const;
+
+// /api/suggest?q=&limit=: popular searches matching the typed prefix (search scope).
+export const suggest: Middleware = (ctx) => {
+  if (!SUGGEST_PATHS.includes(ctx.pathname as (typeof SUGGEST_PATHS)[number])) return;
+  const { apiKey, locale, request, url } = ctx;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return methodNotAllowed(locale);
+  if (!hasScope(apiKey, 'search')) return scopeForbidden(locale, apiKey, 'search');
+  const q = url.searchParams.get('q') || '';
+  const limitParam = parseInt(url.searchParams.get('limit') || '', 10);
+  const limit = limitParam > 0 ? Math.min(limitParam, SUGGEST_MAX_LIMIT) : SUGGEST_DEFAULT_LIMIT;
+  return json({
+    q,
+    suggestions: suggestQueries(q, limit).map(({ query, hits }) => ({ query, hits })),
+  });
+};
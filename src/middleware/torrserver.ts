@@ -1,10 +1,39 @@
 import { handleTorrServerAdd, handleTorrServerTest } from '../lib/torrserver';
 import { TORRSERVER_PREFIX } from '../lib/constants';
-import type { Middleware } from './types';
+import { hasScope } from '../lib/apiKey';
+import { scopeForbidden } from '../lib/errors';
+import { LOG_STATE } from '../lib/logging';
+import { incCounter } from '../lib/metrics';
+import type { Middleware, RequestContext } from './types';
+
+// Records the add/test outcome for the request log and metrics. The handlers answer 200 with
+// `ok: false` when TorrServer itself rejected the request, so the JSON body is inspected.
+async function recordOutcome(
+  ctx: RequestContext,
+  action: 'add' | 'test',
+  resp: Response
+): Promise<void> {
+  let body: { ok?: unknown; authHint?: unknown; cloudflareAccess?: unknown } = {};
+  try {
+    body = await resp.clone().json();
+  } catch {
+    /* swallow non-JSON body (counted as an error) */
+  }
+  const result = body.ok === true ? 'ok' : resp.status === 504 ? 'timeout' : 'error';
+  ctx.state[LOG_STATE.torrserver] = `${action}:${result}`;
+  incCounter('jacred_torrserver_results_total', {
+    action,
+    result,
+    auth_hint: typeof body.authHint === 'string' ? body.authHint : 'none',
+    cloudflare_access: String(body.cloudflareAccess === true),
+  });
+}
 
 export const torrserver: Middleware = async (ctx) => {
   // Only relevant for /api/torrserver/... paths
   if (!ctx.pathname.startsWith(TORRSERVER_PREFIX)) return;
+  if (!hasScope(ctx.apiKey, 'torrserver'))
+    return scopeForbidden(ctx.locale, ctx.apiKey, 'torrserver');
   const add = await handleTorrServerAdd({
     request: ctx.request,
     pathname: ctx.pathname,
@@ -12,7 +41,10 @@ export const torrserver: Middleware = async (ctx) => {
     env: ctx.env,
     locale: ctx.locale,
   });
-  if (add) return add;
+  if (add) {
+    await recordOutcome(ctx, 'add', add);
+    return add;
+  }
   const test = await handleTorrServerTest({
     request: ctx.request,
     pathname: ctx.pathname,
@@ -20,5 +52,8 @@ export const torrserver: Middleware = async (ctx) => {
     env: ctx.env,
     locale: ctx.locale,
   });
-  if (test) return test;
+  if (test) {
+    await recordOutcome(ctx, 'test', test);
+    return test;
+  }
 };
@@ -0,0 +1,99 @@
+import { fetchTorrents, itemTimestamp } from '../lib/torrents';
+import {
+  TORZNAB_FUNCTIONS,
+  TORZNAB_DEFAULT_LIMIT,
+  TORZNAB_MAX_LIMIT,
+  TORZNAB_ERROR,
+  buildCaps,
+  buildResultsFeed,
+  itemCategories,
+  matchesCategories,
+  torznabError,
+  type TorznabFunction,
+} from '../lib/torznab';
+import { xmlResponse } from '../lib/xml';
+import { isAbortError } from '../lib/abort';
+import { timedUpstream } from '../lib/logging';
+import { hasScope, stripApiKeyParams } from '../lib/apiKey';
+import type { Middleware } from './types';
+
+const TORZNAB_PATHS = ['/api/torznab', '/api/torznab/', '/api/torznab/api'] as const;
+const SERVER_TITLE = 'cf-jacred-fdb';
+
+function parseNonNegativeInt(raw: string | null, fallback: number): number {
+  const n = parseInt(raw || '', 10);
+  return Number.isNaN(n) || n < 0 ? fallback : n;
+}
+
+// Torznab/Jackett-compatible indexer endpoint for Sonarr/Radarr/Prowlarr.
+// Errors are reported as Torznab <error/> documents instead of JSON envelopes.
+export const torznab: Middleware = async (ctx) => {
+  if (!TORZNAB_PATHS.includes(ctx.pathname as (typeof TORZNAB_PATHS)[number])) return;
+  const { apiKey, locale, url } = ctx;
+  if (!hasScope(apiKey, 'search')) {
+    if (apiKey.keyValid)
+      return torznabError(locale, TORZNAB_ERROR.INSUFFICIENT_PRIVILEGES, 'insufficient_scope', 403);
+    return torznabError(
+      locale,
+      TORZNAB_ERROR.INCORRECT_CREDENTIALS,
+      apiKey.expired ? 'api_key_expired' : 'forbidden',
+      403
+    );
+  }
+
+  const t = (url.searchParams.get('t') || '').trim().toLowerCase();
+  if (!t) return torznabError(locale, TORZNAB_ERROR.MISSING_PARAMETER, 'missing_parameter', 400);
+  if (!TORZNAB_FUNCTIONS.includes(t as TorznabFunction))
+    return torznabError(locale, TORZNAB_ERROR.NO_SUCH_FUNCTION, 'unsupported_function', 400);
+  if (t === 'caps') return xmlResponse(buildCaps(SERVER_TITLE));
+
+  const search = (url.searchParams.get('q') || '').trim();
+  const limit = Math.min(
+    parseNonNegativeInt(url.searchParams.get('limit'), TORZNAB_DEFAULT_LIMIT) ||
+      TORZNAB_DEFAULT_LIMIT,
+    TORZNAB_MAX_LIMIT
+  );
+  const offset = parseNonNegativeInt(url.searchParams.get('offset'), 0);
+  const wantedCats = (url.searchParams.get('cat') || '')
+    .split(',')
+    .map((c) => parseInt(c.trim(), 10))
+    .filter((c) => !Number.isNaN(c));
+  // Without explicit categories, scope tvsearch/movie to their parent category.
+  if (!wantedCats.length && t === 'tvsearch') wantedCats.push(5000);
+  if (!wantedCats.length && t === 'movie') wantedCats.push(2000);
+  const season = parseInt(url.searchParams.get('season') || '', 10);
+
+  const selfUrl = new URL(url.toString());
+  stripApiKeyParams(selfUrl);
+  const feed = (items: Parameters<typeof buildResultsFeed>[0]['items'], total: number) =>
+    xmlResponse(
+      buildResultsFeed({ title: SERVER_TITLE, selfUrl: selfUrl.toString(), items, offset, total }),
+      200,
+      'application/rss+xml'
+    );
+  // RSS (a search without `q`) is not supported: the upstream has no "latest releases"
+  // listing, so an empty query yields an empty but valid feed.
+  if (!search) return feed([], 0);
+  let items;
+  try {
+    items = await timedUpstream(ctx.state, () =>
+      fetchTorrents({ ctx: ctx.ctx, config: ctx.config, params: new URLSearchParams({ search }) })
+    );
+  } catch (err) {
+    if (isAbortError(err))
+      return torznabError(locale, TORZNAB_ERROR.UNKNOWN, 'upstream_timeout', 504);
+    return torznabError(locale, TORZNAB_ERROR.UNKNOWN, 'upstream_fetch_failed', 502);
+  }
+
+  const matched = items
+    .filter((item) => matchesCategories(itemCategories(item), wantedCats))
+    .filter(
+      (item) =>
+        Number.isNaN(season) ||
+        !Array.isArray(item.seasons) ||
+        !item.seasons.length ||
+        item.seasons.includes(season)
+    )
+    .sort((a, b) => itemTimestamp(b) - itemTimestamp(a));
+  return feed(matched.slice(offset, offset + limit), matched.length);
+};
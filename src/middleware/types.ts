@@ -12,7 +12,7 @@ export interface RequestContext {
   start: number;
   config: ResolvedConfig;
   apiKey: ApiKeyInfo;
-  locale: Locale;
+  locale: Locale; // negotiated per request (see requestLocale())
   isApi: boolean; // path starts with /api
   direct: boolean; // direct passthrough prefixes (stats/sync etc.)
   upstreamPath?: string;
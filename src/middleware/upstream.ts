@@ -4,22 +4,36 @@ import {
   DEFAULT_CACHE_CONTROL_ERROR,
   isDirectApiKeyExempt,
 } from '../lib/constants';
-import { stripApiKeyFromParams } from '../lib/apiKey';
+import { hasScope, requesterId, requiredScope, stripApiKeyFromParams } from '../lib/apiKey';
 import { mapUpstreamPath } from '../lib/routing';
-import { errorResponse, badRequest } from '../lib/errors';
-import { cachedFetch } from '../lib/fetching';
+import { badRequest, scopeForbidden, upstreamFailure } from '../lib/errors';
+import { buildCacheKey, cachedFetch } from '../lib/fetching';
+import { parseListQuery, stripListParams } from '../lib/filters';
+import { normalizeInfohash, parseMagnet } from '../lib/magnet';
+import {
+  fanOutResponse,
+  fetchTorrentsFanOut,
+  isFanOut,
+  isTorrentsPath,
+  lookupInfohash,
+  shapeTorrentResponse,
+} from '../lib/torrents';
 import { addStandardResponseHeaders } from '../lib/security';
-import { isAbortError } from '../lib/abort';
+import { timedUpstream } from '../lib/logging';
+import { recordSearch } from '../lib/suggest';
+import { LOCALE_QUERY_PARAM } from '../lib/i18n';
 import type { Middleware } from './types';
 
 export const upstream: Middleware = async (ctx) => {
   // Only run if we haven't produced a response yet and this is API or direct path.
   if (!ctx.isApi && !ctx.direct) return; // static assets handled earlier
 
-  // API key enforcement (non-conf paths): do not allow if invalid, allow API key exempt prefixes
+  // API key enforcement (non-conf paths): the key must grant the route's scope
+  // (search/stats/sync), API key exempt prefixes are always allowed
   const apiKeyExempt = ctx.direct && isDirectApiKeyExempt(ctx.pathname);
-  if ((ctx.isApi || ctx.direct) && !apiKeyExempt && ctx.apiKey.keyEnforced && !ctx.apiKey.keyValid)
-    return errorResponse(ctx.locale, 'forbidden', 'forbidden', 403);
+  const scope = requiredScope(ctx.pathname);
+  if (!apiKeyExempt && !hasScope(ctx.apiKey, scope))
+    return scopeForbidden(ctx.locale, ctx.apiKey, scope);
 
   // Validate path encoding
   try {
@@ -38,27 +52,60 @@ export const upstream: Middleware = async (ctx) => {
   const upstreamUrl = new URL(upstreamPath, ctx.config.upstreamOrigin);
   const cleanedSearch = new URLSearchParams(ctx.url.searchParams);
   stripApiKeyFromParams(cleanedSearch);
+  // `lang` only selects the locale of this worker's errors (see requestLocale()).
+  cleanedSearch.delete(LOCALE_QUERY_PARAM);
+  // Worker-side filter/sort/pagination params for /api/torrents are applied to the cached
+  // upstream list and not forwarded (one upstream cache entry per search); values only the
+  // upstream handles (e.g. `sort=create`) are passed through.
+  const torrentsApi = ctx.isApi && isTorrentsPath(ctx.pathname);
+  // `infohash` takes a hash or a magnet URI (its hash is used, its `dn` helps the lookup).
+  const rawInfohash = torrentsApi ? (cleanedSearch.get('infohash') || '').trim() : '';
+  const magnet = parseMagnet(rawInfohash);
+  const infohash = magnet
+    ? (magnet.infohash ?? magnet.infohashV2 ?? null)
+    : rawInfohash && normalizeInfohash(rawInfohash);
+  if (rawInfohash && !infohash) return badRequest(ctx.locale, 'invalid_infohash');
+  if (infohash) cleanedSearch.set('infohash', infohash);
+  // Without a search term the releases are looked up by the hash (see lookupInfohash()).
+  const lookupHash = infohash && !(cleanedSearch.get('search') || '').trim() ? infohash : null;
+  const listQuery = torrentsApi ? parseListQuery(cleanedSearch) : null;
+  if (listQuery) stripListParams(cleanedSearch);
   upstreamUrl.search = cleanedSearch.toString();
   ctx.upstreamUrl = upstreamUrl;
 
+  // Fan-out mode: query every origin, merge and dedupe (partial failures still return 200).
+  const fanOut = torrentsApi && ctx.request.method === 'GET' && isFanOut(ctx.config);
+
+  const torrentsArgs = { ctx: ctx.ctx, config: ctx.config, params: cleanedSearch };
   let upstreamResp: Response;
   try {
-    upstreamResp = await cachedFetch(
-      ctx.ctx,
-      upstreamUrl.toString(),
-      ctx.request,
-      ctx.config.upstreamTimeoutMs
-    );
-  } catch (err) {
-    if (isAbortError(err))
-      return errorResponse(ctx.locale, 'upstream_timeout', 'upstream_timeout', 504, {
-        timeoutMs: ctx.config.upstreamTimeoutMs,
-      });
-    return errorResponse(ctx.locale, 'upstream_fetch_failed', 'upstream_fetch_failed', 502, {
-      detail: err instanceof Error ? err.message : String(err),
+    upstreamResp = await timedUpstream(ctx.state, async () => {
+      if (lookupHash) return lookupInfohash(torrentsArgs, lookupHash, magnet?.name);
+      if (fanOut) return fanOutResponse(await fetchTorrentsFanOut(torrentsArgs));
+      return cachedFetch(
+        ctx.ctx,
+        upstreamUrl.toString(),
+        ctx.request,
+        ctx.config.upstreamTimeoutMs,
+        {
+          origins: ctx.config.upstreamOrigins,
+          windows: ctx.config.cacheWindows,
+        }
+      );
     });
+  } catch (err) {
+    return upstreamFailure(ctx.locale, err, ctx.config.upstreamTimeoutMs);
   }
 
+  // Items get an `infohash` field; list params filter/group/sort/paginate.
+  if (torrentsApi && upstreamResp.ok)
+    upstreamResp = await shapeTorrentResponse(upstreamResp, listQuery);
+
+  // Answered searches feed /api/suggest (known-empty result lists are skipped).
+  const search = torrentsApi && cleanedSearch.get('search');
+  if (search && upstreamResp.ok && upstreamResp.headers.get('X-Total-Count') !== '0')
+    recordSearch(search, await requesterId(ctx.apiKey, ctx.request.headers));
+
   const respHeaders = new Headers();
   for (const [k, v] of upstreamResp.headers.entries()) {
     if ((STRIP_RESPONSE_HEADERS as readonly string[]).includes(k.toLowerCase())) continue;
@@ -77,8 +124,10 @@ export const upstream: Middleware = async (ctx) => {
   addStandardResponseHeaders(respHeaders);
   const dt = Date.now() - ctx.start;
   respHeaders.set('Server-Timing', `edge;dur=${dt}`);
-  if (ctx.request.headers.get('x-debug-upstream') === '1')
+  if (ctx.request.headers.get('x-debug-upstream') === '1') {
     respHeaders.set('X-Upstream-URL', upstreamUrl.toString());
+    respHeaders.set('X-Cache-Key', buildCacheKey(ctx.request, upstreamUrl.toString()).url);
+  }
 
   return new Response(upstreamResp.body, {
     status: upstreamResp.status,
@@ -0,0 +1,98 @@
+import {
+  badRequest,
+  errorResponse,
+  json,
+  methodNotAllowed,
+  notFound,
+  scopeForbidden,
+} from '../lib/errors';
+import { hasScope } from '../lib/apiKey';
+import {
+  findWatchEntry,
+  loadWatchList,
+  newWatchEntry,
+  parseWatchInput,
+  publicWatchEntry,
+  runWatchCheck,
+  saveWatchList,
+  watchOwner,
+  WATCH_MAX_ENTRIES,
+} from '../lib/watchlist';
+import { notificationItem } from '../lib/watchNotify';
+import type { Middleware } from './types';
+
+const WATCHLIST_PATH = '/api/watchlist';
+// /api/watchlist/:id/delete and /api/watchlist/:id/check
+const ENTRY_ACTION_RE = /^\/api\/watchlist\/([a-f0-9]+)\/(delete|check)\/?$/;
+
+// /api/watchlist: followed searches of the calling API key (search scope, WATCHLIST_KV,
+// enforced API keys).
+//   GET                   list entries
+//   POST {query,exact,filters}  follow a search (seeds the seen set right away)
+//   POST /:id/check       re-run now and notify about new releases
+//   POST /:id/delete      unfollow
+export const watchlist: Middleware = async (ctx) => {
+  const { pathname } = ctx;
+  if (pathname !== WATCHLIST_PATH && !pathname.startsWith(WATCHLIST_PATH + '/')) return;
+  const { apiKey, locale, request, env } = ctx;
+  if (!hasScope(apiKey, 'search')) return scopeForbidden(locale, apiKey, 'search');
+  const kv = env.WATCHLIST_KV;
+  // Lists are per key: a shared list would let any client unfollow everyone else's searches.
+  if (!kv || !apiKey.keyEnforced)
+    return errorResponse(locale, 'watchlist_unavailable', 'watchlist_unavailable', 503);
+  const list = await loadWatchList(kv, await watchOwner(apiKey));
+  if (apiKey.label) list.label = apiKey.label;
+  // Scheduled checks have no request key: keep the key's pinned origin with the list.
+  const originChanged = list.upstreamOrigin !== apiKey.upstreamOrigin;
+  list.upstreamOrigin = apiKey.upstreamOrigin;
+  if (originChanged && list.entries.length) await saveWatchList(kv, list);
+  const checkArgs = { ctx: ctx.ctx, config: ctx.config, notify: ctx.config.watchNotify, env };
+
+  if (pathname === WATCHLIST_PATH || pathname === WATCHLIST_PATH + '/') {
+    if (request.method === 'GET' || request.method === 'HEAD')
+      return json({
+        entries: list.entries.map(publicWatchEntry),
+        limit: WATCH_MAX_ENTRIES,
+        notify: ctx.config.watchNotify.sinks,
+      });
+    if (request.method !== 'POST') return methodNotAllowed(locale);
+    let body: unknown;
+    try {
+      body = await request.json();
+    } catch {
+      return badRequest(locale, 'expect_json_body');
+    }
+    const input = parseWatchInput(body);
+    if (!input) return badRequest(locale, 'missing_parameter');
+    const existing = findWatchEntry(list, input);
+    if (existing) return json({ entry: publicWatchEntry(existing), created: false });
+    if (list.entries.length >= WATCH_MAX_ENTRIES)
+      return errorResponse(locale, 'watchlist_full', 'watchlist_full', 409, {
+        limit: WATCH_MAX_ENTRIES,
+      });
+    const entry = newWatchEntry(input);
+    await runWatchCheck(list, entry, checkArgs);
+    list.entries.push(entry);
+    await saveWatchList(kv, list);
+    return json({ entry: publicWatchEntry(entry), created: true }, 201);
+  }
+
+  const match = ENTRY_ACTION_RE.exec(pathname);
+  if (!match) return notFound(locale);
+  if (request.method !== 'POST') return methodNotAllowed(locale);
+  const [, id, action] = match;
+  const entry = list.entries.find((e) => e.id === id);
+  if (!entry) return notFound(locale);
+  if (action === 'delete') {
+    list.entries = list.entries.filter((e) => e !== entry);
+    await saveWatchList(kv, list);
+    return json({ ok: true, deleted: id });
+  }
+  const { newItems, notified } = await runWatchCheck(list, entry, checkArgs);
+  await saveWatchList(kv, list);
+  return json({
+    entry: publicWatchEntry(entry),
+    newItems: newItems.map(notificationItem),
+    notified,
+  });
+};
@@ -1,19 +1,36 @@
 /// <reference types="@cloudflare/workers-types" />
 import type { EnvLike } from './lib/constants';
-import { parseApiKey } from './lib/apiKey';
-import { resolveConfig } from './config';
+import { resolveApiKey } from './lib/apiKey';
+import { pinUpstreamOrigin, resolveConfig } from './config';
 import {
   statsAsset,
   staticAsset,
   methodAndCors,
+  health,
+  i18nEndpoint,
+  rateLimit,
   torrserver,
   confEndpoint,
+  cachePurge,
+  metricsEndpoint,
+  torznab,
+  feed,
+  facets,
+  suggest,
+  watchlist,
+  push,
   upstream,
+  withLogging,
+  withMetrics,
+  HANDLED_BY_STATE,
   type Middleware,
   type RequestContext,
 } from './middleware';
 import { isDirectPath, LOCAL_PREFIX } from './lib/constants';
-import { resolveLocale } from './lib/i18n';
+import { requestLocale, resolveLocale } from './lib/i18n';
+import { runScheduledWatchChecks } from './lib/watchlist';
+import { notifyDatabaseUpdate } from './lib/push';
+import { parseVapidKeys } from './lib/webPush';
 
 // Explicit Worker environment (with ERROR_LOCALE etc.)
 export type WorkerEnv = EnvLike;
@@ -23,9 +40,14 @@ export default {
     const start = Date.now();
     const url = new URL(request.url);
     const pathname = url.pathname;
-    const config = resolveConfig(env);
-    const locale = resolveLocale(env.ERROR_LOCALE);
-    const apiKey = parseApiKey(env, url);
+    // Per request: `lang` param, then Accept-Language, then ERROR_LOCALE.
+    const locale = requestLocale(url, request.headers, resolveLocale(env.ERROR_LOCALE));
+    const apiKey = await resolveApiKey(env, url, request.headers);
+    // Structured keys may pin their own upstream origin.
+    const config =
+      apiKey.keyValid && apiKey.upstreamOrigin
+        ? pinUpstreamOrigin(resolveConfig(env), apiKey.upstreamOrigin)
+        : resolveConfig(env);
     const isApi = pathname === LOCAL_PREFIX || pathname.startsWith(LOCAL_PREFIX + '/');
     const direct = !isApi && isDirectPath(pathname);
 
@@ -44,23 +66,64 @@ export default {
       state: {},
     };
 
-    const pipeline: Middleware[] = [
+    // Keyed by name (survives minification) so metrics can tell which middleware answered.
+    const pipeline: Record<string, Middleware> = {
       statsAsset,
       staticAsset,
       methodAndCors,
+      health,
+      i18nEndpoint,
+      rateLimit,
       torrserver,
       confEndpoint,
+      cachePurge,
+      metricsEndpoint,
+      torznab,
+      feed,
+      facets,
+      suggest,
+      watchlist,
+      push,
       upstream, // final network fetch
-    ];
+    };
+
+    return withLogging(context, () =>
+      withMetrics(context, async () => {
+        for (const [name, mw] of Object.entries(pipeline)) {
+          const result = await mw(context);
+          if (result) {
+            context.state[HANDLED_BY_STATE] = name;
+            return result;
+          }
+        }
+        // Passthrough to Cloudflare (external workers, Pages, etc.)
+        context.state[HANDLED_BY_STATE] = 'passthrough';
+        return fetch(request);
+      })
+    );
+  },
 
-    for (const mw of pipeline) {
-      const result = await mw(context);
-      if (result) return result;
+  // Cron Trigger: re-runs followed searches and announces upstream database updates to push
+  // subscribers. Pages ignores this handler; it runs where the bundle is deployed as a Worker
+  // with [triggers] crons (see wrangler.toml).
+  async scheduled(_controller: ScheduledController, env: WorkerEnv, ctx: ExecutionContext) {
+    const config = resolveConfig(env);
+    if (env.WATCHLIST_KV) {
+      await runScheduledWatchChecks(env.WATCHLIST_KV, {
+        ctx,
+        config,
+        notify: config.watchNotify,
+        env,
+      });
     }
-    // Passthrough to Cloudflare (external workers, Pages, etc.)
-    return fetch(request);
+    const vapid = env.PUSH_KV ? parseVapidKeys(env) : null;
+    if (env.PUSH_KV && vapid) await notifyDatabaseUpdate(env.PUSH_KV, config, vapid);
   },
 };
 
+// Durable Object classes (bound from a separate Worker script, see wrangler.toml)
+export { RateLimiter } from './durable/rateLimiter';
+export { MetricsAggregator } from './durable/metricsAggregator';
+
 // Export types for potential external tooling
 export type { ApiKeyInfo } from './lib/apiKey';